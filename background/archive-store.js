@@ -0,0 +1,235 @@
+/**
+ * OctoGPT Archive Store
+ * IndexedDB storage for archived conversations
+ *
+ * Lives in the extension origin so every site writes to the same database: the
+ * service worker saves what content scripts send, and extension pages read it.
+ * Records hold a ConversationFormat object plus a few fields for listing.
+ */
+
+const ArchiveStore = {
+  DB_NAME: 'octogpt-archive',
+  DB_VERSION: 1,
+  STORE: 'conversations',
+
+  dbPromise: null,
+
+  /**
+   * Open (and create on first use) the database
+   */
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(this.STORE)) {
+          const store = db.createObjectStore(this.STORE, { keyPath: 'key' });
+          store.createIndex('updatedAt', 'updatedAt');
+          store.createIndex('site', 'site');
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        this.dbPromise = null;
+        reject(request.error);
+      };
+    });
+
+    return this.dbPromise;
+  },
+
+  /**
+   * Archive key for a conversation: site plus the site's conversation ID
+   */
+  keyFor(site, conversationId) {
+    return `${site}:${conversationId}`;
+  },
+
+  /**
+   * Save a conversation, merging with what is already archived
+   * @returns {Object} the stored record
+   */
+  async save(conversation) {
+    const errors = ConversationFormat.validate(conversation);
+    if (errors.length > 0) {
+      throw new Error(`Invalid conversation: ${errors[0]}`);
+    }
+    if (!conversation.conversationId) {
+      throw new Error('Conversation has no ID');
+    }
+
+    const key = this.keyFor(conversation.site, conversation.conversationId);
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.STORE, 'readwrite');
+      const store = tx.objectStore(this.STORE);
+      let record;
+
+      const getRequest = store.get(key);
+      getRequest.onsuccess = () => {
+        const existing = getRequest.result;
+        const merged = existing
+          ? this.mergeConversations(existing.conversation, conversation)
+          : conversation;
+
+        record = {
+          key,
+          site: merged.site,
+          conversationId: merged.conversationId,
+          title: merged.title,
+          url: merged.url,
+          createdAt: existing ? existing.createdAt : merged.capturedAt,
+          updatedAt: merged.capturedAt,
+          turnCount: merged.turns.length,
+          conversation: merged,
+        };
+        store.put(record);
+      };
+
+      tx.oncomplete = () => resolve(record);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  },
+
+  /**
+   * Merge a new capture into the archived one
+   * Turns are matched by ID. Responses that were not in the DOM this time keep
+   * their archived HTML/Markdown, and a partial capture (the site only rendered
+   * part of the conversation) never drops turns that were archived before.
+   * Captures whose IDs are only positions are matched by prompt instead.
+   */
+  mergeConversations(archived, incoming) {
+    if (this.hasPositionIds(incoming)) {
+      return this.mergeByPosition(archived, incoming);
+    }
+
+    const archivedById = new Map(archived.turns.map(turn => [turn.id, turn]));
+    const mergeTurn = turn => this.mergeTurn(turn, archivedById.get(turn.id));
+
+    const incomingIds = new Set(incoming.turns.map(turn => turn.id));
+    const isPartial = incoming.turns.length < archived.turns.length &&
+      incoming.turns.every(turn => archivedById.has(turn.id));
+
+    let turns;
+    if (isPartial) {
+      // Keep the archived order and update the turns we saw
+      const incomingById = new Map(incoming.turns.map(turn => [turn.id, turn]));
+      turns = archived.turns.map(turn => (incomingIds.has(turn.id) ? mergeTurn(incomingById.get(turn.id)) : turn));
+    } else {
+      turns = incoming.turns.map(mergeTurn);
+    }
+
+    return this.withTurns(archived, incoming, turns);
+  },
+
+  /**
+   * Check whether a capture's turn IDs are only positions (`prompt-{conversationId}-{index}`)
+   * Such IDs count from the first turn the site had mounted, so the same ID can name
+   * another turn in the next capture.
+   */
+  hasPositionIds(conversation) {
+    return conversation.turns.some(turn => turn.id === `prompt-${conversation.conversationId}-${turn.index}`);
+  },
+
+  /**
+   * Merge a capture with position IDs
+   * A turn only updates the archived turn at its position when their prompts match.
+   * A capture shorter than the archive whose first prompt is not the archived first
+   * prompt started after turns the site had not mounted: its positions are not the
+   * conversation's, so it is dropped instead of written over the wrong turns.
+   */
+  mergeByPosition(archived, incoming) {
+    const matches = turn => archived.turns[turn.index]?.prompt.text === turn.prompt.text;
+    const isPartial = incoming.turns.length < archived.turns.length;
+
+    if (isPartial && !matches(incoming.turns[0])) {
+      return archived;
+    }
+
+    const turns = incoming.turns.map(turn => (matches(turn) ? this.mergeTurn(turn, archived.turns[turn.index]) : turn));
+    if (isPartial && incoming.turns.every(matches)) {
+      // The start of the conversation, as archived; keep the turns after it
+      turns.push(...archived.turns.slice(turns.length));
+    }
+
+    return this.withTurns(archived, incoming, turns);
+  },
+
+  /**
+   * Merge one captured turn with its archived version, if there is one
+   */
+  mergeTurn(turn, previous) {
+    if (!previous) return turn;
+
+    return {
+      ...turn,
+      response: {
+        text: turn.response.text || previous.response.text,
+        html: turn.response.html ?? previous.response.html,
+        markdown: turn.response.markdown ?? previous.response.markdown,
+      },
+      headings: turn.headings.length > 0 ? turn.headings : previous.headings,
+      // A prompt is sent once; keep the earliest time either capture has for it
+      timestamp: previous.timestamp && (!turn.timestamp || previous.timestamp < turn.timestamp)
+        ? previous.timestamp
+        : turn.timestamp,
+    };
+  },
+
+  /**
+   * The incoming conversation with merged turns, renumbered in order
+   */
+  withTurns(archived, incoming, turns) {
+    return {
+      ...incoming,
+      title: incoming.title || archived.title,
+      turns: turns.map((turn, index) => ({ ...turn, index })),
+    };
+  },
+
+  /**
+   * All records, most recently updated first
+   */
+  async list() {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const request = db.transaction(this.STORE).objectStore(this.STORE).index('updatedAt').getAll();
+      request.onsuccess = () => resolve(request.result.reverse());
+      request.onerror = () => reject(request.error);
+    });
+  },
+
+  /**
+   * One record by key, or undefined
+   */
+  async get(key) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const request = db.transaction(this.STORE).objectStore(this.STORE).get(key);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  },
+
+  /**
+   * Remove a record
+   */
+  async delete(key) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.STORE, 'readwrite');
+      tx.objectStore(this.STORE).delete(key);
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  },
+};
+
+// Export for the service worker and extension pages
+globalThis.ArchiveStore = ArchiveStore;
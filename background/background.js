@@ -0,0 +1,59 @@
+/**
+ * OctoGPT Service Worker
+ * Receives archive captures from content scripts, opens extension pages and keeps
+ * the content scripts of self-hosted sites registered
+ *
+ * Content scripts run in each site's origin, so they cannot share an IndexedDB
+ * database; they send conversations here and ArchiveStore keeps them in the
+ * extension origin.
+ */
+
+importScripts('../content/conversation-format.js', 'archive-store.js', 'custom-sites.js');
+
+/**
+ * Debug logging configuration
+ * Set to true to enable console output
+ */
+const DEBUG = false;
+
+const log = {
+  error: (...args) => DEBUG && console.error('[OctoGPT]', ...args),
+};
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  switch (message?.type) {
+    case 'archive:save':
+      ArchiveStore.save(message.conversation)
+        .then(record => sendResponse({ ok: true, turnCount: record.turnCount }))
+        .catch(error => sendResponse({ ok: false, error: error.message }));
+      return true; // Respond asynchronously
+
+    case 'archive:open': {
+      const page = message.page === 'search' ? 'search' : 'archive';
+      chrome.tabs.create({ url: chrome.runtime.getURL(`pages/${page}.html`) });
+      sendResponse({ ok: true });
+      return false;
+    }
+
+    default:
+      return false;
+  }
+});
+
+/**
+ * Re-register the content scripts of self-hosted sites
+ */
+function syncCustomSites() {
+  CustomSites.syncContentScripts()
+    .catch(error => log.error('Could not register custom sites:', error));
+}
+
+// Re-register self-hosted sites whenever the list or the granted hosts change
+chrome.runtime.onInstalled.addListener(syncCustomSites);
+chrome.permissions.onAdded.addListener(syncCustomSites);
+chrome.permissions.onRemoved.addListener(syncCustomSites);
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && changes[CustomSites.STORAGE_KEY]) {
+    syncCustomSites();
+  }
+});
@@ -0,0 +1,138 @@
+/**
+ * OctoGPT Custom Sites
+ * Self-hosted chat UIs (Open WebUI, LibreChat) on origins the user adds
+ *
+ * The manifest only lists the hosted sites. For a self-hosted origin the options
+ * page asks for an optional host permission, and the service worker registers the
+ * content scripts for every origin that has been granted. The list lives in
+ * chrome.storage.local so content scripts can tell which parser an origin needs.
+ */
+
+const CustomSites = {
+  STORAGE_KEY: 'customSites',
+  SCRIPT_ID: 'octogpt-custom-sites',
+
+  // Adapter ID -> name shown on the options page
+  TYPES: {
+    openwebui: 'Open WebUI',
+    librechat: 'LibreChat',
+  },
+
+  syncPromise: null,
+
+  /**
+   * Origin of a URL typed by the user, e.g. "localhost:3080" -> "http://localhost:3080"
+   * Hosts without a scheme get https://, except localhost and IP addresses.
+   * @throws {Error} When the input is not an http(s) URL
+   */
+  normalizeOrigin(input) {
+    const value = String(input || '').trim();
+    if (!value) throw new Error('Enter the address of your site');
+
+    const isLocal = /^(localhost|127\.|\[::1\]|\d+\.\d+\.\d+\.\d+)/i.test(value);
+    let url;
+    try {
+      url = new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(value) ? value : `${isLocal ? 'http' : 'https'}://${value}`);
+    } catch {
+      throw new Error(`"${value}" is not a valid address`);
+    }
+
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new Error('Only http and https sites are supported');
+    }
+    return url.origin;
+  },
+
+  /**
+   * Match pattern granting access to an origin
+   * Written without the port, so it covers every port on the host; content scripts
+   * injected on a port that was not added stay idle (see SiteRegistry.detect).
+   */
+  toMatchPattern(origin) {
+    const url = new URL(origin);
+    return `${url.protocol}//${url.hostname}/*`;
+  },
+
+  /**
+   * Saved sites, in the order they were added
+   * @returns {Promise<Array<{origin, type, addedAt}>>}
+   */
+  async list() {
+    const { [this.STORAGE_KEY]: sites = [] } = await chrome.storage.local.get([this.STORAGE_KEY]);
+    return sites;
+  },
+
+  /**
+   * Add a site, or change the type of one already added
+   */
+  async add(origin, type) {
+    if (!this.TYPES[type]) throw new Error(`Unknown site type: ${type}`);
+
+    const sites = (await this.list()).filter(site => site.origin !== origin);
+    sites.push({ origin, type, addedAt: Date.now() });
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: sites });
+    return sites;
+  },
+
+  /**
+   * Remove a site, and its host permission when no other site uses it
+   */
+  async remove(origin) {
+    const sites = (await this.list()).filter(site => site.origin !== origin);
+    await chrome.storage.local.set({ [this.STORAGE_KEY]: sites });
+
+    const pattern = this.toMatchPattern(origin);
+    if (!sites.some(site => this.toMatchPattern(site.origin) === pattern)) {
+      await chrome.permissions.remove({ origins: [pattern] });
+    }
+    return sites;
+  },
+
+  /**
+   * Check whether the host permission for an origin has been granted
+   */
+  hasAccess(origin) {
+    return chrome.permissions.contains({ origins: [this.toMatchPattern(origin)] });
+  },
+
+  /**
+   * Register the content scripts for every granted site, replacing the previous
+   * registration; calls are queued so overlapping changes cannot race
+   * @returns {Promise} Rejects when this registration fails; later calls still run
+   */
+  syncContentScripts() {
+    this.syncPromise = (this.syncPromise || Promise.resolve())
+      .catch(() => {}) // The failure was reported to the caller that queued it
+      .then(() => this.registerContentScripts());
+    return this.syncPromise;
+  },
+
+  /**
+   * Replace the content script registration with one for the granted origins
+   */
+  async registerContentScripts() {
+    const sites = await this.list();
+    const patterns = [...new Set(sites.map(site => this.toMatchPattern(site.origin)))];
+    const granted = [];
+    for (const pattern of patterns) {
+      if (await chrome.permissions.contains({ origins: [pattern] })) granted.push(pattern);
+    }
+
+    const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [this.SCRIPT_ID] });
+    if (registered.length > 0) {
+      await chrome.scripting.unregisterContentScripts({ ids: [this.SCRIPT_ID] });
+    }
+    if (granted.length === 0) return;
+
+    // Same files as the manifest's content script for the hosted sites
+    const { js, css } = chrome.runtime.getManifest().content_scripts[0];
+    await chrome.scripting.registerContentScripts([{
+      id: this.SCRIPT_ID,
+      matches: granted,
+      js,
+      css,
+      runAt: 'document_idle',
+      persistAcrossSessions: true,
+    }]);
+  },
+};
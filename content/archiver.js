@@ -0,0 +1,134 @@
+/**
+ * OctoGPT Archiver Module
+ * Opt-in capture of conversations into the local archive
+ *
+ * After each extraction the conversation is rebuilt in ConversationFormat and sent
+ * to the service worker, which merges it into IndexedDB (background/archive-store.js).
+ * Saves are throttled so streaming responses are archived as they grow without
+ * re-serializing on every mutation.
+ */
+
+// Note: DEBUG and log are defined in parser.js (loaded first)
+
+class OctoGPTArchiver {
+  /**
+   * @param {SiteAdapter} adapter - Site whose conversations are archived
+   */
+  constructor(adapter) {
+    this.adapter = adapter;
+    this.exporter = new OctoGPTExporter(adapter);
+    this.enabled = false;
+    this.pending = null; // Latest snapshot waiting to be saved
+    this.saveTimer = null;
+
+    this.config = {
+      saveInterval: 2000, // ms between saves while a conversation is changing
+    };
+
+    this.handleStorageChange = this.handleStorageChange.bind(this);
+  }
+
+  /**
+   * Load the opt-in setting and follow changes made from any tab
+   */
+  async init() {
+    try {
+      const result = await chrome.storage.local.get(['archiveEnabled']);
+      this.enabled = result.archiveEnabled === true;
+    } catch (error) {
+      log.error('Error loading archive setting:', error);
+    }
+
+    chrome.storage.onChanged.addListener(this.handleStorageChange);
+  }
+
+  /**
+   * Follow the opt-in setting when it changes
+   */
+  handleStorageChange(changes, areaName) {
+    if (areaName !== 'local' || !changes.archiveEnabled) return;
+
+    this.enabled = changes.archiveEnabled.newValue === true;
+    log.info(`Archive ${this.enabled ? 'enabled' : 'disabled'}`);
+    if (this.enabled) {
+      // Archive the open conversation right away instead of waiting for it to change
+      this.startTimer();
+    } else {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+  }
+
+  /**
+   * Queue the current prompts for saving
+   * Title, URL and ID are captured now: by the time the save runs the user may
+   * have navigated to another conversation.
+   */
+  schedule(prompts) {
+    const conversationId = this.adapter.parser?.conversationId;
+    if (prompts.length === 0 || !conversationId) {
+      this.pending = null;
+      return;
+    }
+
+    // Kept while disabled too, so opting in archives the open conversation
+    this.pending = {
+      prompts,
+      conversationId,
+      title: this.adapter.getConversationTitle(),
+      url: window.location.href,
+    };
+
+    if (this.enabled) {
+      this.startTimer();
+    }
+  }
+
+  /**
+   * Start the save timer unless one is already running
+   */
+  startTimer() {
+    if (this.saveTimer || !this.pending) return;
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.flush();
+    }, this.config.saveInterval);
+  }
+
+  /**
+   * Save the pending snapshot now
+   */
+  async flush() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    if (!this.pending || !this.enabled) return;
+
+    const pending = this.pending;
+    this.pending = null;
+
+    try {
+      const { prompts, ...meta } = pending;
+      const conversation = this.exporter.buildConversation(prompts, meta);
+      const response = await chrome.runtime.sendMessage({ type: 'archive:save', conversation });
+      if (response?.ok) {
+        log.info(`Archived ${response.turnCount} turns`);
+      } else {
+        log.warn('Archive save failed:', response?.error);
+      }
+    } catch (error) {
+      log.error('Archive save failed:', error);
+    }
+  }
+
+  /**
+   * Cleanup, saving anything still pending
+   */
+  destroy() {
+    chrome.storage.onChanged.removeListener(this.handleStorageChange);
+    this.flush();
+  }
+}
+
+// Export for use in content script
+window.OctoGPTArchiver = OctoGPTArchiver;
@@ -0,0 +1,306 @@
+/**
+ * OctoGPT Branch Explorer Module
+ * Records the tree of edited prompt versions and drives the site's version switcher
+ *
+ * The page only ever shows one path through the tree, so the tree is built up from
+ * every path we see: the one on screen after each extraction, plus every path visited
+ * by discover(), which clicks through each version of each edited prompt.
+ * Versions we know exist but have not shown yet are kept as placeholder nodes.
+ */
+
+// Note: DEBUG and log are defined in parser.js (loaded first)
+
+class OctoGPTBranchExplorer {
+  /**
+   * @param {SiteAdapter} adapter - Site whose prompts expose branchInfo with prev/next buttons
+   */
+  constructor(adapter) {
+    this.adapter = adapter;
+    this.tree = null; // { conversationId, children, nodeCount }
+    this.isWalking = false; // True while we are clicking through versions
+    this.cancelled = false;
+
+    this.config = {
+      pollInterval: 100, // ms between checks after clicking a version button
+      settleTimeout: 4000, // ms to wait for the page to show the requested version
+      maxNodes: 200, // Stop discovery in very large trees
+    };
+  }
+
+  /**
+   * Extract the prompts currently on the page
+   */
+  readPrompts() {
+    // Version switches can rewrite a turn in place, so never trust the turn cache here
+    this.adapter.parser.clearTurnCache();
+    this.adapter.parser.extractAllPrompts();
+    return this.adapter.parser.formatPromptsForDisplay();
+  }
+
+  /**
+   * Version number of each prompt on the page (1 for prompts never edited)
+   */
+  getCurrentPath(prompts) {
+    return prompts.map(prompt => prompt.branchInfo?.current || 1);
+  }
+
+  /**
+   * Start a new tree when the conversation changes
+   */
+  ensureTree() {
+    const conversationId = this.adapter.parser?.conversationId || null;
+    if (!this.tree || this.tree.conversationId !== conversationId) {
+      this.tree = { conversationId, children: [], nodeCount: 0 };
+    }
+    return this.tree;
+  }
+
+  /**
+   * Merge the path shown on the page into the tree
+   * @returns {Object} The tree
+   */
+  recordPath(prompts) {
+    const tree = this.ensureTree();
+    let siblings = tree.children;
+    const path = [];
+
+    prompts.forEach((prompt, depth) => {
+      const total = Math.max(prompt.branchInfo?.total || 1, siblings.length);
+      const current = prompt.branchInfo?.current || 1;
+
+      // Placeholders for versions we have not shown yet
+      for (let version = siblings.length + 1; version <= total; version++) {
+        siblings.push(this.createNode([...path, version], depth, total));
+        tree.nodeCount++;
+      }
+      siblings.forEach(node => { node.total = total; });
+
+      const node = siblings[current - 1];
+      node.text = prompt.text;
+      node.scanned = true;
+      node.children = node.children || [];
+
+      path.push(current);
+      siblings = node.children;
+    });
+
+    return tree;
+  }
+
+  /**
+   * One version of one prompt
+   * children is null until the path through this version has been seen
+   */
+  createNode(path, depth, total) {
+    return {
+      id: path.join('.'),
+      path,
+      depth,
+      version: path[path.length - 1],
+      total,
+      text: null,
+      scanned: false,
+      children: null,
+    };
+  }
+
+  /**
+   * Find a node by its path
+   */
+  getNode(path) {
+    let siblings = this.tree?.children || [];
+    let node = null;
+    for (const version of path) {
+      node = siblings[version - 1];
+      if (!node) return null;
+      siblings = node.children || [];
+    }
+    return node;
+  }
+
+  /**
+   * Check whether the page is showing a path that starts with the given one
+   */
+  isOnPath(path, currentPath) {
+    return path.every((version, depth) => currentPath[depth] === version);
+  }
+
+  /**
+   * Click through every version of every edited prompt, recording the tree,
+   * then return to the path the user was on
+   * @param {Function} [onProgress] - Called with the tree after each new path
+   * @returns {Promise<Object>} The tree
+   */
+  async discover(onProgress) {
+    if (this.isWalking) return this.tree;
+
+    const prompts = this.readPrompts();
+    const startPath = this.getCurrentPath(prompts);
+    this.isWalking = true;
+    this.cancelled = false;
+
+    try {
+      this.recordPath(prompts);
+      await this.explore(0, prompts, [], onProgress);
+      await this.walkTo(startPath);
+      this.recordPath(this.readPrompts());
+    } finally {
+      this.isWalking = false;
+    }
+
+    log.info(`Branch discovery found ${this.tree.nodeCount} prompt versions`);
+    return this.tree;
+  }
+
+  /**
+   * Depth-first walk over the versions of the prompt at `depth`
+   * Versions above `depth` stay fixed while we switch the ones below.
+   */
+  async explore(depth, prompts, path, onProgress) {
+    // Skip ahead to the next prompt that has other versions
+    while (depth < prompts.length && !(prompts[depth].branchInfo?.total > 1)) {
+      path = [...path, prompts[depth].branchInfo?.current || 1];
+      depth++;
+    }
+    if (depth >= prompts.length) return;
+
+    const total = prompts[depth].branchInfo.total;
+    for (let version = 1; version <= total; version++) {
+      if (this.cancelled || this.tree.nodeCount >= this.config.maxNodes) return;
+
+      if (!(await this.setVersion(depth, version))) {
+        log.warn(`Could not switch prompt ${depth + 1} to version ${version}`);
+        continue;
+      }
+
+      const versionPrompts = this.readPrompts();
+      this.recordPath(versionPrompts);
+      onProgress?.(this.tree);
+      await this.explore(depth + 1, versionPrompts, [...path, version], onProgress);
+    }
+  }
+
+  /**
+   * Read the prompt, response and outline of every version of one prompt,
+   * then switch back to the version that was showing
+   * @returns {Promise<Array<{version, text, responseText, headings, isCurrent}>>}
+   */
+  async captureVersions(depth) {
+    if (this.isWalking) return [];
+
+    const prompts = this.readPrompts();
+    const total = prompts[depth]?.branchInfo?.total || 1;
+    const startPath = this.getCurrentPath(prompts).slice(0, depth + 1);
+    const versions = [];
+    this.isWalking = true;
+    this.cancelled = false;
+
+    try {
+      for (let version = 1; version <= total; version++) {
+        if (this.cancelled) break;
+        if (!(await this.setVersion(depth, version))) {
+          log.warn(`Could not switch prompt ${depth + 1} to version ${version}`);
+          continue;
+        }
+
+        const versionPrompts = this.readPrompts();
+        this.recordPath(versionPrompts);
+        const prompt = versionPrompts[depth];
+        versions.push({
+          version,
+          text: prompt.text,
+          responseText: prompt.responseText || '',
+          headings: (prompt.headings || []).map(({ level, text }) => ({ level, text })),
+          isCurrent: version === startPath[depth],
+        });
+      }
+      await this.walkTo(startPath);
+    } finally {
+      this.isWalking = false;
+    }
+
+    return versions;
+  }
+
+  /**
+   * Show the given path on the page
+   * @returns {Promise<boolean>} True when every version along the path was reached
+   */
+  async navigateTo(path) {
+    if (this.isWalking) return false;
+
+    this.isWalking = true;
+    this.cancelled = false;
+    try {
+      const reached = await this.walkTo(path);
+      this.recordPath(this.readPrompts());
+      return reached;
+    } finally {
+      this.isWalking = false;
+    }
+  }
+
+  /**
+   * Switch versions from the top down; lower prompts only exist once the ones above are set
+   */
+  async walkTo(path) {
+    for (let depth = 0; depth < path.length; depth++) {
+      if (this.cancelled) return false;
+      if (!(await this.setVersion(depth, path[depth]))) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Click the prompt's prev/next buttons until it shows `version`
+   * @returns {Promise<boolean>}
+   */
+  async setVersion(depth, version) {
+    for (;;) {
+      const info = this.readPrompts()[depth]?.branchInfo;
+      const current = info?.current || 1;
+      if (current === version) return true;
+      if (!info?.total) return false;
+
+      const button = version > current ? info.nextButton : info.prevButton;
+      if (!button) return false;
+
+      button.click();
+      if (!(await this.waitForVersionChange(depth, current))) return false;
+    }
+  }
+
+  /**
+   * Poll until the prompt at `depth` no longer shows version `from`
+   */
+  async waitForVersionChange(depth, from) {
+    const deadline = Date.now() + this.config.settleTimeout;
+
+    while (Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, this.config.pollInterval));
+      if (this.cancelled) return false;
+
+      const current = this.readPrompts()[depth]?.branchInfo?.current;
+      if (current && current !== from) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Stop a running walk after the current step
+   */
+  cancel() {
+    this.cancelled = true;
+  }
+
+  /**
+   * Forget the tree (conversation changed)
+   */
+  reset() {
+    this.cancel();
+    this.tree = null;
+  }
+}
+
+// Export for use in content script
+window.OctoGPTBranchExplorer = OctoGPTBranchExplorer;
@@ -0,0 +1,246 @@
+/**
+ * OctoGPT Code Index Module
+ * Copies, finds and bundles the code blocks the parsers index in each response
+ *
+ * Blocks are found again by their position among the response's <pre> elements
+ * (those in thinking blocks do not count).
+ * "Download all code" writes every block into a zip (stored, not compressed, so no
+ * library is needed); file names come from a file-name comment in the block when
+ * there is one, otherwise from the prompt, the block and the language.
+ */
+
+// Note: DEBUG and log are defined in parser.js (loaded first)
+
+class OctoGPTCodeIndex {
+  /**
+   * @param {SiteAdapter} adapter - Resolves response elements and the title
+   * @param {OctoGPTExporter} [exporter] - Used to download the zip
+   */
+  constructor(adapter, exporter = null) {
+    this.adapter = adapter;
+    this.exporter = exporter;
+
+    this.config = {
+      defaultExtension: 'txt', // For blocks without a known language
+    };
+
+    // Language label -> file extension
+    this.extensions = {
+      bash: 'sh', c: 'c', 'c#': 'cs', 'c++': 'cpp', cpp: 'cpp', csharp: 'cs', css: 'css',
+      dart: 'dart', diff: 'diff', dockerfile: 'Dockerfile', go: 'go', graphql: 'graphql',
+      html: 'html', ini: 'ini', java: 'java', javascript: 'js', js: 'js', json: 'json',
+      jsx: 'jsx', kotlin: 'kt', latex: 'tex', less: 'less', lua: 'lua', makefile: 'mk',
+      markdown: 'md', md: 'md', objectivec: 'm', perl: 'pl', php: 'php', powershell: 'ps1',
+      python: 'py', py: 'py', r: 'r', ruby: 'rb', rust: 'rs', scala: 'scala', scss: 'scss',
+      sh: 'sh', shell: 'sh', sql: 'sql', swift: 'swift', toml: 'toml', ts: 'ts', tsx: 'tsx',
+      typescript: 'ts', vue: 'vue', xml: 'xml', yaml: 'yml', yml: 'yml', zsh: 'sh',
+    };
+  }
+
+  /**
+   * Find the <pre> of an indexed block on the page
+   */
+  findBlockElement(prompt, block) {
+    const responseElement = this.adapter.resolveResponseElement(prompt);
+    if (!responseElement) return null;
+    return this.adapter.parser.findCodeBlockElements(responseElement)[block.index] || null;
+  }
+
+  /**
+   * Copy a block's code to the clipboard
+   * @returns {Promise<boolean>}
+   */
+  async copy(block) {
+    try {
+      await navigator.clipboard.writeText(block.text);
+      return true;
+    } catch (error) {
+      log.warn('Could not copy code block:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Number of code blocks across prompts
+   */
+  countBlocks(prompts) {
+    return prompts.reduce((count, prompt) => count + (prompt.codeBlocks?.length || 0), 0);
+  }
+
+  /**
+   * Bundle every code block into a zip and download it
+   * @returns {number} Number of files written
+   */
+  downloadAll(prompts) {
+    const files = this.buildFiles(prompts);
+    if (files.length === 0 || !this.exporter) return 0;
+
+    const title = this.adapter.getConversationTitle();
+    this.exporter.download(this.buildZip(files), `${this.exporter.toFilename(title)}-code.zip`, 'application/zip');
+    log.info(`Downloaded ${files.length} code blocks`);
+    return files.length;
+  }
+
+  /**
+   * One file per block, named after its file-name comment when it has one
+   * Later blocks with the same name are usually revisions, so they get a numbered
+   * copy instead of replacing the earlier one.
+   * @returns {Array<{name: string, text: string}>}
+   */
+  buildFiles(prompts) {
+    const used = new Set();
+    const files = [];
+
+    prompts.forEach((prompt, promptIndex) => {
+      (prompt.codeBlocks || []).forEach(block => {
+        const name = this.getUniqueName(this.getFileName(block, promptIndex), used);
+        used.add(name);
+        files.push({ name, text: block.text });
+      });
+    });
+
+    return files;
+  }
+
+  /**
+   * File name for a block, as a relative path without ".." segments
+   */
+  getFileName(block, promptIndex) {
+    const fromComment = block.fileName
+      ?.split(/[\\/]+/)
+      .filter(part => part && part !== '.' && part !== '..')
+      .join('/');
+    if (fromComment) return fromComment;
+
+    const language = (block.language || '').toLowerCase();
+    const extension = this.extensions[language] || language.replace(/[^\w+#-]/g, '') || this.config.defaultExtension;
+    return `prompt-${promptIndex + 1}-block-${block.index + 1}.${extension}`;
+  }
+
+  /**
+   * Add -2, -3... before the extension until the name is free
+   */
+  getUniqueName(name, used) {
+    if (!used.has(name)) return name;
+
+    const match = name.match(/^(.*?)(\.[^./]+)?$/);
+    for (let copy = 2; ; copy++) {
+      const candidate = `${match[1]}-${copy}${match[2] || ''}`;
+      if (!used.has(candidate)) return candidate;
+    }
+  }
+
+  /**
+   * Build a zip archive with the files stored uncompressed
+   * @param {Array<{name: string, text: string}>} files
+   * @returns {Uint8Array}
+   */
+  buildZip(files, date = new Date()) {
+    const encoder = new TextEncoder();
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    for (const file of files) {
+      const name = encoder.encode(file.name);
+      const data = encoder.encode(file.text);
+      const crc = OctoGPTCodeIndex.crc32(data);
+
+      // Shared by the local header (from offset 4) and the central directory entry (from 6)
+      const fields = [
+        [2, 20], // Version needed to extract
+        [2, 0x0800], // Flags: UTF-8 names
+        [2, 0], // Method: stored
+        [2, time],
+        [2, day],
+        [4, crc],
+        [4, data.length], // Compressed size
+        [4, data.length],
+        [2, name.length],
+        [2, 0], // Extra field length
+      ];
+
+      const local = this.writeFields([[4, 0x04034b50], ...fields]);
+      localParts.push(local, name, data);
+
+      centralParts.push(this.writeFields([
+        [4, 0x02014b50],
+        [2, 20], // Version made by
+        ...fields,
+        [2, 0], // Comment length
+        [2, 0], // Disk number
+        [2, 0], // Internal attributes
+        [4, 0], // External attributes
+        [4, offset],
+      ]), name);
+
+      offset += local.length + name.length + data.length;
+    }
+
+    const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+    const end = this.writeFields([
+      [4, 0x06054b50],
+      [2, 0], // This disk
+      [2, 0], // Disk with the central directory
+      [2, files.length],
+      [2, files.length],
+      [4, centralSize],
+      [4, offset],
+      [2, 0], // Comment length
+    ]);
+
+    const parts = [...localParts, ...centralParts, end];
+    const zip = new Uint8Array(parts.reduce((size, part) => size + part.length, 0));
+    let position = 0;
+    for (const part of parts) {
+      zip.set(part, position);
+      position += part.length;
+    }
+    return zip;
+  }
+
+  /**
+   * Write little-endian [byteLength, value] pairs
+   */
+  writeFields(fields) {
+    const bytes = new Uint8Array(fields.reduce((size, [length]) => size + length, 0));
+    const view = new DataView(bytes.buffer);
+    let position = 0;
+    for (const [length, value] of fields) {
+      if (length === 4) {
+        view.setUint32(position, value >>> 0, true);
+      } else {
+        view.setUint16(position, value, true);
+      }
+      position += length;
+    }
+    return bytes;
+  }
+
+  /**
+   * CRC-32 (IEEE) of a byte array, as zip stores it
+   */
+  static crc32(bytes) {
+    if (!OctoGPTCodeIndex.crcTable) {
+      OctoGPTCodeIndex.crcTable = Array.from({ length: 256 }, (_, n) => {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        return c >>> 0;
+      });
+    }
+
+    let crc = 0xffffffff;
+    for (const byte of bytes) {
+      crc = OctoGPTCodeIndex.crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+}
+
+// Export for use in content script
+window.OctoGPTCodeIndex = OctoGPTCodeIndex;
@@ -1,13 +1,20 @@
 /**
  * OctoGPT Content Script
- * Main entry point that runs on ChatGPT, Gemini, and Claude pages
+ * Main entry point that runs on ChatGPT, Gemini, Claude, AI Studio, Perplexity and
+ * DeepSeek pages, and on the self-hosted Open WebUI and LibreChat origins added on the
+ * options page
  */
 
 class OctoGPT {
   constructor() {
     this.parser = null; // Will be set based on detected site
-    this.site = null; // 'chatgpt', 'gemini', or 'claude'
+    this.adapter = null; // SiteAdapter for the detected site
+    this.site = null; // Adapter ID, e.g. 'chatgpt', 'claude' or 'openwebui'
     this.sidebar = null;
+    this.archiver = null; // Opt-in local archive
+    this.pendingJump = null; // Prompt to scroll to, set by the archive search page
+    this.firstSeenConversationId = null; // Conversation whose stored first-seen times were requested
+    this.firstSeenLoaded = false; // True once they were merged into the parser
     this.observer = null;
     this.prompts = [];
     this.isInitialized = false;
@@ -20,34 +27,24 @@ class OctoGPT {
       debounceDelay: 300, // ms to wait before re-parsing
       minUpdateInterval: 500, // minimum time between updates
       streamingPollInterval: 800, // ms between polls during streaming
+      pendingJumpMaxAge: 60000, // ms a search result jump stays valid while the page loads
+      firstSeenMaxConversations: 500, // Conversations whose first-seen times are kept
     };
   }
 
   /**
    * Detect which site we're on
+   * Returns the registered SiteAdapter for the current page; self-hosted origins are
+   * looked up in the sites added on the options page
    */
-  detectSite() {
-    const hostname = window.location.hostname;
-    const pathname = window.location.pathname;
-
-    if (hostname.includes('claude.ai')) {
-      return 'claude';
-    }
-
-    if (hostname.includes('gemini.google.com') || hostname.includes('aistudio.google.com')) {
-      return 'gemini';
-    }
-    
-    if (hostname.includes('chat.openai.com') || hostname.includes('chatgpt.com')) {
-      return 'chatgpt';
-    }
-
-    // Default fallback based on URL patterns
-    if (pathname.includes('/share/') || pathname.includes('/app/')) {
-      return 'gemini';
+  async detectSite() {
+    let customSites = [];
+    try {
+      ({ customSites = [] } = await chrome.storage.local.get(['customSites']));
+    } catch (error) {
+      log.warn('Could not load custom sites:', error);
     }
-
-    return 'chatgpt'; // Default fallback
+    return SiteRegistry.detect(window.location, customSites);
   }
 
   /**
@@ -57,31 +54,16 @@ class OctoGPT {
     if (this.isInitialized) return;
 
     // Detect site and initialize appropriate parser
-    this.site = this.detectSite();
-    
-    if (this.site === 'claude') {
-      if (typeof ClaudeParser === 'undefined') {
-        log.error('ClaudeParser not available');
-        return;
-      }
-      this.parser = new ClaudeParser();
-      log.info('Detected Claude, initializing Claude parser...');
-    } else if (this.site === 'gemini') {
-      if (typeof GeminiParser === 'undefined') {
-        log.error('GeminiParser not available');
-        return;
-      }
-      this.parser = new GeminiParser();
-      log.info('Detected Gemini, initializing Gemini parser...');
-    } else {
-      if (typeof ChatGPTParser === 'undefined') {
-        log.error('ChatGPTParser not available');
-        return;
-      }
-      this.parser = new ChatGPTParser();
-      log.info('Detected ChatGPT, initializing ChatGPT parser...');
+    this.adapter = await this.detectSite();
+    if (!this.adapter) {
+      log.info('No site adapter for this page');
+      return;
     }
 
+    this.site = this.adapter.id;
+    this.parser = this.adapter.createParser();
+    log.info(`Detected ${this.adapter.name}, initializing ${this.adapter.name} parser...`);
+
     log.info(`Waiting for ${this.site} to be ready...`);
 
     // Wait for site-specific DOM elements to be present
@@ -101,43 +83,7 @@ class OctoGPT {
       const CHECK_INTERVAL = 50;
       const startTime = Date.now();
 
-      const isReady = () => {
-        // Claude does NOT have a <main> element - it uses #main-content div instead
-        // Check for Claude first using early indicators that are always present
-        if (this.site === 'claude') {
-          // Claude-specific early indicators (available immediately on page load)
-          const isClaude = document.documentElement.getAttribute('data-theme') === 'claude' &&
-                          document.body?.classList.contains('chat-ui-core');
-          if (!isClaude) return false;
-          
-          // Check for input container or main content area (appear early)
-          const hasInputContainer = document.querySelector('[data-chat-input-container="true"]');
-          const hasMainContent = document.querySelector('#main-content');
-          const hasInteractiveInput = document.querySelector('[data-testid="chat-input"]');
-          const hasContent = document.querySelector('[data-testid="user-message"]') ||
-                             document.querySelector('[data-test-render-count]');
-          return hasInputContainer || hasMainContent || hasInteractiveInput || hasContent;
-        }
-        
-        // For ChatGPT and Gemini, require main element
-        const main = document.querySelector('main');
-        if (!main) return false;
-
-        if (this.site === 'gemini') {
-          // Gemini: check for user-query or model-response or input area
-          const hasContent = document.querySelector('user-query') ||
-                             document.querySelector('model-response') ||
-                             document.querySelector('.conversation-container');
-          const hasInput = document.querySelector('[aria-label*="Enter a prompt" i], [contenteditable="true"][role="textbox"]');
-          return hasContent || hasInput;
-        } else {
-          // ChatGPT: check for conversation turns or input area
-          const hasContent = document.querySelector('[data-testid^="conversation-turn-"]') ||
-                             document.querySelector('[data-message-author-role]');
-          const hasInput = document.querySelector('#prompt-textarea, textarea[placeholder], [contenteditable="true"]');
-          return hasContent || hasInput;
-        }
-      };
+      const isReady = () => this.adapter.isReady();
 
       const check = () => {
         if (isReady()) {
@@ -162,25 +108,7 @@ class OctoGPT {
    * Check if the current URL indicates a new chat (no chat ID)
    */
   isNewChatUrl() {
-    const pathname = window.location.pathname;
-    let isNew = false;
-
-    if (this.site === 'claude') {
-      // Claude new chat: /new or / (root with no path)
-      // Existing chat patterns:
-      //   - /chat/abc123... (direct chat)
-      //   - /project/xxx/chat/yyy (project chat)
-      // Use includes('/chat/') to catch both patterns
-      isNew = pathname === '/new' || pathname === '/' || !pathname.includes('/chat/');
-    } else if (this.site === 'gemini') {
-      // Gemini new chat: /app or /app/ (no ID after)
-      // Existing chat: /app/abc123...
-      isNew = pathname === '/app' || pathname === '/app/';
-    } else {
-      // ChatGPT new chat: / or empty (no /c/ segment)
-      // Existing chat: /c/abc123...
-      isNew = pathname === '/' || !pathname.includes('/c/');
-    }
+    const isNew = this.adapter.isNewChatUrl(window.location.pathname);
 
     log.nav(`isNewChatUrl: ${isNew}`);
     return isNew;
@@ -198,10 +126,19 @@ class OctoGPT {
 
     // Initialize sidebar
     if (window.OctoGPTSidebar) {
-      this.sidebar = new OctoGPTSidebar();
+      this.sidebar = new OctoGPTSidebar(this.adapter);
       await this.sidebar.init();
     }
 
+    // Initialize the local archive (does nothing until the user opts in)
+    if (window.OctoGPTArchiver) {
+      this.archiver = new OctoGPTArchiver(this.adapter);
+      await this.archiver.init();
+    }
+
+    // A search result may have opened this tab to jump to a specific prompt
+    await this.loadPendingJump();
+
     // CRITICAL: Setup navigation listener FIRST, before checking initial state
     // This ensures we catch any navigation that happens during initialization
     this.setupNavigationListener();
@@ -258,33 +195,21 @@ class OctoGPT {
    */
   hasConversationContent() {
     log.hasConvo('Checking for conversation content...');
-    if (this.site === 'claude') {
-      const hasConvo = !!(document.querySelector('[data-testid="user-message"]') ||
-                          document.querySelector('[data-is-streaming]') ||
-                          document.querySelector('.font-claude-response-body'));
-      if (hasConvo) log.hasConvo('Claude true');
-      else log.hasConvo('Claude false');
-      return hasConvo;
-    } else if (this.site === 'gemini') {
-      const hasConvo = !!(document.querySelector('user-query') || 
-                          document.querySelector('model-response') ||
-                          document.querySelector('.conversation-container'));
-      if (hasConvo) log.hasConvo('Gemini true');
-      else log.hasConvo('Gemini false');
-      return hasConvo;
-    } else {
-      const hasConvo = !!(document.querySelector('[data-testid^="conversation-turn-"]') ||
-                          document.querySelector('[data-message-author-role]'));
-      if (hasConvo) log.hasConvo('ChatGPT true');
-      else log.hasConvo('ChatGPT false');
-      return hasConvo;
-    }
+    const hasConvo = this.adapter.hasConversationContent();
+    log.hasConvo(`${this.adapter.name} ${hasConvo}`);
+    return hasConvo;
   }
 
   /**
    * Extract prompts and log to console for validation
    */
   extractAndLog() {
+    // The branch explorer is flipping through versions; only the path it settles on counts
+    if (this.sidebar?.branchExplorer?.isWalking) {
+      this.debouncedUpdate();
+      return;
+    }
+
     const now = Date.now();
 
     // Throttle updates
@@ -325,6 +250,9 @@ class OctoGPT {
 
     this.prompts = formattedPrompts;
 
+    // Prompts the site shows no send time for are dated by when we first saw them
+    this.syncFirstSeenTimes();
+
     // Update sidebar with new prompts
     if (this.sidebar) {
       this.sidebar.updatePrompts(formattedPrompts);
@@ -338,6 +266,15 @@ class OctoGPT {
       }
     }
 
+    if (this.pendingJump) {
+      this.applyPendingJump(formattedPrompts);
+    }
+
+    // Keep the local archive in step as turns arrive
+    if (this.archiver) {
+      this.archiver.schedule(formattedPrompts);
+    }
+
     // Log results for debugging
     log.info(`Found ${formattedPrompts.length} prompts`);
 
@@ -377,25 +314,7 @@ class OctoGPT {
    * Check if any response is currently streaming
    */
   isStreaming() {
-    if (this.site === 'claude') {
-      // Claude streaming indicators
-      const streamingIndicators = document.querySelectorAll(
-        '[data-is-streaming="true"], [class*="streaming"], [aria-busy="true"]'
-      );
-      return streamingIndicators.length > 0;
-    } else if (this.site === 'gemini') {
-      // Gemini streaming indicators
-      const streamingIndicators = document.querySelectorAll(
-        '[class*="streaming"], [aria-busy="true"], .response-container-header-processing-state:not(:empty)'
-      );
-      return streamingIndicators.length > 0;
-    } else {
-      // ChatGPT streaming indicators
-      const streamingIndicators = document.querySelectorAll(
-        '[class*="result-streaming"], [class*="streaming"], [data-testid="stop-button"]'
-      );
-      return streamingIndicators.length > 0;
-    }
+    return this.adapter.isStreaming();
   }
 
   /**
@@ -436,19 +355,14 @@ class OctoGPT {
   setupMutationObserver() {
     log.info('Setting up MutationObserver...');
 
-    // Target the main conversation container (Claude uses #main-content, not <main>)
-    let targetNode;
-    if (this.site === 'claude') {
-      targetNode = document.querySelector('#main-content') || document.body;
-    } else {
-      targetNode = document.querySelector('main') || document.body;
-    }
+    // Target the main conversation container (site-specific, e.g. Claude uses #main-content)
+    const targetNode = this.adapter.findObserverTarget();
 
     const config = {
       childList: true,
       subtree: true,
       attributes: false,
-      characterData: false,
+      characterData: true, // Only used to invalidate cached turns, never triggers an update
     };
 
     // Callback for mutations
@@ -469,6 +383,9 @@ class OctoGPT {
 
       let shouldUpdate = false;
 
+      // Cached turns the mutations touched are re-parsed on the next extraction
+      this.parser.invalidateTurns(mutationsList.map(mutation => mutation.target));
+
       for (const mutation of mutationsList) {
         if (mutation.type === 'childList') {
           // Check if added nodes contain message content
@@ -507,36 +424,7 @@ class OctoGPT {
    * Check if a node is a message node
    */
   isMessageNode(node) {
-    if (!node.querySelector) return false;
-
-    if (this.site === 'claude') {
-      // Claude message indicators
-      // Note: Claude doesn't use 'human' or 'assistant' class names
-      const hasUserMessage = node.hasAttribute?.('data-testid') &&
-        node.getAttribute('data-testid') === 'user-message';
-      const hasRenderCount = node.hasAttribute?.('data-test-render-count');
-      const hasStreaming = node.hasAttribute?.('data-is-streaming');
-      // Claude uses .font-claude-response-body for assistant response paragraphs (not .standard-markdown)
-      const hasMessageContent = node.querySelector?.('.font-claude-response-body, [data-testid="user-message"], .whitespace-pre-wrap');
-      
-      return hasUserMessage || hasRenderCount || hasStreaming || hasMessageContent;
-    } else if (this.site === 'gemini') {
-      // Gemini message indicators
-      const isUserQuery = node.tagName === 'USER-QUERY' || node.querySelector?.('user-query');
-      const isModelResponse = node.tagName === 'MODEL-RESPONSE' || node.querySelector?.('model-response');
-      const isConversationContainer = node.classList?.contains('conversation-container');
-      return isUserQuery || isModelResponse || isConversationContainer;
-    } else {
-      // ChatGPT message indicators
-      const hasMessageRole = node.hasAttribute?.('data-message-author-role');
-      const hasConversationTurn = node.hasAttribute?.('data-testid') &&
-        node.getAttribute('data-testid').startsWith('conversation-turn-');
-      const hasMessageContent = node.querySelector?.('[class*="markdown"], .whitespace-pre-wrap');
-
-      const isMessage = hasMessageRole || hasConversationTurn || hasMessageContent;
-      
-      return isMessage;
-    }
+    return this.adapter.isMessageNode(node);
   }
 
   /**
@@ -593,6 +481,11 @@ class OctoGPT {
       if (currentUrl !== lastUrl) {
         lastUrl = currentUrl;
 
+        // Save the conversation we are leaving before its prompts are cleared
+        if (this.archiver) {
+          this.archiver.flush();
+        }
+
         // Check URL to determine if this is a new chat
         if (this.isNewChatUrl()) {
           log.nav('Navigated to: new chat page');
@@ -622,8 +515,8 @@ class OctoGPT {
    * Wait for conversation content to appear, then extract
    */
   waitForContentAndExtract() {
-    // Claude's SPA transitions can be slower - use longer timeout
-    const maxWait = this.site === 'claude' ? 4000 : 2000;
+    // Some SPAs (e.g. Claude) transition slower - the adapter sets the timeout
+    const maxWait = this.adapter.contentWaitTimeout;
     const checkInterval = 100;
     const startTime = Date.now();
 
@@ -660,8 +553,8 @@ class OctoGPT {
    * but no user prompts have been made yet
    */
   waitForPromptsOrNewChat() {
-    // Claude's SPA can take longer to populate user messages after containers appear
-    const maxWait = this.site === 'claude' ? 3000 : 1500;
+    // Some SPAs (e.g. Claude) take longer to populate user messages after containers appear
+    const maxWait = this.adapter.promptWaitTimeout;
     const checkInterval = 200;
     const startTime = Date.now();
 
@@ -691,6 +584,132 @@ class OctoGPT {
     setTimeout(check, checkInterval);
   }
 
+  /**
+   * Load the stored first-seen times when the conversation changes, save new ones after
+   * Extraction does not wait for the load: prompts stamped in the meantime take the
+   * earlier stored time once it arrives.
+   */
+  syncFirstSeenTimes() {
+    const conversationId = this.parser.conversationId;
+    if (!conversationId) return;
+
+    if (conversationId !== this.firstSeenConversationId) {
+      this.firstSeenConversationId = conversationId;
+      this.firstSeenLoaded = false;
+      this.loadFirstSeenTimes(conversationId);
+    } else if (this.firstSeenLoaded && this.parser.firstSeenChanged) {
+      this.saveFirstSeenTimes(conversationId);
+    }
+  }
+
+  /**
+   * Merge a conversation's stored first-seen times into the parser
+   */
+  async loadFirstSeenTimes(conversationId) {
+    try {
+      const { firstSeenTimes = {} } = await chrome.storage.local.get(['firstSeenTimes']);
+      // The user moved on while storage was read
+      if (conversationId !== this.firstSeenConversationId) return;
+
+      const stored = firstSeenTimes[`${this.site}:${conversationId}`];
+      const changed = this.parser.mergeFirstSeenTimes(conversationId, stored?.times);
+      this.firstSeenLoaded = true;
+
+      if (this.parser.firstSeenChanged) {
+        await this.saveFirstSeenTimes(conversationId);
+      }
+      if (changed) {
+        this.debouncedUpdate();
+      }
+    } catch (error) {
+      log.error('Error loading first-seen times:', error);
+    }
+  }
+
+  /**
+   * Store the current conversation's first-seen times, dropping the least recently
+   * updated conversations beyond the limit
+   */
+  async saveFirstSeenTimes(conversationId) {
+    if (conversationId !== this.parser.firstSeenConversationId) return;
+    this.parser.firstSeenChanged = false;
+
+    try {
+      const { firstSeenTimes = {} } = await chrome.storage.local.get(['firstSeenTimes']);
+      firstSeenTimes[`${this.site}:${conversationId}`] = {
+        times: Object.fromEntries(this.parser.firstSeenTimes),
+        updatedAt: Date.now(),
+      };
+
+      const keys = Object.keys(firstSeenTimes)
+        .sort((a, b) => firstSeenTimes[b].updatedAt - firstSeenTimes[a].updatedAt);
+      keys.slice(this.config.firstSeenMaxConversations).forEach(key => delete firstSeenTimes[key]);
+
+      await chrome.storage.local.set({ firstSeenTimes });
+    } catch (error) {
+      log.error('Error saving first-seen times:', error);
+    }
+  }
+
+  /**
+   * Pick up a jump request left by the archive search page
+   * Requests for other conversations are left for the tab they belong to
+   */
+  async loadPendingJump() {
+    try {
+      const { pendingJump } = await chrome.storage.local.get(['pendingJump']);
+      if (!pendingJump) return;
+
+      if (Date.now() - pendingJump.createdAt > this.config.pendingJumpMaxAge) {
+        await chrome.storage.local.remove('pendingJump');
+        return;
+      }
+
+      const isThisConversation = pendingJump.site === this.site &&
+        pendingJump.conversationId === this.parser.getConversationId();
+      if (!isThisConversation) return;
+
+      await chrome.storage.local.remove('pendingJump');
+      this.pendingJump = pendingJump;
+      log.nav(`Pending jump to prompt ${pendingJump.turnIndex + 1}`);
+    } catch (error) {
+      log.error('Error loading pending jump:', error);
+    }
+  }
+
+  /**
+   * Scroll to the prompt a search result pointed at, once it has loaded
+   * Matches on prompt text (closest to the archived position), then on turn ID
+   */
+  applyPendingJump(prompts) {
+    const jump = this.pendingJump;
+
+    let index = -1;
+    prompts.forEach((prompt, i) => {
+      if (prompt.text !== jump.promptText) return;
+      if (index === -1 || Math.abs(i - jump.turnIndex) < Math.abs(index - jump.turnIndex)) {
+        index = i;
+      }
+    });
+    if (index === -1) {
+      index = prompts.findIndex(prompt => prompt.id === jump.turnId);
+    }
+
+    if (index === -1) {
+      // Not rendered yet - keep trying on later extractions until the request expires
+      if (Date.now() - jump.createdAt > this.config.pendingJumpMaxAge) {
+        log.warn('Pending jump target not found');
+        this.pendingJump = null;
+      }
+      return;
+    }
+
+    this.pendingJump = null;
+    if (this.sidebar) {
+      this.sidebar.handlePromptClick(index);
+    }
+  }
+
   /**
    * Get current prompts
    */
@@ -712,6 +731,11 @@ class OctoGPT {
       this.sidebar = null;
     }
 
+    if (this.archiver) {
+      this.archiver.destroy();
+      this.archiver = null;
+    }
+
     clearTimeout(this.debounceTimer);
     clearTimeout(this.streamingPollTimer);
 
@@ -0,0 +1,147 @@
+/**
+ * OctoGPT Conversation Format
+ * The canonical, versioned JSON form of a conversation, shared by every site
+ *
+ * Documented in docs/CONVERSATION_FORMAT.md, with a JSON Schema in
+ * docs/conversation.schema.json. Exports are built by OctoGPTExporter from the
+ * objects BaseParser.formatPromptsForDisplay returns; imports go through parse(),
+ * which validates against the same rules.
+ * No DOM access here, so extension pages and the service worker load this file too.
+ */
+
+const ConversationFormat = {
+  FORMAT: 'octogpt.conversation',
+  VERSION: 1,
+
+  HEADING_LEVELS: ['h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'strong', 'li', 'dt', 'pre'],
+  MAX_ERRORS: 20, // Stop reporting after this many problems
+
+  /**
+   * Wrap conversation fields with the format marker and version
+   */
+  create({ site, conversationId, title, url, capturedAt, turns }) {
+    return {
+      format: this.FORMAT,
+      version: this.VERSION,
+      site,
+      conversationId: conversationId || null,
+      title,
+      url: url || null,
+      capturedAt: capturedAt || new Date().toISOString(),
+      turns,
+    };
+  },
+
+  /**
+   * Parse and validate a JSON string
+   * @returns {{conversation: Object|null, errors: string[]}}
+   */
+  parse(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      return { conversation: null, errors: [`Not valid JSON: ${error.message}`] };
+    }
+
+    const errors = this.validate(data);
+    return { conversation: errors.length === 0 ? data : null, errors };
+  },
+
+  /**
+   * Check a parsed value against the format
+   * @returns {string[]} problems found, each prefixed with its path; empty when valid
+   */
+  validate(data) {
+    const errors = [];
+    const check = (condition, path, message) => {
+      if (!condition && errors.length < this.MAX_ERRORS) {
+        errors.push(`${path}: ${message}`);
+      }
+      return condition;
+    };
+
+    if (!check(this.isObject(data), '$', 'expected an object')) return errors;
+
+    check(data.format === this.FORMAT, '$.format', `expected "${this.FORMAT}"`);
+    if (check(Number.isInteger(data.version) && data.version >= 1, '$.version', 'expected a positive integer')) {
+      // Older versions are read as-is; newer ones may have fields we cannot interpret
+      if (!check(data.version <= this.VERSION, '$.version', `version ${data.version} is newer than supported (${this.VERSION})`)) {
+        return errors;
+      }
+    }
+
+    check(this.isNonEmptyString(data.site), '$.site', 'expected a non-empty string');
+    check(this.isStringOrNull(data.conversationId), '$.conversationId', 'expected a string or null');
+    check(typeof data.title === 'string', '$.title', 'expected a string');
+    check(this.isStringOrNull(data.url), '$.url', 'expected a string or null');
+    check(this.isDateString(data.capturedAt), '$.capturedAt', 'expected an ISO 8601 date-time');
+
+    if (!check(Array.isArray(data.turns), '$.turns', 'expected an array')) return errors;
+
+    data.turns.forEach((turn, i) => {
+      const path = `$.turns[${i}]`;
+      if (!check(this.isObject(turn), path, 'expected an object')) return;
+
+      check(this.isNonEmptyString(turn.id), `${path}.id`, 'expected a non-empty string');
+      check(Number.isInteger(turn.index) && turn.index >= 0, `${path}.index`, 'expected a non-negative integer');
+      check(turn.timestamp === null || this.isDateString(turn.timestamp), `${path}.timestamp`, 'expected an ISO 8601 date-time or null');
+
+      if (check(this.isObject(turn.prompt), `${path}.prompt`, 'expected an object')) {
+        check(typeof turn.prompt.text === 'string', `${path}.prompt.text`, 'expected a string');
+      }
+
+      if (check(this.isObject(turn.response), `${path}.response`, 'expected an object')) {
+        check(typeof turn.response.text === 'string', `${path}.response.text`, 'expected a string');
+        check(this.isStringOrNull(turn.response.html), `${path}.response.html`, 'expected a string or null');
+        check(this.isStringOrNull(turn.response.markdown), `${path}.response.markdown`, 'expected a string or null');
+      }
+
+      if (check(Array.isArray(turn.headings), `${path}.headings`, 'expected an array')) {
+        turn.headings.forEach((heading, j) => {
+          const headingPath = `${path}.headings[${j}]`;
+          if (!check(this.isObject(heading), headingPath, 'expected an object')) return;
+          check(this.HEADING_LEVELS.includes(heading.level), `${headingPath}.level`, `expected one of ${this.HEADING_LEVELS.join(', ')}`);
+          check(typeof heading.text === 'string', `${headingPath}.text`, 'expected a string');
+          check(Number.isInteger(heading.index) && heading.index >= 0, `${headingPath}.index`, 'expected a non-negative integer');
+          // Added after version 1 shipped, so older exports may not have them
+          check(heading.turnId === undefined || this.isStringOrNull(heading.turnId), `${headingPath}.turnId`, 'expected a string or null');
+          check(heading.depth === undefined || (Number.isInteger(heading.depth) && heading.depth >= 0), `${headingPath}.depth`, 'expected a non-negative integer');
+          check(heading.parent === undefined || (Number.isInteger(heading.parent) && heading.parent >= -1 && heading.parent < j), `${headingPath}.parent`, 'expected -1 or the index of an earlier heading');
+          check(heading.inferred === undefined || typeof heading.inferred === 'boolean', `${headingPath}.inferred`, 'expected a boolean');
+        });
+      }
+
+      if (check(this.isObject(turn.branch), `${path}.branch`, 'expected an object')) {
+        ['hasBranches', 'isEdited', 'isBranchPoint', 'inBranch'].forEach(key => {
+          check(typeof turn.branch[key] === 'boolean', `${path}.branch.${key}`, 'expected a boolean');
+        });
+        ['current', 'total'].forEach(key => {
+          const value = turn.branch[key];
+          check(value === null || (Number.isInteger(value) && value >= 1), `${path}.branch.${key}`, 'expected a positive integer or null');
+        });
+      }
+    });
+
+    return errors;
+  },
+
+  isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  },
+
+  isNonEmptyString(value) {
+    return typeof value === 'string' && value.length > 0;
+  },
+
+  isStringOrNull(value) {
+    return value === null || typeof value === 'string';
+  },
+
+  isDateString(value) {
+    return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value) && !isNaN(Date.parse(value));
+  },
+};
+
+// Export for use in content script, extension pages and the service worker (no window there)
+globalThis.ConversationFormat = ConversationFormat;
@@ -0,0 +1,403 @@
+/**
+ * OctoGPT Version Diff Module
+ * Side-by-side comparison of the versions of an edited prompt
+ *
+ * The page shows one version at a time, so the branch explorer clicks through
+ * them and reads each prompt, response and outline. Texts are compared word by
+ * word with Myers' diff; outlines are compared heading by heading.
+ */
+
+// Note: DEBUG and log are defined in parser.js (loaded first)
+
+class OctoGPTVersionDiff {
+  /**
+   * @param {SiteAdapter} adapter - Site whose prompts are compared
+   * @param {OctoGPTBranchExplorer} explorer - Drives the site's version buttons
+   */
+  constructor(adapter, explorer) {
+    this.adapter = adapter;
+    this.explorer = explorer;
+    this.panel = null;
+    this.versions = []; // Captured versions of the prompt being compared
+    this.promptIndex = -1;
+
+    this.config = {
+      maxEdits: 1000, // Past this many edits texts are shown as fully replaced
+    };
+
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+  }
+
+  /**
+   * Split text into word, whitespace and punctuation tokens
+   */
+  static tokenize(text) {
+    return (text || '').match(/\s+|[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu) || [];
+  }
+
+  /**
+   * Diff two token arrays
+   * @returns {Array<{type: 'equal'|'delete'|'insert', tokens: Array}>} Runs in order
+   */
+  static diff(before, after, maxEdits = Infinity) {
+    // Common prefix and suffix are cheap to strip and usually most of the text
+    let start = 0;
+    while (start < before.length && start < after.length && before[start] === after[start]) start++;
+    let endBefore = before.length;
+    let endAfter = after.length;
+    while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+      endBefore--;
+      endAfter--;
+    }
+
+    const a = before.slice(start, endBefore);
+    const b = after.slice(start, endAfter);
+    const middle = OctoGPTVersionDiff.myers(a, b, maxEdits) || [
+      ...a.map(token => ({ type: 'delete', token })),
+      ...b.map(token => ({ type: 'insert', token })),
+    ];
+
+    const ops = [
+      ...before.slice(0, start).map(token => ({ type: 'equal', token })),
+      ...middle,
+      ...before.slice(endBefore).map(token => ({ type: 'equal', token })),
+    ];
+
+    // Group consecutive tokens of the same type into runs
+    const runs = [];
+    for (const op of ops) {
+      const last = runs[runs.length - 1];
+      if (last && last.type === op.type) {
+        last.tokens.push(op.token);
+      } else {
+        runs.push({ type: op.type, tokens: [op.token] });
+      }
+    }
+    return runs;
+  }
+
+  /**
+   * Myers' O(ND) shortest edit script
+   * @returns {Array<{type: string, token: *}>|null} null when more than maxEdits edits are needed
+   */
+  static myers(a, b, maxEdits) {
+    const n = a.length;
+    const m = b.length;
+    const max = Math.min(n + m, maxEdits);
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+
+    for (let d = 0; d <= max; d++) {
+      trace.push(v.slice());
+      for (let k = -d; k <= d; k += 2) {
+        const down = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]);
+        let x = down ? v[offset + k + 1] : v[offset + k - 1] + 1;
+        let y = x - k;
+        while (x < n && y < m && a[x] === b[y]) {
+          x++;
+          y++;
+        }
+        v[offset + k] = x;
+
+        if (x >= n && y >= m) {
+          return OctoGPTVersionDiff.backtrack(a, b, trace, offset, d);
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Walk the saved frontiers back from the end to recover the edit script
+   */
+  static backtrack(a, b, trace, offset, depth) {
+    const ops = [];
+    let x = a.length;
+    let y = b.length;
+
+    for (let d = depth; d > 0; d--) {
+      const v = trace[d];
+      const k = x - y;
+      const down = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]);
+      const prevK = down ? k + 1 : k - 1;
+      const prevX = v[offset + prevK];
+      const prevY = prevX - prevK;
+
+      while (x > prevX && y > prevY) {
+        ops.push({ type: 'equal', token: a[--x] });
+        y--;
+      }
+      if (down) {
+        ops.push({ type: 'insert', token: b[--y] });
+      } else {
+        ops.push({ type: 'delete', token: a[--x] });
+      }
+    }
+    while (x > 0 && y > 0) {
+      ops.push({ type: 'equal', token: a[--x] });
+      y--;
+    }
+
+    return ops.reverse();
+  }
+
+  /**
+   * Create the (hidden) panel inside the extension's root container
+   */
+  mount(container) {
+    this.panel = document.createElement('div');
+    this.panel.className = 'octogpt-diff-panel';
+    this.panel.setAttribute('role', 'dialog');
+    this.panel.setAttribute('aria-label', 'Compare prompt versions');
+    this.panel.setAttribute('aria-modal', 'true');
+
+    this.panel.innerHTML = `
+      <div class="octogpt-diff-panel__backdrop"></div>
+      <div class="octogpt-diff-panel__container">
+        <div class="octogpt-diff-panel__header">
+          <h2 class="octogpt-diff-panel__title">Compare versions</h2>
+          <div class="octogpt-diff-panel__pickers">
+            <select class="octogpt-diff-panel__select" data-side="before" aria-label="Older version"></select>
+            <span class="octogpt-diff-panel__arrow">&rarr;</span>
+            <select class="octogpt-diff-panel__select" data-side="after" aria-label="Newer version"></select>
+          </div>
+          <button class="octogpt-diff-panel__close-btn" aria-label="Close comparison">
+            <svg viewBox="0 0 16 16" width="16" height="16">
+              <path fill="currentColor" d="M3.72 3.72a.75.75 0 0 1 1.06 0L8 6.94l3.22-3.22a.75.75 0 1 1 1.06 1.06L9.06 8l3.22 3.22a.75.75 0 1 1-1.06 1.06L8 9.06l-3.22 3.22a.75.75 0 0 1-1.06-1.06L6.94 8 3.72 4.78a.75.75 0 0 1 0-1.06z"/>
+            </svg>
+          </button>
+        </div>
+        <div class="octogpt-diff-panel__body"></div>
+      </div>
+    `;
+
+    this.panel.querySelector('.octogpt-diff-panel__backdrop').addEventListener('click', () => this.close());
+    this.panel.querySelector('.octogpt-diff-panel__close-btn').addEventListener('click', () => this.close());
+    this.panel.querySelectorAll('.octogpt-diff-panel__select').forEach(select => {
+      select.addEventListener('change', () => this.render());
+    });
+
+    container.appendChild(this.panel);
+  }
+
+  /**
+   * Read every version of a prompt and show the comparison
+   * @param {number} promptIndex - Index of the edited prompt
+   * @param {number} [sidebarOffset] - Width of the visible sidebar, kept uncovered
+   */
+  async open(promptIndex, sidebarOffset = 0) {
+    if (!this.panel || this.explorer.isWalking) return;
+
+    this.promptIndex = promptIndex;
+    this.versions = [];
+    this.panel.style.setProperty('--sidebar-offset', `${sidebarOffset}px`);
+    this.panel.classList.add('octogpt-diff-panel--open');
+    document.addEventListener('keydown', this.handleKeyDown, true);
+
+    if (this.adapter.isStreaming()) {
+      this.showMessage('Wait for the response to finish, then compare again.');
+      return;
+    }
+
+    this.showMessage('Reading versions...');
+    try {
+      this.versions = await this.explorer.captureVersions(promptIndex);
+    } catch (error) {
+      log.error('Error reading prompt versions:', error);
+    }
+
+    if (this.versions.length < 2) {
+      this.showMessage('Could not read more than one version of this prompt.');
+      return;
+    }
+
+    // Default to the version on screen against the one before it
+    const current = this.versions.findIndex(version => version.isCurrent);
+    const after = current > 0 ? current : 1;
+    this.fillPickers(after - 1, after);
+    this.render();
+  }
+
+  /**
+   * Hide the panel
+   */
+  close() {
+    if (!this.panel) return;
+    this.panel.classList.remove('octogpt-diff-panel--open');
+    document.removeEventListener('keydown', this.handleKeyDown, true);
+  }
+
+  /**
+   * Close on Escape
+   */
+  handleKeyDown(event) {
+    if (event.key === 'Escape') {
+      event.preventDefault();
+      event.stopPropagation();
+      this.close();
+    }
+  }
+
+  /**
+   * List the captured versions in both pickers
+   */
+  fillPickers(beforeIndex, afterIndex) {
+    const options = this.versions
+      .map((version, i) => `<option value="${i}">Version ${version.version} of ${this.versions.length}</option>`)
+      .join('');
+
+    const before = this.panel.querySelector('[data-side="before"]');
+    const after = this.panel.querySelector('[data-side="after"]');
+    before.innerHTML = options;
+    after.innerHTML = options;
+    before.value = String(beforeIndex);
+    after.value = String(afterIndex);
+  }
+
+  /**
+   * Replace the body with a single message
+   */
+  showMessage(message) {
+    const body = this.panel.querySelector('.octogpt-diff-panel__body');
+    const text = document.createElement('div');
+    text.className = 'octogpt-diff-panel__message';
+    text.textContent = message;
+    body.replaceChildren(text);
+    this.panel.querySelector('.octogpt-diff-panel__pickers').hidden = this.versions.length < 2;
+  }
+
+  /**
+   * Render prompt, response and outline sections for the selected pair
+   */
+  render() {
+    const before = this.versions[this.panel.querySelector('[data-side="before"]').value];
+    const after = this.versions[this.panel.querySelector('[data-side="after"]').value];
+    if (!before || !after) return;
+
+    this.panel.querySelector('.octogpt-diff-panel__pickers').hidden = false;
+    const body = this.panel.querySelector('.octogpt-diff-panel__body');
+    body.replaceChildren(
+      this.createTextSection('Prompt', before.text, after.text),
+      this.createTextSection('Response', before.responseText, after.responseText),
+      this.createOutlineSection(before.headings, after.headings),
+    );
+  }
+
+  /**
+   * Word diff of two texts, removed words marked on the left and added words on the right
+   */
+  createTextSection(title, beforeText, afterText) {
+    const runs = OctoGPTVersionDiff.diff(
+      OctoGPTVersionDiff.tokenize(beforeText),
+      OctoGPTVersionDiff.tokenize(afterText),
+      this.config.maxEdits
+    );
+
+    let left = '';
+    let right = '';
+    let removed = 0;
+    let added = 0;
+    for (const run of runs) {
+      const html = this.escapeHtml(run.tokens.join(''));
+      const words = run.tokens.filter(token => /\S/.test(token)).length;
+      if (run.type === 'equal') {
+        left += html;
+        right += html;
+      } else if (run.type === 'delete') {
+        left += `<del class="octogpt-diff-panel__removed">${html}</del>`;
+        removed += words;
+      } else {
+        right += `<ins class="octogpt-diff-panel__added">${html}</ins>`;
+        added += words;
+      }
+    }
+
+    const summary = removed === 0 && added === 0
+      ? 'No changes'
+      : `+${added} / −${removed} ${added + removed === 1 ? 'word' : 'words'}`;
+    return this.createSection(title, summary, left, right);
+  }
+
+  /**
+   * Heading-by-heading diff of two outlines
+   */
+  createOutlineSection(beforeHeadings, afterHeadings) {
+    const key = heading => `${heading.level}\u0000${heading.text}`;
+    const runs = OctoGPTVersionDiff.diff(beforeHeadings.map(key), afterHeadings.map(key), this.config.maxEdits);
+
+    let left = '';
+    let right = '';
+    let removed = 0;
+    let added = 0;
+    const row = (token, modifier) => {
+      const [level, text] = token.split('\u0000');
+      const depth = Math.max(0, (parseInt(level.replace(/\D/g, ''), 10) || 2) - 2);
+      const className = modifier
+        ? `octogpt-diff-panel__heading octogpt-diff-panel__heading--${modifier}`
+        : 'octogpt-diff-panel__heading';
+      return `<div class="${className}" style="padding-left: ${depth * 12}px">${this.escapeHtml(text)}</div>`;
+    };
+
+    for (const run of runs) {
+      for (const token of run.tokens) {
+        if (run.type === 'equal') {
+          left += row(token);
+          right += row(token);
+        } else if (run.type === 'delete') {
+          left += row(token, 'removed');
+          removed++;
+        } else {
+          right += row(token, 'added');
+          added++;
+        }
+      }
+    }
+
+    const empty = '<div class="octogpt-diff-panel__empty">No headings</div>';
+    const summary = removed === 0 && added === 0
+      ? 'No changes'
+      : `+${added} / −${removed} ${added + removed === 1 ? 'heading' : 'headings'}`;
+    return this.createSection('Outline', summary, left || empty, right || empty);
+  }
+
+  /**
+   * A titled section with two side-by-side panes
+   */
+  createSection(title, summary, leftHtml, rightHtml) {
+    const section = document.createElement('section');
+    section.className = 'octogpt-diff-panel__section';
+    section.innerHTML = `
+      <div class="octogpt-diff-panel__section-header">
+        <h3 class="octogpt-diff-panel__section-title">${title}</h3>
+        <span class="octogpt-diff-panel__summary">${summary}</span>
+      </div>
+      <div class="octogpt-diff-panel__columns">
+        <div class="octogpt-diff-panel__pane">${leftHtml}</div>
+        <div class="octogpt-diff-panel__pane">${rightHtml}</div>
+      </div>
+    `;
+    return section;
+  }
+
+  /**
+   * Escape HTML to prevent XSS
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  /**
+   * Cleanup
+   */
+  destroy() {
+    this.close();
+    this.panel?.remove();
+    this.panel = null;
+  }
+}
+
+// Export for use in content script
+window.OctoGPTVersionDiff = OctoGPTVersionDiff;
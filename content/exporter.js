@@ -0,0 +1,544 @@
+/**
+ * OctoGPT Exporter Module
+ * Exports the current conversation as a downloadable Markdown or JSON file
+ *
+ * Responses are converted from their rendered HTML, so formatting survives
+ * (headings, lists, tables, code fences). The table of contents is built from
+ * the same prompt/heading outline the sidebar shows. JSON exports follow
+ * ConversationFormat (conversation-format.js).
+ */
+
+// Note: DEBUG and log are defined in parser.js (loaded first)
+
+class OctoGPTExporter {
+  /**
+   * @param {SiteAdapter} adapter - Resolves responses, headings and the title
+   */
+  constructor(adapter) {
+    this.adapter = adapter;
+
+    this.config = {
+      maxSectionTitleLength: 80, // Prompt text is cut to this in section headings
+    };
+
+    // Site UI inside responses that should never end up in an export
+    this.skipSelector = 'button, svg, script, style, .sr-only, .katex-html, .code-block-decoration';
+
+    this.blockTags = new Set([
+      'ADDRESS', 'ARTICLE', 'ASIDE', 'BLOCKQUOTE', 'DETAILS', 'DIV', 'DL', 'FIGURE',
+      'FOOTER', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'HEADER', 'HR', 'LI', 'OL',
+      'P', 'PRE', 'SECTION', 'SUMMARY', 'TABLE', 'UL',
+    ]);
+  }
+
+  /**
+   * Build the Markdown for a conversation and download it
+   */
+  exportMarkdown(prompts) {
+    const title = this.adapter.getConversationTitle();
+    const markdown = this.buildMarkdown(prompts, title);
+    this.download(markdown, `${this.toFilename(title)}.md`, 'text/markdown');
+    log.info(`Exported ${prompts.length} prompts as Markdown`);
+  }
+
+  /**
+   * Build the canonical JSON for a conversation and download it
+   */
+  exportJSON(prompts) {
+    const conversation = this.buildConversation(prompts);
+    const json = JSON.stringify(conversation, null, 2);
+    this.download(json, `${this.toFilename(conversation.title)}.json`, 'application/json');
+    log.info(`Exported ${prompts.length} prompts as JSON`);
+  }
+
+  /**
+   * Build a ConversationFormat object from formatPromptsForDisplay output
+   * Live DOM references (element, responseElement, branch buttons) are dropped
+   * @param {Object} [meta] - conversationId, title and url captured earlier;
+   *   defaults to the current page
+   */
+  buildConversation(prompts, meta = {}) {
+    const turns = prompts.map((prompt, index) => {
+      const responseElement = this.adapter.resolveResponseElement(prompt);
+      const branchInfo = prompt.branchInfo || {};
+      const time = prompt.timestamp ? new Date(prompt.timestamp) : null;
+
+      return {
+        id: prompt.id,
+        index,
+        timestamp: time && !isNaN(time) ? time.toISOString() : null,
+        prompt: {
+          text: prompt.text || '',
+        },
+        response: {
+          text: prompt.responseText || '',
+          html: responseElement ? responseElement.innerHTML : null,
+          markdown: responseElement
+            ? this.convertResponse(prompt, responseElement, this.createSlugger(), { nested: false }).markdown
+            : null,
+        },
+        headings: (prompt.headings || []).map((heading, headingIndex) => ({
+          level: heading.level,
+          text: heading.text,
+          index: headingIndex,
+          turnId: heading.turnId || null,
+          depth: heading.depth || 0,
+          parent: heading.parent ?? -1,
+          inferred: !!heading.inferred,
+        })),
+        branch: {
+          hasBranches: !!branchInfo.hasBranches,
+          current: Number.isInteger(branchInfo.current) ? branchInfo.current : null,
+          total: Number.isInteger(branchInfo.total) ? branchInfo.total : null,
+          isEdited: !!prompt.isEdited,
+          isBranchPoint: !!prompt.isBranchPoint,
+          inBranch: !!prompt.inBranch,
+        },
+      };
+    });
+
+    return ConversationFormat.create({
+      site: this.adapter.id,
+      conversationId: meta.conversationId ?? this.adapter.parser?.conversationId,
+      title: meta.title ?? this.adapter.getConversationTitle(),
+      url: meta.url ?? window.location.href,
+      turns,
+    });
+  }
+
+  /**
+   * Build the full document: title, source line, TOC, then one section per prompt
+   */
+  buildMarkdown(prompts, title) {
+    const slugger = this.createSlugger();
+    slugger.slug(title);
+
+    const contentsTitle = 'Contents';
+    slugger.slug(contentsTitle);
+
+    // Sections first: anchors must be assigned in document order for the TOC links
+    const sections = prompts.map((prompt, index) => this.buildSection(prompt, index, slugger));
+
+    const toc = sections.map((section, index) => {
+      const lines = [`${index + 1}. [${this.escapeLinkText(section.label)}](#${section.anchor})`];
+      const minDepth = Math.min(...section.tocHeadings.map(heading => heading.depth));
+      section.tocHeadings.forEach(heading => {
+        const indent = '   ' + '  '.repeat(heading.depth - minDepth);
+        lines.push(`${indent}- [${this.escapeLinkText(heading.text)}](#${heading.anchor})`);
+      });
+      return lines.join('\n');
+    });
+
+    const source = `Exported from ${this.adapter.name} on ${new Date().toISOString().slice(0, 10)}` +
+      ` - <${window.location.href}>`;
+
+    const parts = [`# ${title}`, source];
+    if (toc.length > 0) {
+      parts.push(`## ${contentsTitle}`, toc.join('\n'));
+    }
+    sections.forEach(section => parts.push('---', section.markdown));
+
+    return parts.join('\n\n') + '\n';
+  }
+
+  /**
+   * Build one prompt section: heading, the prompt as a quote, then the response
+   * @returns {{label: string, anchor: string, tocHeadings: Array, markdown: string}}
+   */
+  buildSection(prompt, index, slugger) {
+    const promptText = (prompt.text || '').trim();
+    const label = this.truncate(promptText, this.config.maxSectionTitleLength);
+    const title = `${index + 1}. ${label}`;
+    const anchor = slugger.slug(title);
+
+    const responseElement = this.adapter.resolveResponseElement(prompt);
+    let response = { markdown: prompt.responseText || '', tocHeadings: [] };
+    if (responseElement) {
+      response = this.convertResponse(prompt, responseElement, slugger);
+    }
+    // Otherwise the turn is not mounted (virtualized or still loading) - keep the plain text
+
+    const quote = promptText.split('\n').map(line => `> ${line}`).join('\n');
+    const markdown = [`## ${title}`, quote, response.markdown].filter(Boolean).join('\n\n');
+
+    return { label, anchor, tocHeadings: response.tocHeadings, markdown };
+  }
+
+  /**
+   * Convert a mounted response to Markdown
+   * Nested responses have their headings moved under the prompt section; standalone
+   * ones (JSON export) keep the site's heading levels
+   * @returns {{markdown: string, tocHeadings: Array}} tocHeadings are the outline
+   *   headings that were found, with the anchors the slugger gave them
+   */
+  convertResponse(prompt, responseElement, slugger, { nested = true } = {}) {
+    // Map outline headings to their elements so the converter can anchor them
+    const outline = new Map();
+    (prompt.headings || []).forEach(heading => {
+      const element = this.adapter.findHeadingElement(heading);
+      if (element) outline.set(element, heading);
+    });
+
+    const context = {
+      slugger,
+      outline,
+      tocHeadings: [],
+      minHeadingLevel: nested ? 3 : 1,
+      levelShift: nested ? this.getHeadingLevelShift(responseElement) : 0,
+    };
+
+    const markdown = this.normalize(this.convertChildren(responseElement, context));
+    return { markdown, tocHeadings: context.tocHeadings };
+  }
+
+  /**
+   * Shift response headings so the largest one sits one level under the prompt section
+   */
+  getHeadingLevelShift(responseElement) {
+    const levels = Array.from(responseElement.querySelectorAll('h1, h2, h3, h4, h5, h6'))
+      .map(heading => parseInt(heading.tagName.substring(1), 10));
+    return levels.length > 0 ? 3 - Math.min(...levels) : 0;
+  }
+
+  /**
+   * Convert the child nodes of an element
+   */
+  convertChildren(element, context) {
+    let markdown = '';
+    for (const child of element.childNodes) {
+      markdown += this.convertNode(child, context);
+    }
+    return markdown;
+  }
+
+  /**
+   * Convert a single node to Markdown
+   * Block elements return text padded with blank lines; normalize() collapses them
+   */
+  convertNode(node, context) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return this.convertText(node);
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return '';
+
+    const element = node;
+    if (element.matches(this.skipSelector)) return '';
+
+    // Inferred outline entries that are not headings (terms, code blocks) get an
+    // HTML anchor so the TOC can link to them; list items get theirs in convertList
+    const anchor = element.tagName === 'LI' ? '' : this.convertOutlineAnchor(element, context);
+    const markdown = this.convertElement(element, context);
+    return anchor ? `\n\n${anchor}\n\n${markdown}` : markdown;
+  }
+
+  /**
+   * Convert an element node to Markdown
+   */
+  convertElement(element, context) {
+    // KaTeX keeps the TeX source in its MathML annotation
+    if (element.classList.contains('katex')) {
+      const tex = element.querySelector('annotation[encoding="application/x-tex"]')?.textContent.trim();
+      if (tex) {
+        return element.closest('.katex-display') ? `\n\n$$\n${tex}\n$$\n\n` : `$${tex}$`;
+      }
+    }
+
+    const tag = element.tagName;
+
+    // Bold lead-ins in the inferred outline become headings
+    if (tag === 'P') {
+      const strongHeading = this.findOutlineStrong(element, context);
+      if (strongHeading) {
+        const heading = this.convertHeading(strongHeading, 3, context);
+        const rest = this.convertChildrenExcept(element, strongHeading, context).trim();
+        return `\n\n${heading}\n\n${rest}\n\n`;
+      }
+    }
+
+    switch (tag) {
+      case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6': {
+        const level = Math.min(6, Math.max(context.minHeadingLevel, parseInt(tag.substring(1), 10) + context.levelShift));
+        return `\n\n${this.convertHeading(element, level, context)}\n\n`;
+      }
+      case 'P':
+        return `\n\n${this.convertChildren(element, context).trim()}\n\n`;
+      case 'BR':
+        return '  \n';
+      case 'HR':
+        return '\n\n---\n\n';
+      case 'STRONG': case 'B':
+        return this.wrapInline(this.convertChildren(element, context), '**');
+      case 'EM': case 'I':
+        return this.wrapInline(this.convertChildren(element, context), '*');
+      case 'DEL': case 'S':
+        return this.wrapInline(this.convertChildren(element, context), '~~');
+      case 'CODE':
+        return this.convertInlineCode(element.textContent);
+      case 'PRE':
+        return this.convertCodeBlock(element);
+      case 'A': {
+        const text = this.convertChildren(element, context).trim();
+        const href = element.href || element.getAttribute('href');
+        if (!href || href.startsWith('javascript:')) return text;
+        return `[${text || href}](${href})`;
+      }
+      case 'IMG': {
+        const src = element.src || element.getAttribute('src');
+        return src ? `![${element.alt || ''}](${src})` : '';
+      }
+      case 'UL': case 'OL':
+        return this.convertList(element, context);
+      case 'BLOCKQUOTE': {
+        const inner = this.normalize(this.convertChildren(element, context));
+        return `\n\n${inner.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n')}\n\n`;
+      }
+      case 'TABLE':
+        return this.convertTable(element, context);
+      default: {
+        const inner = this.convertChildren(element, context);
+        return this.blockTags.has(tag) ? `\n\n${inner}\n\n` : inner;
+      }
+    }
+  }
+
+  /**
+   * Collapse whitespace in text; whitespace-only nodes between blocks are dropped
+   */
+  convertText(node) {
+    const text = node.nodeValue.replace(/\s+/g, ' ');
+    if (text !== ' ') return text;
+
+    const isBlock = sibling => sibling?.nodeType === Node.ELEMENT_NODE && this.blockTags.has(sibling.tagName);
+    return isBlock(node.previousSibling) || isBlock(node.nextSibling) ? '' : ' ';
+  }
+
+  /**
+   * Emit a heading line, registering its anchor when it is part of the sidebar outline
+   */
+  convertHeading(element, level, context) {
+    const text = this.convertChildren(element, context).replace(/\s+/g, ' ').trim();
+    const anchor = context.slugger.slug(text);
+
+    const outlineHeading = context.outline.get(element);
+    if (outlineHeading) {
+      const depth = outlineHeading.level === 'strong' ? 0 : parseInt(outlineHeading.level.substring(1), 10);
+      context.tocHeadings.push({ text: outlineHeading.text, anchor, depth });
+    }
+
+    return `${'#'.repeat(level)} ${text}`;
+  }
+
+  /**
+   * Register an inferred list item, term or code block in the TOC
+   * @returns {string} an empty anchor element to place before it, or '' when the
+   *   element is not one of those outline entries
+   */
+  convertOutlineAnchor(element, context) {
+    const outlineHeading = context.outline.get(element);
+    if (!outlineHeading || !['li', 'dt', 'pre'].includes(outlineHeading.level)) return '';
+
+    const anchor = context.slugger.slug(outlineHeading.text);
+    context.tocHeadings.push({ text: outlineHeading.text, anchor, depth: outlineHeading.depth || 0 });
+    return `<a id="${anchor}"></a>`;
+  }
+
+  /**
+   * Find an outline <strong> or <b> heading that leads a paragraph
+   */
+  findOutlineStrong(paragraph, context) {
+    for (const [element, heading] of context.outline) {
+      if (heading.level === 'strong' && element.closest('p') === paragraph) {
+        return element;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Convert an element's children, leaving one descendant out
+   */
+  convertChildrenExcept(element, excluded, context) {
+    let markdown = '';
+    for (const child of element.childNodes) {
+      if (child === excluded) continue;
+      if (child.nodeType === Node.ELEMENT_NODE && child.contains(excluded)) {
+        markdown += this.convertChildrenExcept(child, excluded, context);
+      } else {
+        markdown += this.convertNode(child, context);
+      }
+    }
+    // Drop the colon or dash that usually follows a pseudo-heading
+    return markdown.replace(/^\s*[:\-–—]\s*/, '');
+  }
+
+  /**
+   * Wrap inline text in a marker, keeping surrounding spaces outside it
+   */
+  wrapInline(text, marker) {
+    const match = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    if (!match[2]) return text;
+    return `${match[1]}${marker}${match[2]}${marker}${match[3]}`;
+  }
+
+  /**
+   * Inline code, with a fence longer than any backtick run inside it
+   */
+  convertInlineCode(text) {
+    const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(longestRun + 1);
+    const padding = text.startsWith('`') || text.endsWith('`') ? ' ' : '';
+    return `${fence}${padding}${text}${padding}${fence}`;
+  }
+
+  /**
+   * Fenced code block with the language when the site exposes it
+   */
+  convertCodeBlock(pre) {
+    const code = pre.querySelector('code') || pre;
+    const text = code.textContent.replace(/\n$/, '');
+    const longestRun = Math.max(0, ...(text.match(/`{3,}/g) || []).map(run => run.length));
+    const fence = '`'.repeat(Math.max(3, longestRun + 1));
+    return `\n\n${fence}${BaseParser.getCodeLanguage(pre, code)}\n${text}\n${fence}\n\n`;
+  }
+
+  /**
+   * Bulleted or numbered list; nested lists and multi-line items are indented
+   */
+  convertList(list, context) {
+    const ordered = list.tagName === 'OL';
+    let number = parseInt(list.getAttribute('start'), 10) || 1;
+
+    const items = Array.from(list.children)
+      .filter(child => child.tagName === 'LI')
+      .map(item => {
+        const marker = ordered ? `${number++}. ` : '- ';
+        const anchor = this.convertOutlineAnchor(item, context);
+        let body = anchor + this.normalize(this.convertChildren(item, context));
+        if (!item.querySelector(':scope > p')) {
+          // Tight item: keep a nested list directly under its text
+          body = body.replace(/\n\n(?=(?:[-*]|\d+\.) )/g, '\n');
+        }
+        const indent = ' '.repeat(marker.length);
+        return marker + body.split('\n').map((line, i) => (i === 0 || !line ? line : indent + line)).join('\n');
+      });
+
+    return `\n\n${items.join('\n')}\n\n`;
+  }
+
+  /**
+   * GitHub-flavored Markdown table; the first row is the header
+   */
+  convertTable(table, context) {
+    const rows = Array.from(table.querySelectorAll('tr'))
+      .filter(row => row.closest('table') === table)
+      .map(row => Array.from(row.children)
+        .filter(cell => cell.tagName === 'TD' || cell.tagName === 'TH')
+        .map(cell => this.normalize(this.convertChildren(cell, context))
+          .replace(/\n+/g, '<br>')
+          .replace(/\|/g, '\\|')));
+
+    if (rows.length === 0) return '';
+
+    const columns = Math.max(...rows.map(row => row.length));
+    const toLine = row => `| ${Array.from({ length: columns }, (_, i) => row[i] || '').join(' | ')} |`;
+    const lines = [toLine(rows[0]), `| ${Array(columns).fill('---').join(' | ')} |`, ...rows.slice(1).map(toLine)];
+
+    return `\n\n${lines.join('\n')}\n\n`;
+  }
+
+  /**
+   * Tidy converted output: trailing spaces, stray indentation and extra blank lines
+   * Code fences are left untouched
+   */
+  normalize(markdown) {
+    const lines = markdown.split('\n');
+    const result = [];
+    let fence = null;
+
+    for (const line of lines) {
+      const fenceMatch = line.match(/^\s*(`{3,})/);
+      if (fence) {
+        result.push(line);
+        if (fenceMatch && fenceMatch[1].length >= fence.length && line.trim() === fenceMatch[1]) fence = null;
+        continue;
+      }
+      if (fenceMatch) fence = fenceMatch[1];
+
+      // Keep hard line breaks ("  " at end), drop other trailing whitespace
+      const trimmed = line.endsWith('  ') && line.trim() ? line.replace(/\s+$/, '  ') : line.replace(/\s+$/, '');
+      result.push(trimmed.replace(/^ (?=\S)/, ''));
+    }
+
+    return result.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+  }
+
+  /**
+   * Create a GitHub-style heading slugger that de-duplicates repeated titles
+   */
+  createSlugger() {
+    const seen = new Map();
+    return {
+      slug(text) {
+        const base = text
+          .toLowerCase()
+          .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+          .trim()
+          .replace(/\s/g, '-');
+        const count = seen.get(base) || 0;
+        seen.set(base, count + 1);
+        return count === 0 ? base : `${base}-${count}`;
+      },
+    };
+  }
+
+  /**
+   * Escape brackets so link text cannot end the link early
+   */
+  escapeLinkText(text) {
+    return text.replace(/([[\]\\])/g, '\\$1');
+  }
+
+  /**
+   * Truncate to a single line of at most maxLength characters
+   */
+  truncate(text, maxLength) {
+    const line = text.replace(/\s+/g, ' ').trim();
+    return line.length <= maxLength ? line : `${line.substring(0, maxLength).trim()}...`;
+  }
+
+  /**
+   * Turn a conversation title into a safe file name
+   */
+  toFilename(title) {
+    const name = title
+      .replace(/[\\/:*?"<>|]+/g, '')
+      .replace(/\s+/g, '-')
+      .substring(0, 80)
+      .replace(/^[-.]+|[-.]+$/g, '');
+    return name || 'conversation';
+  }
+
+  /**
+   * Download text or bytes as a file through a temporary object URL
+   */
+  download(content, filename, mimeType) {
+    // Text gets an explicit charset; binary content (zip) is passed as bytes
+    const type = typeof content === 'string' ? `${mimeType};charset=utf-8` : mimeType;
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Revoke after the click has been handled
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+}
+
+// Export for use in content script
+window.OctoGPTExporter = OctoGPTExporter;
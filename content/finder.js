@@ -0,0 +1,228 @@
+/**
+ * OctoGPT Finder Module
+ * Full-text "find in conversation" over assistant responses
+ *
+ * Hits are computed from the responseText each parser keeps, so turns the site
+ * has virtualized out of the DOM still show up in the results. Matches are
+ * highlighted in the page with the CSS Custom Highlight API, which paints ranges
+ * without touching the site's DOM (no React hydration conflicts).
+ */
+
+// Note: DEBUG and log are defined in parser.js (loaded first)
+
+class OctoGPTFinder {
+  /**
+   * @param {SiteAdapter} adapter - Used to re-resolve responses after re-renders
+   */
+  constructor(adapter) {
+    this.adapter = adapter;
+    this.query = '';
+    this.hits = []; // [{ promptIndex, occurrence, snippet }]
+    this.currentIndex = -1;
+
+    this.config = {
+      maxHits: 500, // Stop collecting after this many hits
+      snippetContext: 30, // Characters shown on each side of a match
+    };
+
+    // Highlight registry names, styled in styles.css via ::highlight()
+    this.highlightName = 'octogpt-find';
+    this.currentHighlightName = 'octogpt-find-current';
+  }
+
+  /**
+   * Check if the browser can paint highlights without touching the DOM
+   */
+  supportsHighlights() {
+    return typeof CSS !== 'undefined' && !!CSS.highlights && typeof Highlight !== 'undefined';
+  }
+
+  /**
+   * Search every prompt's response text for the query (case-insensitive)
+   * @returns {Array} hits in conversation order
+   */
+  search(query, prompts) {
+    this.query = query;
+    this.hits = [];
+    this.currentIndex = -1;
+
+    // Response text has whitespace collapsed, so collapse the query the same way
+    const needle = query.toLowerCase().replace(/\s+/g, ' ').trim();
+    if (!needle) {
+      this.clearHighlights();
+      return this.hits;
+    }
+
+    for (let promptIndex = 0; promptIndex < prompts.length; promptIndex++) {
+      const text = prompts[promptIndex].responseText || '';
+      const haystack = text.toLowerCase();
+
+      let occurrence = 0;
+      let position = haystack.indexOf(needle);
+      while (position !== -1) {
+        this.hits.push({
+          promptIndex,
+          occurrence,
+          snippet: this.buildSnippet(text, position, needle.length),
+        });
+
+        if (this.hits.length >= this.config.maxHits) {
+          log.info(`Find: stopped at ${this.config.maxHits} hits`);
+          return this.hits;
+        }
+
+        occurrence++;
+        position = haystack.indexOf(needle, position + needle.length);
+      }
+    }
+
+    return this.hits;
+  }
+
+  /**
+   * Cut the text around a match into before/match/after parts
+   */
+  buildSnippet(text, position, length) {
+    const context = this.config.snippetContext;
+    const start = Math.max(0, position - context);
+    const end = Math.min(text.length, position + length + context);
+
+    return {
+      before: (start > 0 ? '...' : '') + text.slice(start, position),
+      match: text.slice(position, position + length),
+      after: text.slice(position + length, end) + (end < text.length ? '...' : ''),
+    };
+  }
+
+  /**
+   * Step to the next (+1) or previous (-1) hit, wrapping around
+   * @returns {number} the new current index, or -1 if there are no hits
+   */
+  step(direction) {
+    if (this.hits.length === 0) return -1;
+
+    const count = this.hits.length;
+    const start = this.currentIndex === -1 && direction < 0 ? 0 : this.currentIndex;
+    this.currentIndex = (start + direction + count) % count;
+    return this.currentIndex;
+  }
+
+  /**
+   * Find DOM ranges for every match inside a response element
+   * Walks the same text segments as BaseParser.getResponseText; whitespace in the
+   * query matches any run of whitespace in the page.
+   */
+  findRanges(responseElement) {
+    if (!responseElement || !this.query) return [];
+
+    const pattern = this.query
+      .toLowerCase()
+      .trim()
+      .split(/\s+/)
+      .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('\\s+');
+    if (!pattern) return [];
+
+    // Join the segments, remembering where each node's own text starts
+    const segments = BaseParser.getTextSegments(responseElement);
+    const starts = [];
+    let raw = '';
+    for (const segment of segments) {
+      raw += segment.separator;
+      starts.push(raw.length);
+      raw += segment.node.nodeValue;
+    }
+    raw = raw.toLowerCase();
+
+    // Map an offset in the joined string back to (node, offset). Matches start and
+    // end on non-whitespace, so an offset never falls on a separator.
+    const locate = (offset) => {
+      let low = 0;
+      let high = segments.length - 1;
+      while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (starts[mid] <= offset) low = mid;
+        else high = mid - 1;
+      }
+      return { node: segments[low].node, offset: offset - starts[low] };
+    };
+
+    const ranges = [];
+    const regex = new RegExp(pattern, 'g');
+    let match;
+    while ((match = regex.exec(raw)) !== null) {
+      const start = locate(match.index);
+      const end = locate(match.index + match[0].length - 1);
+
+      const range = document.createRange();
+      range.setStart(start.node, start.offset);
+      range.setEnd(end.node, end.offset + 1);
+      ranges.push(range);
+    }
+
+    return ranges;
+  }
+
+  /**
+   * Paint all matches in mounted responses and mark the current hit
+   * @returns {Range|null} the range of the current hit, if it is mounted
+   */
+  highlight(prompts) {
+    if (!this.supportsHighlights()) return this.findCurrentRange(prompts);
+
+    const allRanges = [];
+    const rangesByPrompt = new Map();
+    const promptIndexes = new Set(this.hits.map(hit => hit.promptIndex));
+
+    promptIndexes.forEach(promptIndex => {
+      const ranges = this.findRanges(this.adapter.resolveResponseElement(prompts[promptIndex]));
+      rangesByPrompt.set(promptIndex, ranges);
+      allRanges.push(...ranges);
+    });
+
+    CSS.highlights.set(this.highlightName, new Highlight(...allRanges));
+
+    const hit = this.hits[this.currentIndex];
+    const currentRange = hit ? rangesByPrompt.get(hit.promptIndex)?.[hit.occurrence] || null : null;
+    if (currentRange) {
+      CSS.highlights.set(this.currentHighlightName, new Highlight(currentRange));
+    } else {
+      CSS.highlights.delete(this.currentHighlightName);
+    }
+
+    return currentRange;
+  }
+
+  /**
+   * Find the range of the current hit without painting anything
+   */
+  findCurrentRange(prompts) {
+    const hit = this.hits[this.currentIndex];
+    if (!hit) return null;
+
+    const ranges = this.findRanges(this.adapter.resolveResponseElement(prompts[hit.promptIndex]));
+    return ranges[hit.occurrence] || null;
+  }
+
+  /**
+   * Remove all page highlights
+   */
+  clearHighlights() {
+    if (!this.supportsHighlights()) return;
+    CSS.highlights.delete(this.highlightName);
+    CSS.highlights.delete(this.currentHighlightName);
+  }
+
+  /**
+   * Reset query, hits and highlights
+   */
+  clear() {
+    this.query = '';
+    this.hits = [];
+    this.currentIndex = -1;
+    this.clearHighlights();
+  }
+}
+
+// Export for use in content script
+window.OctoGPTFinder = OctoGPTFinder;
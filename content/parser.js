@@ -1,6 +1,7 @@
 /**
  * OctoGPT Parser Module
- * Handles extraction of user prompts from ChatGPT, Gemini, and Claude DOM
+ * Handles extraction of user prompts from ChatGPT, Gemini, and Claude DOM,
+ * plus the per-site adapters that hold each site's URL and layout rules
  */
 
 /**
@@ -31,6 +32,21 @@ class BaseParser {
         this.prompts = [];
         this.conversationId = null;
         this.selectors = {};
+
+        // Turn cache: parsed prompts are reused until a mutation touches their turn
+        this.turnCache = new Map(); // Prompt ID -> prompt data from extractPromptData()
+        this.turnOwners = new WeakMap(); // Element of a cached turn -> prompt ID
+        this.dirtyTurns = new Set(); // Prompt IDs touched by mutations since the last extraction
+        this.turnCacheConversationId = null;
+
+        // Turn elements (selectors.turn) in page order, listed once per extraction
+        this.turnElements = null;
+        this.extracting = false;
+
+        // First-seen times stand in for send times the site does not show
+        this.firstSeenTimes = new Map(); // Prompt ID -> ms since epoch, for the current conversation
+        this.firstSeenConversationId = null;
+        this.firstSeenChanged = false; // New entries since the owner last saved them
     }
 
     /**
@@ -53,7 +69,9 @@ class BaseParser {
             return [];
         }
 
+        this.beginExtraction();
         const prompts = this.findUserMessages();
+        this.finishExtraction(prompts);
         this.prompts = prompts;
 
         return prompts;
@@ -75,6 +93,113 @@ class BaseParser {
         throw new Error('extractPromptData() must be implemented by subclass');
     }
 
+    /**
+     * Get prompt data for a user message, reusing the cached copy when its turn is unchanged
+     * A turn is re-parsed when a mutation touched it, its elements were replaced,
+     * it has no response yet, or it is the last one (the one that streams).
+     * Returns a shallow copy so per-extraction flags never leak into the cache.
+     */
+    getPromptData(element, index, isLast) {
+        const id = this.generatePromptId(element, index);
+        const cached = this.turnCache.get(id);
+
+        if (cached && !isLast && !this.dirtyTurns.has(id) &&
+            cached.element === element && element.isConnected &&
+            cached.responseElement?.isConnected) {
+            return { ...cached, index };
+        }
+
+        const promptData = this.extractPromptData(element, index);
+        if (!promptData) {
+            this.turnCache.delete(id);
+            return null;
+        }
+
+        this.turnCache.set(promptData.id, promptData);
+        const owners = [element, promptData.responseElement, ...this.getTurnContainers(promptData)];
+        owners.forEach(owner => {
+            if (owner) this.turnOwners.set(owner, promptData.id);
+        });
+        return { ...promptData };
+    }
+
+    /**
+     * Elements around a turn whose changes should also re-parse it
+     * (e.g. wrappers holding the branch buttons or the headings)
+     */
+    getTurnContainers(promptData) {
+        return [];
+    }
+
+    /**
+     * Mark the turns containing mutated nodes as changed
+     * Mutations outside every known turn (new turns, re-mounted lists) need no
+     * marking: new elements miss the cache, and turns without a response are
+     * always re-parsed.
+     */
+    invalidateTurns(nodes) {
+        for (const node of nodes) {
+            let current = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+            while (current) {
+                const id = this.turnOwners.get(current);
+                if (id) {
+                    this.dirtyTurns.add(id);
+                    break;
+                }
+                current = current.parentElement;
+            }
+        }
+    }
+
+    /**
+     * Drop the turn cache when the conversation changed since the last extraction
+     */
+    beginExtraction() {
+        if (this.turnCacheConversationId !== this.conversationId) {
+            this.turnCache.clear();
+            this.turnCacheConversationId = this.conversationId;
+        }
+        this.extracting = true;
+        this.turnElements = null;
+    }
+
+    /**
+     * Re-parse every turn on the next extraction
+     */
+    clearTurnCache() {
+        this.turnCache.clear();
+        this.dirtyTurns.clear();
+    }
+
+    /**
+     * Forget turns no longer on the page and clear the change marks
+     */
+    finishExtraction(prompts) {
+        const ids = new Set(prompts.map(prompt => prompt.id));
+        for (const id of this.turnCache.keys()) {
+            if (!ids.has(id)) this.turnCache.delete(id);
+        }
+        this.dirtyTurns.clear();
+        this.extracting = false;
+        this.turnElements = null;
+    }
+
+    /**
+     * Turn elements (selectors.turn) in page order, outermost only in case the
+     * selector also matches nested elements
+     * Every message looks its position up in this list, so during an extraction it
+     * is queried once and reused
+     */
+    getTurnElements() {
+        if (this.turnElements) return this.turnElements;
+
+        const selector = this.selectors.turn;
+        const turns = Array.from(document.querySelectorAll(selector))
+            .filter(turn => !turn.parentElement?.closest(selector));
+        if (this.extracting) this.turnElements = turns;
+        return turns;
+    }
+
     /**
      * Extract headings from assistant response
      * Must be implemented by subclasses
@@ -83,6 +208,398 @@ class BaseParser {
         throw new Error('extractAssistantHeadings() must be implemented by subclass');
     }
 
+    /**
+     * Build the outline of a response from its heading elements (in document order)
+     * Every level is kept. Each heading's parent is the closest earlier heading of a
+     * higher rank, so the list is the heading tree in pre-order: `depth` is the
+     * nesting level from 0 and `parent` the position of the parent in the list (-1
+     * for top-level headings). `index` counts headings of the same level, which is
+     * how adapters find the element again.
+     * @returns {Array<{level, text, turnId, index, depth, parent}>}
+     */
+    buildHeadingOutline(elements, turnId) {
+        const levelCounts = {};
+        const open = []; // Positions of the headings enclosing the current one
+        const rank = level => Number(level.match(/^h([1-6])$/)?.[1] || 7);
+
+        const outline = [];
+        elements.forEach(element => {
+            const level = element.tagName.toLowerCase();
+            while (open.length > 0 && rank(outline[open[open.length - 1]].level) >= rank(level)) {
+                open.pop();
+            }
+
+            levelCounts[level] = (levelCounts[level] || 0) + 1;
+            outline.push({
+                level,
+                text: element.textContent.trim(),
+                turnId,
+                index: levelCounts[level] - 1,
+                depth: open.length,
+                parent: open.length > 0 ? open[open.length - 1] : -1,
+            });
+            open.push(outline.length - 1);
+        });
+        return outline;
+    }
+
+    /**
+     * Build an outline for a response without headings
+     * Entries are flat and marked `inferred`; `level` says what they were taken from
+     * (see findInferredHeadingElements) and `index` is the position in that list,
+     * which adapters use to find the element again.
+     * @returns {Array<{level, text, turnId, index, depth, parent, inferred}>}
+     */
+    inferHeadings(container, turnId) {
+        return this.findInferredHeadingElements(container).map(({ level, text }, index) => ({
+            level,
+            text,
+            turnId,
+            index,
+            depth: 0,
+            parent: -1,
+            inferred: true,
+        }));
+    }
+
+    /**
+     * Find the parts of a response that read like section starts, in document order:
+     * - strong: a bold lead-in opening a paragraph ("**Setup:** first install...")
+     * - li: an item of a top-level numbered list
+     * - dt: a definition term, or a paragraph starting with a short "Term: ..." next
+     *   to another one (single colons are too common in prose)
+     * - pre: a code block
+     * Shared by extraction and by the adapters' findHeadingElement so indices line up
+     * @returns {Array<{element: Element, level: string, text: string}>}
+     */
+    findInferredHeadingElements(container) {
+        const maxLength = 100; // Longer lead-ins are prose, not section titles
+        const userSelector = this.selectors.userMessages;
+        const entries = [];
+
+        for (const element of container.querySelectorAll('p, ol > li, dt, pre')) {
+            if (userSelector && element.closest(userSelector)) continue;
+            if (element.parentElement?.closest('blockquote, table, pre') || this.isInThinking(element)) continue;
+
+            if (element.tagName === 'PRE') {
+                const code = element.querySelector('code') || element;
+                const firstLine = code.textContent.split('\n').map(line => line.trim()).find(Boolean);
+                if (!firstLine) continue;
+                const language = code.className.match(/language-([\w+#-]+)/)?.[1];
+                const text = this.generatePreview(firstLine, 60);
+                entries.push({ element, level: 'pre', text: language ? `${language}: ${text}` : text });
+                continue;
+            }
+
+            if (element.tagName === 'LI') {
+                // Nested lists are sub-points of their parent item
+                if (element.parentElement.parentElement?.closest('ol, ul')) continue;
+                const text = this.getLeadText(element);
+                if (text) {
+                    entries.push({ element, level: 'li', text: this.generatePreview(text, maxLength) });
+                }
+                continue;
+            }
+
+            if (element.tagName === 'DT') {
+                const text = this.cleanText(element.textContent);
+                if (text) entries.push({ element, level: 'dt', text });
+                continue;
+            }
+
+            // Paragraphs inside list items belong to the item
+            if (element.closest('li')) continue;
+            const paragraphText = this.cleanText(element.textContent);
+
+            const strong = element.querySelector('strong, b');
+            const strongText = strong ? this.cleanText(strong.textContent) : '';
+            if (strongText && strongText.length <= maxLength && paragraphText.startsWith(strongText)) {
+                entries.push({ element: strong, level: 'strong', text: strongText.replace(/\s*[:\-–—]$/, '') });
+                continue;
+            }
+
+            const term = this.getDefinitionTerm(element);
+            const isDefinitionList = [element.previousElementSibling, element.nextElementSibling]
+                .some(sibling => sibling?.tagName === 'P' && this.getDefinitionTerm(sibling));
+            if (term && isDefinitionList) {
+                entries.push({ element, level: 'dt', text: term });
+            }
+        }
+
+        return entries;
+    }
+
+    /**
+     * The term of a "Term: explanation" paragraph, or null
+     */
+    getDefinitionTerm(paragraph) {
+        const term = paragraph.textContent.trim().match(/^([^:.!?\n]{2,40}):\s+\S/)?.[1];
+        if (!term || term.split(/\s+/).length > 5 || /https?$/i.test(term)) return null;
+        return this.cleanText(term);
+    }
+
+    /**
+     * Text of an element up to its first nested block (sub-list, code, table)
+     */
+    getLeadText(element) {
+        let text = '';
+        for (const node of element.childNodes) {
+            const isElement = node.nodeType === Node.ELEMENT_NODE;
+            if (isElement && node.matches('ul, ol, pre, table, blockquote')) break;
+            text += node.textContent;
+            if (isElement && node.matches('p, div')) break;
+        }
+        return this.cleanText(text);
+    }
+
+    /**
+     * Find the element holding the assistant's response to a user message
+     * Must be implemented by subclasses
+     */
+    findResponseElement(userElement) {
+        throw new Error('findResponseElement() must be implemented by subclass');
+    }
+
+    /**
+     * Get the plain text of an assistant response
+     * Built from the same text segments OctoGPTFinder walks, so match offsets line up
+     */
+    getResponseText(responseElement) {
+        if (!responseElement) return '';
+        const text = BaseParser.getTextSegments(responseElement)
+            .map(segment => segment.separator + segment.node.nodeValue)
+            .join('');
+        return this.cleanText(text);
+    }
+
+    /**
+     * Index the code blocks of an assistant response
+     * `index` is the block's position among the response's <pre> elements, which is
+     * how the sidebar finds it again.
+     * @returns {Array<{index, language, lineCount, firstLine, fileName, text}>}
+     */
+    extractCodeBlocks(responseElement) {
+        if (!responseElement) return [];
+
+        return this.findCodeBlockElements(responseElement).map((pre, index) => {
+            const code = pre.querySelector('code') || pre;
+            const text = code.textContent.replace(/\n$/, '');
+            const lines = text.split('\n');
+            return {
+                index,
+                language: BaseParser.getCodeLanguage(pre, code),
+                lineCount: text ? lines.length : 0,
+                firstLine: lines.map(line => line.trim()).find(Boolean) || '',
+                fileName: BaseParser.getCodeFileName(lines),
+                text,
+            };
+        });
+    }
+
+    /**
+     * The <pre> elements of a response, leaving out those inside thinking blocks
+     * Shared by extraction and by OctoGPTCodeIndex so indices line up
+     */
+    findCodeBlockElements(responseElement) {
+        return Array.from(responseElement.querySelectorAll('pre'))
+            .filter(pre => !this.isInThinking(pre));
+    }
+
+    /**
+     * Numbered sources cited in a response, in source-number order
+     * Citations that do not show a number are numbered by first appearance. Titles
+     * come from the matching source card in `scope` when the site lists one, then
+     * from the citation's tooltip, then the domain.
+     * @returns {Array<{index, number, url, domain, title}>}
+     */
+    extractSources(responseElement, scope = responseElement) {
+        if (!responseElement || !this.selectors.citations) return [];
+
+        const byUrl = new Map();
+        this.findCitationElements(responseElement).forEach(citation => {
+            if (byUrl.has(citation.href)) return;
+            const shownNumber = citation.textContent.match(/^\s*\[?(\d+)\]?\s*$/)?.[1];
+            byUrl.set(citation.href, { citation, number: shownNumber ? Number(shownNumber) : byUrl.size + 1 });
+        });
+
+        const cards = this.selectors.sourceCards && scope
+            ? Array.from(scope.querySelectorAll(this.selectors.sourceCards))
+            : [];
+
+        const sources = Array.from(byUrl, ([url, { citation, number }]) => {
+            let domain = url;
+            try {
+                domain = new URL(url).hostname.replace(/^www\./, '');
+            } catch {
+                // Keep the raw link
+            }
+
+            const card = cards.find(candidate => candidate.href === url);
+            const cardTitle = card && (card.querySelector(this.selectors.sourceTitle) || card).textContent;
+            const title = this.cleanText(cardTitle || citation.getAttribute('aria-label') || citation.title || '') || domain;
+            return { number, url, domain, title: this.generatePreview(title, 100) };
+        });
+
+        return sources
+            .sort((a, b) => a.number - b.number)
+            .map((source, index) => ({ index, ...source }));
+    }
+
+    /**
+     * Citation links inside a response, in document order
+     * Shared by extraction and by SiteAdapter.findSourceElement so sources line up
+     */
+    findCitationElements(responseElement) {
+        const selector = this.selectors.citations;
+        if (!selector || !responseElement) return [];
+
+        return Array.from(responseElement.querySelectorAll(selector))
+            .map(citation => (citation.matches('a[href]') ? citation : citation.querySelector('a[href]')))
+            .filter((link, position, links) => link && links.indexOf(link) === position && !this.isInThinking(link));
+    }
+
+    /**
+     * Index the reasoning / thinking blocks in the turn answering a user message
+     * Only the outermost match counts; `index` is its position among them.
+     * @returns {Array<{index, label, duration, steps}>} duration in seconds, or null
+     *   when the site does not show one; steps are [{index, text}]
+     */
+    extractThinkingBlocks(userElement) {
+        const container = this.selectors.thinking && this.findAssistantContainer(userElement);
+        if (!container) return [];
+
+        return this.findThinkingElements(container).map((block, index) => {
+            const toggle = this.findThinkingToggle(block);
+            const label = this.generatePreview(this.cleanText((toggle || block).textContent), 80);
+            const steps = this.findThinkingStepElements(block).map((element, stepIndex) => ({
+                index: stepIndex,
+                text: this.generatePreview(this.cleanText(element.textContent), 60),
+            }));
+            return { index, label, duration: BaseParser.parseDuration(label), steps };
+        });
+    }
+
+    /**
+     * The toggle of a thinking block, which holds its summary ("Thought for 12 seconds")
+     */
+    findThinkingToggle(block) {
+        return block.querySelector(this.selectors.thinkingToggle || 'button, summary, [role="button"]');
+    }
+
+    /**
+     * Steps of a thinking block, listed under its node in the sidebar: its headings,
+     * else the bold titles opening its paragraphs (as in reasoning summaries), else
+     * its paragraphs. Nothing inside the toggle counts.
+     * Shared by extraction and by SiteAdapter.findThinkingStepElement so indices line up
+     */
+    findThinkingStepElements(block) {
+        const toggle = this.findThinkingToggle(block);
+        const isStep = element => !toggle?.contains(element) && this.cleanText(element.textContent);
+
+        const headings = Array.from(block.querySelectorAll('h1, h2, h3, h4, h5, h6')).filter(isStep);
+        if (headings.length > 0) return headings;
+
+        const paragraphs = Array.from(block.querySelectorAll('p')).filter(isStep);
+        const titles = paragraphs
+            .map(paragraph => {
+                const strong = paragraph.firstElementChild?.matches('strong, b') ? paragraph.firstElementChild : null;
+                return strong && this.cleanText(paragraph.textContent).startsWith(this.cleanText(strong.textContent)) ? strong : null;
+            })
+            .filter(Boolean);
+        return titles.length > 0 ? titles : paragraphs;
+    }
+
+    /**
+     * Outermost thinking blocks inside a container
+     * Shared by extraction and by SiteAdapter.findThinkingElement so indices line up
+     */
+    findThinkingElements(container) {
+        const selector = this.selectors.thinking;
+        if (!selector) return [];
+
+        return Array.from(container.querySelectorAll(selector))
+            .filter(block => !block.parentElement?.closest(selector));
+    }
+
+    /**
+     * Check whether an element is inside a thinking block
+     */
+    isInThinking(element) {
+        return !!(this.selectors.thinking && element.closest(this.selectors.thinking));
+    }
+
+    /**
+     * Seconds in a duration like "12s", "1m 5s" or "2 minutes", or null
+     */
+    static parseDuration(text) {
+        const units = { h: 3600, m: 60, s: 1 };
+        const pattern = /(\d+(?:\.\d+)?)\s*(h(?:ours?|rs?)?|m(?:in(?:ute)?s?)?|s(?:ec(?:ond)?s?)?)\b/gi;
+
+        let seconds = null;
+        for (const [, amount, unit] of text.matchAll(pattern)) {
+            seconds = (seconds || 0) + parseFloat(amount) * units[unit[0].toLowerCase()];
+        }
+        return seconds === null ? null : Math.round(seconds);
+    }
+
+    /**
+     * Detect a code block's language
+     * ChatGPT and Claude use language-* classes, Gemini shows a label above the block
+     */
+    static getCodeLanguage(pre, code) {
+        const className = code.getAttribute('class') || '';
+        const fromClass = className.match(/(?:^|\s)(?:language|lang)-([\w+#.-]+)/);
+        if (fromClass) return fromClass[1];
+
+        const fromAttribute = code.getAttribute('data-language') || pre.getAttribute('data-language');
+        if (fromAttribute) return fromAttribute;
+
+        const label = pre.closest('code-block')?.querySelector('.code-block-decoration span');
+        return label ? label.textContent.trim().toLowerCase().replace(/\s+/g, '-') : '';
+    }
+
+    /**
+     * File name from a comment in the first lines of a code block,
+     * e.g. "// src/app.js", "# file: setup.py" or "<!-- index.html -->"
+     */
+    static getCodeFileName(lines) {
+        const pattern = /^\s*(?:\/\/|#|--|;|\/\*|<!--)\s*(?:file(?:name)?\s*:\s*)?([\w@~./-]*\w\.[A-Za-z0-9]{1,10})\s*(?:\*\/|-->)?\s*$/i;
+        for (const line of lines.slice(0, 3)) {
+            const match = line.match(pattern);
+            if (match) return match[1];
+        }
+        return null;
+    }
+
+    /**
+     * Collect the readable text nodes under an element in document order
+     * Skips button labels, icons and scripts that are part of the site's UI.
+     * Sites render blocks without whitespace between them, so each segment
+     * carries a ' ' separator when it starts a new block (paragraph, list item...)
+     * @returns {Array<{node: Text, separator: string}>}
+     */
+    static getTextSegments(root) {
+        const segments = [];
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+            acceptNode: (node) => node.parentElement?.closest('button, svg, script, style')
+                ? NodeFilter.FILTER_REJECT
+                : NodeFilter.FILTER_ACCEPT,
+        });
+
+        const blockSelector = 'p, li, h1, h2, h3, h4, h5, h6, pre, blockquote, td, th, div';
+        let previousBlock = null;
+        while (walker.nextNode()) {
+            const node = walker.currentNode;
+            const block = node.parentElement?.closest(blockSelector) || root;
+            segments.push({
+                node,
+                separator: segments.length > 0 && block !== previousBlock ? ' ' : '',
+            });
+            previousBlock = block;
+        }
+        return segments;
+    }
+
     /**
      * Get branch information for a prompt
      * Must be implemented by subclasses
@@ -91,6 +608,50 @@ class BaseParser {
         throw new Error('getBranchInfo() must be implemented by subclass');
     }
 
+    /**
+     * Read an "n / m" version switcher inside the wrapper of a message
+     * The counter is the leaf showing "2 / 3", never inside the message itself (which
+     * may contain such text). The arrows are found by label and otherwise as the
+     * buttons (or role="button" elements, as on DeepSeek) either side of the counter;
+     * disabled arrows are left out.
+     * @returns {Object|null} Branch info, or null when the wrapper has no switcher
+     */
+    readVersionSwitcher(container, element) {
+        const counter = Array.from(container.querySelectorAll('span, div'))
+            .find(node => node.children.length === 0 && !element.contains(node) &&
+                          /^\s*\d+\s*\/\s*\d+\s*$/.test(node.textContent));
+
+        let prevButtonEl = container.querySelector('button[aria-label*="previous" i]');
+        let nextButtonEl = container.querySelector('button[aria-label*="next" i]');
+
+        if (counter && (!prevButtonEl || !nextButtonEl)) {
+            const buttons = Array.from(counter.parentElement.querySelectorAll('button, [role="button"]'));
+            const isBefore = button => button.compareDocumentPosition(counter) & Node.DOCUMENT_POSITION_FOLLOWING;
+            prevButtonEl = prevButtonEl || buttons.filter(isBefore).pop() || null;
+            nextButtonEl = nextButtonEl || buttons.find(button => !isBefore(button)) || null;
+        }
+
+        if (!counter && !prevButtonEl && !nextButtonEl) return null;
+
+        // Only include buttons that are enabled (not disabled)
+        const isEnabled = button => !button.disabled && button.getAttribute('aria-disabled') !== 'true';
+        const prevButton = prevButtonEl && isEnabled(prevButtonEl) ? prevButtonEl : null;
+        const nextButton = nextButtonEl && isEnabled(nextButtonEl) ? nextButtonEl : null;
+
+        const match = counter?.textContent.match(/(\d+)\s*\/\s*(\d+)/);
+        if (match) {
+            return {
+                hasBranches: true,
+                current: parseInt(match[1]),
+                total: parseInt(match[2]),
+                prevButton,
+                nextButton,
+            };
+        }
+
+        return { hasBranches: true, hasMatch: false, prevButton, nextButton };
+    }
+
     /**
      * Generate a unique ID for a prompt
      */
@@ -98,6 +659,15 @@ class BaseParser {
         return `prompt-${this.conversationId}-${index}`;
     }
 
+    /**
+     * Check whether a prompt ID is the position fallback of generatePromptId()
+     * Such IDs count from the first mounted turn, so they do not identify a turn
+     */
+    isPositionId(promptId) {
+        const prefix = `prompt-${this.conversationId}-`;
+        return promptId.startsWith(prefix) && /^\d+$/.test(promptId.slice(prefix.length));
+    }
+
     /**
      * Clean and normalize text content
      */
@@ -118,6 +688,151 @@ class BaseParser {
         return cleaned.substring(0, maxLength) + '...';
     }
 
+    /**
+     * Send time of a user message as shown by the site, or null
+     * Looks for <time datetime>, data-* timestamps and date tooltips around the message.
+     * Values outside BaseParser.isPlausibleTime() are skipped, so the first-seen time
+     * is used instead.
+     * @returns {number|null} ms since epoch
+     */
+    getMessageTimestamp(element) {
+        const scope = this.getTimestampScope(element);
+        if (!scope) return null;
+
+        for (const time of scope.querySelectorAll('time[datetime]')) {
+            const value = Date.parse(time.getAttribute('datetime'));
+            if (BaseParser.isPlausibleTime(value)) return value;
+        }
+
+        for (const node of [scope, ...scope.querySelectorAll('[data-timestamp], [data-time], [data-created-at]')]) {
+            const raw = node.dataset?.timestamp || node.dataset?.time || node.dataset?.createdAt;
+            if (!raw) continue;
+            // Unix seconds or milliseconds, or a date string
+            const value = /^\d+(\.\d+)?$/.test(raw)
+                ? parseFloat(raw) * (parseFloat(raw) < 1e11 ? 1000 : 1)
+                : BaseParser.parseDateText(raw);
+            if (BaseParser.isPlausibleTime(value)) return Math.round(value);
+        }
+
+        for (const node of scope.querySelectorAll('[title], [data-tooltip], [aria-label]')) {
+            const text = node.getAttribute('title') || node.getAttribute('data-tooltip') || node.getAttribute('aria-label');
+            const value = BaseParser.parseDateText(text);
+            if (BaseParser.isPlausibleTime(value)) return value;
+        }
+
+        return null;
+    }
+
+    /**
+     * Check whether a time (ms since epoch) can be a message's send time: from 2000 up
+     * to a day from now. Rules out microsecond or nanosecond epochs read as
+     * milliseconds, which would be far-future or invalid dates.
+     */
+    static isPlausibleTime(value) {
+        return Number.isFinite(value) && value >= Date.UTC(2000, 0, 1) && value <= Date.now() + 86400000;
+    }
+
+    /**
+     * Element holding a user message and its metadata (time, tooltips)
+     * Override when the site keeps them on a wrapper around the message
+     */
+    getTimestampScope(element) {
+        return element;
+    }
+
+    /**
+     * Parse a date the way sites write it in tooltips and attributes:
+     * ISO 8601, "Oct 5, 2025, 3:14 PM", "5 October 2025 at 15:14" or "Oct 5"
+     * Deliberately strict (Date.parse accepts almost anything) so button labels are not
+     * mistaken for dates. Dates without a year are taken as the most recent such day.
+     * @returns {number|null} ms since epoch
+     */
+    static parseDateText(text) {
+        if (!text) return null;
+
+        const iso = text.match(/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?/);
+        if (iso) {
+            const value = Date.parse(iso[0]);
+            return isNaN(value) ? null : value;
+        }
+
+        const months = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+        const month = String.raw`(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sept?(?:ember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\.?`;
+        const rest = String.raw`(?:,?\s+(\d{4}))?(?:,?\s+(?:at\s+)?(\d{1,2}):(\d{2})(?::\d{2})?\s*([ap]\.?m\.?)?)?`;
+        const monthFirst = text.match(new RegExp(String.raw`\b${month}\s+(\d{1,2})(?:st|nd|rd|th)?\b${rest}`, 'i'));
+        const dayFirst = text.match(new RegExp(String.raw`\b(\d{1,2})\s+${month}\b${rest}`, 'i'));
+
+        let parts;
+        if (monthFirst) {
+            const [, name, day, year, hours, minutes, meridiem] = monthFirst;
+            parts = { name, day, year, hours, minutes, meridiem };
+        } else if (dayFirst) {
+            const [, day, name, year, hours, minutes, meridiem] = dayFirst;
+            parts = { name, day, year, hours, minutes, meridiem };
+        } else {
+            return null;
+        }
+
+        let hours = parseInt(parts.hours || '0', 10);
+        if (parts.meridiem) {
+            hours = hours % 12 + (/^p/i.test(parts.meridiem) ? 12 : 0);
+        }
+        const now = new Date();
+        const build = year => new Date(
+            year, months.indexOf(parts.name.slice(0, 3).toLowerCase()), parseInt(parts.day, 10),
+            hours, parseInt(parts.minutes || '0', 10)
+        );
+
+        let date = build(parts.year ? parseInt(parts.year, 10) : now.getFullYear());
+        if (!parts.year && date > now) {
+            date = build(now.getFullYear() - 1);
+        }
+        return isNaN(date) ? null : date.getTime();
+    }
+
+    /**
+     * First time this prompt was seen, recorded on first sight
+     * Entries are kept per conversation; the owner persists them (see firstSeenChanged)
+     * and hands stored ones back through mergeFirstSeenTimes()
+     */
+    getFirstSeenTime(promptId) {
+        if (this.firstSeenConversationId !== this.conversationId) {
+            this.firstSeenTimes.clear();
+            this.firstSeenConversationId = this.conversationId;
+        }
+
+        let time = this.firstSeenTimes.get(promptId);
+        if (time === undefined) {
+            time = Date.now();
+            this.firstSeenTimes.set(promptId, time);
+            this.firstSeenChanged = true;
+        }
+        return time;
+    }
+
+    /**
+     * Merge stored first-seen times for a conversation, keeping the earlier of two
+     * @param {Object<string, number>} times - Prompt ID -> ms since epoch
+     * @returns {boolean} True when any known time moved earlier
+     */
+    mergeFirstSeenTimes(conversationId, times) {
+        if (conversationId !== this.firstSeenConversationId) {
+            this.firstSeenTimes.clear();
+            this.firstSeenConversationId = conversationId;
+        }
+
+        let changed = false;
+        for (const [promptId, time] of Object.entries(times || {})) {
+            if (!BaseParser.isPlausibleTime(time)) continue;
+            const current = this.firstSeenTimes.get(promptId);
+            if (current === undefined || time < current) {
+                changed = changed || current !== undefined;
+                this.firstSeenTimes.set(promptId, time);
+            }
+        }
+        return changed;
+    }
+
     /**
      * Detect which branch is currently active
      */
@@ -145,9 +860,12 @@ class BaseParser {
      */
     formatPromptsForDisplay() {
         const prompts = this.detectActiveBranch();
+        const occurrences = new Map(); // Prompt text -> copies seen so far
 
-        return prompts.map(prompt => {
+        return prompts.map((prompt, index) => {
             let displayText = prompt.preview;
+            const occurrence = occurrences.get(prompt.text) || 0;
+            occurrences.set(prompt.text, occurrence + 1);
 
             if (prompt.isBranchPoint) {
                 displayText = `< ${displayText} >`;
@@ -157,44 +875,334 @@ class BaseParser {
                 id: prompt.id,
                 display: displayText,
                 text: prompt.text,
-                timestamp: prompt.timestamp,
+                timestamp: prompt.timestamp ?? this.getFirstSeenTime(prompt.id),
+                isTimestampFromSite: prompt.timestamp !== null,
                 isEdited: prompt.isEdited,
                 isBranchPoint: prompt.isBranchPoint,
                 inBranch: prompt.inBranch,
                 branchInfo: prompt.branchInfo,
                 element: prompt.element,
+                responseElement: prompt.responseElement,
+                responseText: prompt.responseText,
                 headings: prompt.headings,
+                codeBlocks: prompt.codeBlocks,
+                thinkingBlocks: prompt.thinkingBlocks,
+                sources: prompt.sources,
+                // Tell repeated prompts ("continue") apart in SiteAdapter.findPromptElement
+                occurrence,
+                previousText: prompts[index - 1]?.text ?? null,
+                nextText: prompts[index + 1]?.text ?? null,
             };
         });
     }
 }
 
-class ChatGPTParser extends BaseParser {
+/**
+ * Base site adapter
+ * Owns everything site-specific outside of prompt parsing: URL rules, readiness
+ * checks, streaming detection, observer/layout/scroll containers and heading
+ * re-resolution. Each site defines one adapter next to its parser and registers it
+ * with SiteRegistry, so content.js and sidebar.js never branch on the site name.
+ */
+class SiteAdapter {
     constructor() {
-        super();
-        this.prompts = [];
-        this.conversationId = null;
+        this.id = null; // Short site key, also used as data-site attribute
+        this.name = null; // Human-readable name for logs
+        this.hostnames = []; // Hostname fragments this adapter handles
+        this.icon = 'assets/icons/icon48.png';
+        this.parser = null;
+        this.supportsBranchTree = false; // Prompts expose version counters and prev/next buttons
+
+        // How long to wait for content after navigation, and for prompts after content appears
+        this.contentWaitTimeout = 2000;
+        this.promptWaitTimeout = 1500;
+    }
 
-        // Known selectors for ChatGPT's DOM structure
-        // These may need updates as ChatGPT changes
-        this.selectors = {
-            // Primary selectors
-            conversationContainer: 'main [class*="react-scroll-to-bottom"]',
-            messageGroups: '[data-testid^="conversation-turn-"]',
-            userMessages: '[data-message-author-role="user"]',
-            assistantMessages: '[data-message-author-role="assistant"]',
-        };
+    /**
+     * Check if this adapter handles the given location
+     */
+    matches(location) {
+        return this.hostnames.some(hostname => location.hostname.includes(hostname));
     }
 
     /**
-     * Get the current conversation ID from URL
+     * Create the parser for this site
+     * Must be implemented by subclasses
+     */
+    createParser() {
+        throw new Error('createParser() must be implemented by subclass');
+    }
+
+    /**
+     * Check if site-specific DOM elements are present
+     * Must be implemented by subclasses
+     */
+    isReady() {
+        throw new Error('isReady() must be implemented by subclass');
+    }
+
+    /**
+     * Check if a pathname is a new chat (no chat ID)
+     * Must be implemented by subclasses
+     */
+    isNewChatUrl(pathname) {
+        throw new Error('isNewChatUrl() must be implemented by subclass');
+    }
+
+    /**
+     * Check if conversation content exists in DOM
+     * Must be implemented by subclasses
+     */
+    hasConversationContent() {
+        throw new Error('hasConversationContent() must be implemented by subclass');
+    }
+
+    /**
+     * Check if any response is currently streaming
+     */
+    isStreaming() {
+        return false;
+    }
+
+    /**
+     * Check if an added/removed node is message-related
+     * Must be implemented by subclasses
+     */
+    isMessageNode(node) {
+        throw new Error('isMessageNode() must be implemented by subclass');
+    }
+
+    /**
+     * Element the MutationObserver watches
+     */
+    findObserverTarget() {
+        return document.querySelector('main') || document.body;
+    }
+
+    /**
+     * Content container to push aside when the sidebar is pinned
+     */
+    findLayoutContainer() {
+        return document.querySelector('main')?.parentElement;
+    }
+
+    /**
+     * Scroll container of the conversation
+     */
+    findScrollContainer() {
+        return null;
+    }
+
+    /**
+     * Re-resolve a heading element by turn ID and index
+     * Re-queries to avoid stale references after React re-renders
+     */
+    findHeadingElement(heading) {
+        return null;
+    }
+
+    /**
+     * Re-resolve an inferred outline entry inside the container it was extracted from
+     */
+    findInferredHeadingElement(container, heading) {
+        const parser = this.parser || this.createParser();
+        return parser.findInferredHeadingElements(container)[heading.index]?.element || null;
+    }
+
+    /**
+     * Re-resolve the user message element of a prompt
+     * The stored reference goes stale when React re-renders or unmounts the turn;
+     * returns null while the turn is not mounted
+     */
+    findPromptElement(prompt) {
+        if (prompt.element?.isConnected) {
+            return prompt.element;
+        }
+
+        const parser = this.parser;
+        const selector = parser?.selectors.userMessages;
+        if (!selector) return null;
+
+        const elements = Array.from(document.querySelectorAll(selector));
+
+        // Turn and container IDs find the turn wherever it is mounted
+        if (!parser.isPositionId(prompt.id)) {
+            const byId = elements.find((element, index) => parser.generatePromptId(element, index) === prompt.id);
+            if (byId && parser.getMessageText(byId) === prompt.text) {
+                return byId;
+            }
+        }
+
+        // Position-based IDs shift when earlier turns are unmounted - match the text instead
+        const texts = elements.map(element => parser.getMessageText(element));
+        const candidates = texts.flatMap((text, index) => (text === prompt.text ? [index] : []));
+        if (candidates.length <= 1) {
+            return candidates.length === 1 ? elements[candidates[0]] : null;
+        }
+
+        // Repeated prompts ("continue"): keep the copies whose mounted neighbours are the
+        // prompt's neighbours (past the edge of the mounted turns anything goes), then
+        // take the prompt's occurrence among them. None left means it is not mounted.
+        const agrees = (mounted, known) => mounted === undefined || known === undefined || mounted === known;
+        const matching = candidates.filter(index =>
+            agrees(texts[index - 1], prompt.previousText) && agrees(texts[index + 1], prompt.nextText));
+        if (matching.length === 0) return null;
+
+        return elements[matching[Math.min(prompt.occurrence || 0, matching.length - 1)]];
+    }
+
+    /**
+     * Find a prompt's thinking block on the page
+     * Returns null while the turn is not mounted
+     */
+    findThinkingElement(prompt, block) {
+        const element = this.findPromptElement(prompt);
+        const container = element && this.parser.findAssistantContainer(element);
+        return container ? this.parser.findThinkingElements(container)[block.index] || null : null;
+    }
+
+    /**
+     * Find a step of a prompt's thinking block on the page
+     * Returns null while the turn is not mounted
+     */
+    findThinkingStepElement(prompt, block, step) {
+        const element = this.findThinkingElement(prompt, block);
+        return element ? this.parser.findThinkingStepElements(element)[step.index] || null : null;
+    }
+
+    /**
+     * Find the first citation of a prompt's source on the page
+     * Returns null while the turn is not mounted
+     */
+    findSourceElement(prompt, source) {
+        const responseElement = this.resolveResponseElement(prompt);
+        return this.parser.findCitationElements(responseElement).find(link => link.href === source.url) || null;
+    }
+
+    /**
+     * Resolve the live response element for a prompt
+     * The stored reference may be stale after React re-renders
+     */
+    resolveResponseElement(prompt) {
+        if (prompt.responseElement?.isConnected) {
+            return prompt.responseElement;
+        }
+        if (prompt.element?.isConnected && this.parser) {
+            return this.parser.findResponseElement(prompt.element);
+        }
+        return null;
+    }
+
+    /**
+     * Title of the current conversation, taken from the tab title
+     */
+    getConversationTitle() {
+        const suffix = new RegExp(`\\s*[-|]\\s*${this.name}\\s*$`, 'i');
+        const title = document.title.replace(suffix, '').trim();
+        return title && title !== this.name ? title : `${this.name} conversation`;
+    }
+
+    /**
+     * Return the first selector match that actually scrolls
+     */
+    findFirstScrollable(selectors) {
+        for (const selector of selectors) {
+            const container = document.querySelector(selector);
+            if (container && container.scrollHeight > container.clientHeight) {
+                return container;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Walk up from an element to the nearest scrollable ancestor
+     */
+    findScrollableAncestor(element) {
+        if (!element) return null;
+
+        let parent = element.parentElement;
+        while (parent && parent !== document.body) {
+            const style = getComputedStyle(parent);
+            const isScrollable = style.overflowY === 'auto' || style.overflowY === 'scroll';
+            if (isScrollable && parent.scrollHeight > parent.clientHeight) {
+                return parent;
+            }
+            parent = parent.parentElement;
+        }
+        return null;
+    }
+}
+
+/**
+ * Registry of site adapters
+ * Adapters register themselves below their parser; content.js asks for the one
+ * matching the current page.
+ */
+const SiteRegistry = {
+    adapters: [],
+    fallbackId: 'chatgpt',
+
+    /**
+     * Register an adapter instance
+     */
+    register(adapter) {
+        this.adapters = this.adapters.filter(existing => existing.id !== adapter.id);
+        this.adapters.push(adapter);
+        return adapter;
+    },
+
+    /**
+     * Get an adapter by site ID
+     */
+    get(id) {
+        return this.adapters.find(adapter => adapter.id === id) || null;
+    },
+
+    /**
+     * Find the adapter for a location, falling back to ChatGPT
+     * Self-hosted sites have no fixed hostname; their origins come from the options
+     * page as customSites ([{origin, type}], type being an adapter ID). Returns null
+     * on other ports of a self-hosted host, where the content scripts also run.
+     */
+    detect(location = window.location, customSites = []) {
+        const custom = customSites.find(site => site.origin === location.origin);
+        if (custom && this.get(custom.type)) return this.get(custom.type);
+        if (customSites.some(site => new URL(site.origin).hostname === location.hostname)) return null;
+
+        const adapter = this.adapters.find(candidate => candidate.matches(location));
+        return adapter || this.get(this.fallbackId);
+    },
+};
+
+class ChatGPTParser extends BaseParser {
+    constructor() {
+        super();
+        this.prompts = [];
+        this.conversationId = null;
+
+        // Known selectors for ChatGPT's DOM structure
+        // These may need updates as ChatGPT changes
+        this.selectors = {
+            // Primary selectors
+            conversationContainer: 'main [class*="react-scroll-to-bottom"]',
+            messageGroups: '[data-testid^="conversation-turn-"]',
+            userMessages: '[data-message-author-role="user"]',
+            assistantMessages: '[data-message-author-role="assistant"]',
+            // Reasoning summary ("Thought for 12s") above the answer
+            thinking: '[data-testid*="reasoning"], [class*="reasoning"]',
+        };
+    }
+
+    /**
+     * Get the current conversation ID from URL
      * Uses regex, uses () for capture group, [] for character class, + for one or more
      * / is just syntax, .match returns match[0] is the full match, match[1] is the first capture group, etc.
-     * window.location.pathname is like /c/1234567890
+     * window.location.pathname is like /c/1234567890, or /share/1234567890 for a shared link
      * match is like ["/c/1234567890", "1234567890"]
      */
     getConversationId() {
-        const match = window.location.pathname.match(/\/c\/([a-zA-Z0-9-]+)/);
+        const match = window.location.pathname.match(/\/(?:c|share)\/([a-zA-Z0-9-]+)/);
         return match ? match[1] : null;
     }
 
@@ -212,7 +1220,9 @@ class ChatGPTParser extends BaseParser {
             return [];
         }
 
+        this.beginExtraction();
         const prompts = this.findUserMessages();
+        this.finishExtraction(prompts);
         this.prompts = prompts; // list of prompt objects
 
         return prompts;
@@ -235,7 +1245,7 @@ class ChatGPTParser extends BaseParser {
         }
 
         userElements.forEach((element, index) => { // element is the DOM element
-            const promptData = this.extractPromptData(element, index);
+            const promptData = this.getPromptData(element, index, index === userElements.length - 1);
             if (promptData) {
                 messages.push(promptData);
             }
@@ -327,6 +1337,7 @@ class ChatGPTParser extends BaseParser {
 
             // Extract headings from the assistant response that follows this prompt
             const headings = this.extractAssistantHeadings(element);
+            const responseElement = this.findResponseElement(element);
 
             log.info(`Prompt ${index}: "${textContent.substring(0, 30)}..." -> ${headings.length} headings`);
             if (headings.length > 0) {
@@ -338,11 +1349,15 @@ class ChatGPTParser extends BaseParser {
                 index: index,
                 text: textContent,
                 preview: this.generatePreview(textContent),
-                timestamp: Date.now(),
+                timestamp: this.getMessageTimestamp(element),
                 isEdited: isEdited,
                 branchInfo: branchInfo,
                 element: element,
+                responseElement: responseElement,
+                responseText: this.getResponseText(responseElement),
                 headings: headings,
+                codeBlocks: this.extractCodeBlocks(responseElement),
+                thinkingBlocks: this.extractThinkingBlocks(element),
             };
 
             return promptData;
@@ -354,14 +1369,24 @@ class ChatGPTParser extends BaseParser {
 
     /**
      * Extract headings from the assistant response following a user message
-     * Falls back through h2 -> h3 -> h4 -> h5 -> h6 if none found
      */
     extractAssistantHeadings(userElement) {
+        const assistantContainer = this.findAssistantContainer(userElement);
+        if (!assistantContainer) return [];
+
+        // Extract headings from the assistant container
+        return this.extractHeadingsFromElement(assistantContainer);
+    }
+
+    /**
+     * Find the conversation turn holding the assistant response to a user message
+     */
+    findAssistantContainer(userElement) {
         // Find the conversation turn containing this user message
         const userTurn = userElement.closest('[data-testid^="conversation-turn-"]');
         if (!userTurn) {
             log.info('No user turn found for heading extraction');
-            return [];
+            return null;
         }
 
         const userTurnId = userTurn.getAttribute('data-testid');
@@ -369,55 +1394,65 @@ class ChatGPTParser extends BaseParser {
 
         // First: check if assistant response is in the NEXT sibling turn
         // ChatGPT typically has separate turns for user and assistant
-        let assistantContainer = null;
         const nextTurn = userTurn.nextElementSibling;
         
         if (nextTurn) {
             const nextTurnId = nextTurn.getAttribute('data-testid');
-            const assistantInNext = nextTurn.querySelector('[data-message-author-role="assistant"]');
+            const assistantInNext = nextTurn.querySelector(this.selectors.assistantMessages);
             if (assistantInNext) {
                 log.info(`Found assistant in next turn: ${nextTurnId}`);
-                assistantContainer = nextTurn;
+                return nextTurn;
             }
         }
 
         // If not found in next sibling, the assistant may not have responded yet
-        if (!assistantContainer) {
-            log.info('No assistant response found for this user message');
-            return [];
-        }
+        log.info('No assistant response found for this user message');
+        return null;
+    }
 
-        // Extract headings from the assistant container
-        return this.extractHeadingsFromElement(assistantContainer);
+    /**
+     * Find the assistant message element (excludes the turn's accessibility labels)
+     */
+    findResponseElement(userElement) {
+        const assistantContainer = this.findAssistantContainer(userElement);
+        if (!assistantContainer) return null;
+
+        return assistantContainer.querySelector(this.selectors.assistantMessages) || assistantContainer;
+    }
+
+    /**
+     * The user turn holds the branch buttons; the assistant turn holds the headings
+     */
+    getTurnContainers(promptData) {
+        const turnSelector = '[data-testid^="conversation-turn-"]';
+        return [
+            promptData.element.closest(turnSelector),
+            promptData.responseElement?.closest(turnSelector),
+        ];
     }
 
     /**
-     * Extract headings from a DOM element
-     * Falls back through h2 -> h3 -> h4 -> h5 if none found at higher levels
+     * Extract the h2 - h5 outline of a DOM element
      * Excludes h6 since it's rarely used for content and ChatGPT uses it for UI labels
      * Stores turn ID for re-querying later (DOM elements can become stale after React re-renders)
      */
     extractHeadingsFromElement(container) {
         const turnId = container.getAttribute('data-testid');
         // Stop at h5 - h6 is typically UI labels (e.g., ChatGPT's "ChatGPT said:" accessibility text)
-        const headingLevels = ['h2', 'h3', 'h4', 'h5'];
-        
-        for (const level of headingLevels) {
-            const headings = container.querySelectorAll(level);
-            if (headings.length > 0) {
-                const result = Array.from(headings).map((h, idx) => ({
-                    level: level,
-                    text: h.textContent.trim(),
-                    turnId: turnId,
-                    index: idx,
-                }));
-                log.info(`Extracted ${level} headings:`, result.map(h => h.text));
-                return result;
-            }
+        const headings = this.buildHeadingOutline(
+            // Headings in the reasoning summary are not part of the answer
+            Array.from(container.querySelectorAll('h2, h3, h4, h5')).filter(h => !this.isInThinking(h)),
+            turnId
+        );
+
+        if (headings.length > 0) {
+            log.info('Extracted headings:', headings.map(h => h.text));
+            return headings;
         }
 
-        log.info('No headings found');
-        return [];
+        const inferred = this.inferHeadings(container, turnId);
+        log.info(inferred.length > 0 ? 'Inferred outline:' : 'No headings found', inferred.map(h => h.text));
+        return inferred;
     }
 
     /**
@@ -521,8 +1556,106 @@ class ChatGPTParser extends BaseParser {
         return `prompt-${this.conversationId}-${index}`;
     }
 
+    /**
+     * Message metadata lives on the conversation turn around the user message
+     */
+    getTimestampScope(element) {
+        return element.closest('[data-testid^="conversation-turn-"]') || element;
+    }
+
+}
+
+/**
+ * ChatGPT site adapter
+ */
+class ChatGPTAdapter extends SiteAdapter {
+    constructor() {
+        super();
+        this.id = 'chatgpt';
+        this.name = 'ChatGPT';
+        this.hostnames = ['chat.openai.com', 'chatgpt.com'];
+        this.supportsBranchTree = true;
+    }
+
+    createParser() {
+        this.parser = new ChatGPTParser();
+        return this.parser;
+    }
+
+    /**
+     * Check for conversation turns or input area inside <main>
+     */
+    isReady() {
+        if (!document.querySelector('main')) return false;
+
+        const hasContent = document.querySelector('[data-testid^="conversation-turn-"]') ||
+                           document.querySelector('[data-message-author-role]');
+        const hasInput = document.querySelector('#prompt-textarea, textarea[placeholder], [contenteditable="true"]');
+        return !!(hasContent || hasInput);
+    }
+
+    /**
+     * ChatGPT new chat: / or empty (no /c/ segment)
+     * Existing chat: /c/abc123..., shared link: /share/abc123...
+     */
+    isNewChatUrl(pathname) {
+        return pathname === '/' || !/\/(c|share)\//.test(pathname);
+    }
+
+    hasConversationContent() {
+        return !!(document.querySelector('[data-testid^="conversation-turn-"]') ||
+                  document.querySelector('[data-message-author-role]'));
+    }
+
+    isStreaming() {
+        const streamingIndicators = document.querySelectorAll(
+            '[class*="result-streaming"], [class*="streaming"], [data-testid="stop-button"]'
+        );
+        return streamingIndicators.length > 0;
+    }
+
+    isMessageNode(node) {
+        if (!node.querySelector) return false;
+
+        const hasMessageRole = node.hasAttribute?.('data-message-author-role');
+        const hasConversationTurn = node.hasAttribute?.('data-testid') &&
+            node.getAttribute('data-testid').startsWith('conversation-turn-');
+        const hasMessageContent = node.querySelector?.('[class*="markdown"], .whitespace-pre-wrap');
+
+        return !!(hasMessageRole || hasConversationTurn || hasMessageContent);
+    }
+
+    findScrollContainer() {
+        const container = this.findFirstScrollable([
+            'main [class*="react-scroll-to-bottom"] > div',
+            'main [class*="react-scroll-to-bottom--css"]',
+            'main [class*="overflow-y-auto"]',
+        ]);
+        if (container) return container;
+
+        // Fallback: find any scrollable ancestor of a conversation turn
+        return this.findScrollableAncestor(document.querySelector('[data-testid^="conversation-turn-"]'));
+    }
+
+    /**
+     * Headings are re-resolved through the turn's data-testid
+     */
+    findHeadingElement(heading) {
+        const turn = document.querySelector(`[data-testid="${heading.turnId}"]`);
+        if (!turn) return null;
+
+        if (heading.inferred) {
+            return this.findInferredHeadingElement(turn, heading);
+        }
+
+        const headings = Array.from(turn.querySelectorAll(heading.level))
+            .filter(h => !this.parser.isInThinking(h));
+        return headings[heading.index] || null;
+    }
 }
 
+SiteRegistry.register(new ChatGPTAdapter());
+
 /**
  * Gemini parser implementation
  */
@@ -530,11 +1663,21 @@ class GeminiParser extends BaseParser {
     constructor() {
         super();
         this.selectors = {
-            conversationContainer: '.conversation-container',
+            // Shared links (/share/{id}) render each turn in a share-turn-viewer
+            conversationContainer: '.conversation-container, share-turn-viewer',
             userMessages: 'user-query',
-            assistantMessages: 'model-response',
+            assistantMessages: 'model-response, share-turn-viewer response-container',
             userQueryText: '.query-text, .query-text-line',
             assistantContent: '.model-response-text .markdown, .markdown-main-panel',
+            // "Show thinking" panel above the answer
+            thinking: 'model-thoughts, .thoughts-container',
+            // One chip per alternate response, listed once "Show drafts" has been opened
+            draftChoices: '[data-test-id*="draft-preview"], .draft-preview-chip, [role="radio"][aria-label*="draft" i]',
+            // ARIA state first; the class is the fallback for chips that expose none
+            selectedDraft: '[aria-checked="true"], [aria-selected="true"], [aria-pressed="true"], [aria-current="true"]',
+            selectedDraftClass: '.selected, .is-selected',
+            // Shown on a query that was edited and sent again
+            editedMarker: '[data-test-id*="edited"], .edited-label, .query-edited',
         };
     }
 
@@ -560,7 +1703,7 @@ class GeminiParser extends BaseParser {
         const userElements = document.querySelectorAll(this.selectors.userMessages);
 
         userElements.forEach((element, index) => {
-            const promptData = this.extractPromptData(element, index);
+            const promptData = this.getPromptData(element, index, index === userElements.length - 1);
             if (promptData) {
                 messages.push(promptData);
             }
@@ -584,6 +1727,7 @@ class GeminiParser extends BaseParser {
             const isEdited = branchInfo?.hasBranches ?? false;
 
             const headings = this.extractAssistantHeadings(element);
+            const responseElement = this.findResponseElement(element);
 
             log.info(`Prompt ${index}: "${textContent.substring(0, 30)}..." -> ${headings.length} headings`);
             if (headings.length > 0) {
@@ -595,11 +1739,15 @@ class GeminiParser extends BaseParser {
                 index: index,
                 text: textContent,
                 preview: this.generatePreview(textContent),
-                timestamp: Date.now(),
+                timestamp: this.getMessageTimestamp(element),
                 isEdited: isEdited,
                 branchInfo: branchInfo,
                 element: element,
+                responseElement: responseElement,
+                responseText: this.getResponseText(responseElement),
                 headings: headings,
+                codeBlocks: this.extractCodeBlocks(responseElement),
+                thinkingBlocks: this.extractThinkingBlocks(element),
             };
 
             return promptData;
@@ -632,15 +1780,25 @@ class GeminiParser extends BaseParser {
      * Extract headings from the assistant response following a user message
      */
     extractAssistantHeadings(userElement) {
+        const conversationContainer = userElement.closest(this.selectors.conversationContainer);
+        const assistantContainer = this.findAssistantContainer(userElement);
+        if (!assistantContainer) return [];
+
+        return this.extractHeadingsFromElement(assistantContainer, this.getContainerId(conversationContainer));
+    }
+
+    /**
+     * Find the model-response answering a user-query
+     */
+    findAssistantContainer(userElement) {
         // Find the conversation container containing this user message
         const conversationContainer = userElement.closest(this.selectors.conversationContainer);
         if (!conversationContainer) {
             log.info('No conversation container found for heading extraction');
-            return [];
+            return null;
         }
 
-        const containerId = conversationContainer.id || conversationContainer.getAttribute('id');
-        log.info(`Conversation container: ${containerId}`);
+        log.info(`Conversation container: ${this.getContainerId(conversationContainer)}`);
 
         // Find the model-response in the same container or next sibling
         let assistantContainer = conversationContainer.querySelector(this.selectors.assistantMessages);
@@ -648,17 +1806,49 @@ class GeminiParser extends BaseParser {
         // If not found in same container, check next sibling conversation-container
         if (!assistantContainer) {
             const nextContainer = conversationContainer.nextElementSibling;
-            if (nextContainer && nextContainer.classList.contains('conversation-container')) {
+            if (nextContainer && nextContainer.matches(this.selectors.conversationContainer)) {
                 assistantContainer = nextContainer.querySelector(this.selectors.assistantMessages);
             }
         }
 
         if (!assistantContainer) {
             log.info('No assistant response found for this user message');
-            return [];
+            return null;
+        }
+
+        return assistantContainer;
+    }
+
+    /**
+     * ID of a conversation container, used to find its headings again
+     * Shared pages give the containers no ID, so they are numbered by position
+     */
+    getContainerId(container) {
+        if (container.id) return container.id;
+        const containers = Array.from(document.querySelectorAll(this.selectors.conversationContainer));
+        return `turn-${containers.indexOf(container)}`;
+    }
+
+    /**
+     * Find a conversation container by the ID getContainerId() gave it
+     */
+    findContainerById(containerId) {
+        const position = containerId?.match(/^turn-(\d+)$/);
+        if (position) {
+            return document.querySelectorAll(this.selectors.conversationContainer)[position[1]] || null;
         }
+        return document.getElementById(containerId) ||
+               document.querySelector(`.conversation-container[id="${containerId}"]`);
+    }
 
-        return this.extractHeadingsFromElement(assistantContainer, containerId);
+    /**
+     * Find the markdown content of the model-response
+     */
+    findResponseElement(userElement) {
+        const assistantContainer = this.findAssistantContainer(userElement);
+        if (!assistantContainer) return null;
+
+        return assistantContainer.querySelector(this.selectors.assistantContent) || assistantContainer;
     }
 
     /**
@@ -672,40 +1862,86 @@ class GeminiParser extends BaseParser {
             return [];
         }
 
-        const headingLevels = ['h2', 'h3', 'h4', 'h5'];
-        
-        for (const level of headingLevels) {
-            const headings = markdownContainer.querySelectorAll(level);
-            if (headings.length > 0) {
-                const result = Array.from(headings).map((h, idx) => ({
-                    level: level,
-                    text: h.textContent.trim(),
-                    turnId: containerId,
-                    index: idx,
-                }));
-                log.info(`Extracted ${level} headings:`, result.map(h => h.text));
-                return result;
-            }
+        const headings = this.buildHeadingOutline(
+            Array.from(markdownContainer.querySelectorAll('h2, h3, h4, h5')).filter(h => !this.isInThinking(h)),
+            containerId
+        );
+
+        if (headings.length > 0) {
+            log.info('Extracted headings:', headings.map(h => h.text));
+            return headings;
         }
 
-        log.info('No headings found');
-        return [];
+        const inferred = this.inferHeadings(markdownContainer, containerId);
+        log.info(inferred.length > 0 ? 'Inferred outline:' : 'No headings found', inferred.map(h => h.text));
+        return inferred;
     }
 
     /**
      * Get branch information for a prompt
-     * Gemini has edit functionality but may not have branch navigation like ChatGPT
+     * Gemini keeps alternate responses as drafts: the drafts panel lists one chip per
+     * draft with the displayed one selected, and the neighbouring chips act as the
+     * prev/next buttons. An edited query only carries an "edited" marker (Gemini does
+     * not keep the earlier text), so it is a branch point without versions.
      */
     getBranchInfo(element) {
-        // Check for edit button (indicates editing capability)
-        const editButton = element.querySelector('[data-test-id="prompt-edit-button"]');
-        
-        if (editButton) {
-            // Gemini may have different branch UI - for now, just indicate editing is possible
-            return { hasBranches: false, hasEdit: true };
+        const hasEdit = !!element.querySelector('[data-test-id="prompt-edit-button"]');
+        const isEditedQuery = !!element.querySelector(this.selectors.editedMarker);
+        const drafts = this.findDraftChoices(element);
+
+        if (drafts.length > 1) {
+            const current = Math.max(0, this.findSelectedDraft(drafts));
+            return {
+                hasBranches: true,
+                kind: 'draft',
+                current: current + 1,
+                total: drafts.length,
+                prevButton: drafts[current - 1] || null,
+                nextButton: drafts[current + 1] || null,
+                hasEdit,
+                isEditedQuery,
+            };
         }
 
-        return { hasBranches: false };
+        if (isEditedQuery) {
+            return { hasBranches: true, hasEdit, isEditedQuery };
+        }
+        return { hasBranches: false, hasEdit };
+    }
+
+    /**
+     * Index of the selected draft chip, or -1
+     * A chip whose ARIA state says it is selected wins over one that only has a
+     * selected class
+     */
+    findSelectedDraft(drafts) {
+        for (const selector of [this.selectors.selectedDraft, this.selectors.selectedDraftClass]) {
+            const index = drafts.findIndex(chip => chip.matches(selector) || chip.querySelector(selector));
+            if (index !== -1) return index;
+        }
+        return -1;
+    }
+
+    /**
+     * Draft chips of the model-response answering a user-query, outermost only
+     */
+    findDraftChoices(userElement) {
+        const assistantContainer = this.findAssistantContainer(userElement);
+        if (!assistantContainer) return [];
+
+        const selector = this.selectors.draftChoices;
+        return Array.from(assistantContainer.querySelectorAll(selector))
+            .filter(chip => !chip.parentElement?.closest(selector));
+    }
+
+    /**
+     * The drafts panel sits outside the response markdown, in the conversation container
+     */
+    getTurnContainers(promptData) {
+        return [
+            promptData.element.closest(this.selectors.conversationContainer),
+            promptData.responseElement?.closest(this.selectors.assistantMessages),
+        ];
     }
 
     /**
@@ -723,10 +1959,107 @@ class GeminiParser extends BaseParser {
 }
 
 /**
- * Claude parser implementation
- * Note: DOM selectors may need adjustment based on Claude's current structure
+ * Gemini site adapter
  */
-class ClaudeParser extends BaseParser {
+class GeminiAdapter extends SiteAdapter {
+    constructor() {
+        super();
+        this.id = 'gemini';
+        this.name = 'Gemini';
+        this.hostnames = ['gemini.google.com'];
+        this.icon = 'assets/icons/icon48-gemini.png';
+    }
+
+    createParser() {
+        this.parser = new GeminiParser();
+        return this.parser;
+    }
+
+    /**
+     * Check for user-query or model-response or input area inside <main>
+     */
+    isReady() {
+        if (!document.querySelector('main')) return false;
+
+        const hasContent = document.querySelector('user-query') ||
+                           document.querySelector('model-response') ||
+                           document.querySelector('.conversation-container, share-turn-viewer');
+        const hasInput = document.querySelector('[aria-label*="Enter a prompt" i], [contenteditable="true"][role="textbox"]');
+        return !!(hasContent || hasInput);
+    }
+
+    /**
+     * Gemini new chat: /app or /app/ (no ID after)
+     * Existing chat: /app/abc123..., shared link: /share/abc123...
+     */
+    isNewChatUrl(pathname) {
+        return pathname === '/app' || pathname === '/app/';
+    }
+
+    hasConversationContent() {
+        return !!(document.querySelector('user-query') ||
+                  document.querySelector('model-response') ||
+                  document.querySelector('.conversation-container, share-turn-viewer'));
+    }
+
+    isStreaming() {
+        const streamingIndicators = document.querySelectorAll(
+            '[class*="streaming"], [aria-busy="true"], .response-container-header-processing-state:not(:empty)'
+        );
+        return streamingIndicators.length > 0;
+    }
+
+    isMessageNode(node) {
+        if (!node.querySelector) return false;
+
+        const isUserQuery = node.tagName === 'USER-QUERY' || node.querySelector?.('user-query');
+        const isModelResponse = node.tagName === 'MODEL-RESPONSE' || node.querySelector?.('model-response');
+        const isConversationContainer = node.classList?.contains('conversation-container') ||
+            node.tagName === 'SHARE-TURN-VIEWER';
+        return !!(isUserQuery || isModelResponse || isConversationContainer);
+    }
+
+    findScrollContainer() {
+        const container = this.findFirstScrollable([
+            'main [class*="infinite-scroller"]',
+            'main [class*="chat-window-content"]',
+            'main [class*="overflow-y-auto"]',
+            'main [class*="overflow-auto"]',
+        ]);
+        if (container) return container;
+
+        // Fallback: find scrollable ancestor of conversation container
+        return this.findScrollableAncestor(document.querySelector('.conversation-container, share-turn-viewer'));
+    }
+
+    /**
+     * Headings are re-resolved through the conversation container ID
+     */
+    findHeadingElement(heading) {
+        const container = this.parser.findContainerById(heading.turnId);
+        if (!container) return null;
+
+        // Find markdown container within model-response
+        const markdownContainer = container.querySelector('.model-response-text .markdown, .markdown-main-panel');
+        if (!markdownContainer) return null;
+
+        if (heading.inferred) {
+            return this.findInferredHeadingElement(markdownContainer, heading);
+        }
+
+        const headings = Array.from(markdownContainer.querySelectorAll(heading.level))
+            .filter(h => !this.parser.isInThinking(h));
+        return headings[heading.index] || null;
+    }
+}
+
+SiteRegistry.register(new GeminiAdapter());
+
+/**
+ * Claude parser implementation
+ * Note: DOM selectors may need adjustment based on Claude's current structure
+ */
+class ClaudeParser extends BaseParser {
     constructor() {
         super();
         // Claude's DOM selectors - updated to match actual Claude DOM structure
@@ -742,15 +2075,18 @@ class ClaudeParser extends BaseParser {
             userQueryText: '.whitespace-pre-wrap, p',
             // Message containers - data-test-render-count wraps each message turn
             messageGroup: '[data-test-render-count]',
+            // Extended thinking, a collapsible block before the answer
+            thinking: '[data-testid*="thinking"], [class*="thinking-block"]',
         };
     }
 
     /**
      * Get the current conversation ID from URL
-     * Claude URLs: /chat/{uuid} for existing chats, /new for new chats
+     * Claude URLs: /chat/{uuid} for existing chats, /share/{uuid} for shared links,
+     * /new for new chats
      */
     getConversationId() {
-        const match = window.location.pathname.match(/\/chat\/([a-zA-Z0-9-]+)/);
+        const match = window.location.pathname.match(/\/(?:chat|share)\/([a-zA-Z0-9-]+)/);
         return match ? match[1] : null;
     }
 
@@ -770,7 +2106,7 @@ class ClaudeParser extends BaseParser {
         }
 
         userElements.forEach((element, index) => {
-            const promptData = this.extractPromptData(element, index);
+            const promptData = this.getPromptData(element, index, index === userElements.length - 1);
             if (promptData) {
                 messages.push(promptData);
             }
@@ -847,6 +2183,7 @@ class ClaudeParser extends BaseParser {
             const isEdited = branchInfo?.hasBranches ?? false;
 
             const headings = this.extractAssistantHeadings(element);
+            const responseElement = this.findResponseElement(element);
 
             log.info(`Prompt ${index}: "${textContent.substring(0, 30)}..." -> ${headings.length} headings`);
             if (headings.length > 0) {
@@ -858,11 +2195,15 @@ class ClaudeParser extends BaseParser {
                 index: index,
                 text: textContent,
                 preview: this.generatePreview(textContent),
-                timestamp: Date.now(),
+                timestamp: this.getMessageTimestamp(element),
                 isEdited: isEdited,
                 branchInfo: branchInfo,
                 element: element,
+                responseElement: responseElement,
+                responseText: this.getResponseText(responseElement),
                 headings: headings,
+                codeBlocks: this.extractCodeBlocks(responseElement),
+                thinkingBlocks: this.extractThinkingBlocks(element),
             };
 
             return promptData;
@@ -893,23 +2234,32 @@ class ClaudeParser extends BaseParser {
 
     /**
      * Extract headings from the assistant response following a user message
+     */
+    extractAssistantHeadings(userElement) {
+        const assistantContainer = this.findAssistantContainer(userElement);
+        if (!assistantContainer) return [];
+
+        const userContainerId = userElement.closest('[data-test-render-count]')?.getAttribute('data-test-render-count');
+        const assistantContainerId = assistantContainer.getAttribute('data-test-render-count') || userContainerId;
+        return this.extractHeadingsFromElement(assistantContainer, assistantContainerId);
+    }
+
+    /**
+     * Find the container holding the assistant response to a user message
      * Claude structure: user message and assistant response are in SEPARATE sibling containers.
      * Each [data-test-render-count] contains either user OR assistant content, not both.
      */
-    extractAssistantHeadings(userElement) {
+    findAssistantContainer(userElement) {
         // Find the outer container (data-test-render-count wrapper) for the user message
         const userContainer = userElement.closest('[data-test-render-count]');
         
         if (!userContainer) {
             log.info('No user container found for heading extraction');
-            return [];
+            return null;
         }
 
-        const userContainerId = userContainer.getAttribute('data-test-render-count');
-        
         // Claude has user and assistant in SEPARATE sibling containers
         // Look for the next sibling that contains assistant response content
-        let assistantContainer = null;
         let nextElement = userContainer.nextElementSibling;
         
         while (nextElement) {
@@ -919,8 +2269,7 @@ class ClaudeParser extends BaseParser {
             const hasHeadings = nextElement.querySelector?.('h1, h2, h3, h4, h5');
             
             if (hasAssistantContent || hasHeadings) {
-                assistantContainer = nextElement;
-                break;
+                return nextElement;
             }
             
             // If we hit another user message, stop looking
@@ -930,20 +2279,23 @@ class ClaudeParser extends BaseParser {
             nextElement = nextElement.nextElementSibling;
         }
         
-        if (!assistantContainer) {
-            log.info('No assistant response found for this user message');
-            return [];
-        }
+        log.info('No assistant response found for this user message');
+        return null;
+    }
 
-        const assistantContainerId = assistantContainer.getAttribute('data-test-render-count') || userContainerId;
-        return this.extractHeadingsFromElement(assistantContainer, assistantContainerId);
+    /**
+     * The assistant container is the response element on Claude
+     */
+    findResponseElement(userElement) {
+        return this.findAssistantContainer(userElement);
     }
 
     /**
      * Extract headings from an assistant response element
      * Claude has variable heading rendering:
      * - Sometimes uses standard h1/h2/h3 tags
-     * - Sometimes uses <strong> tags inside paragraphs as pseudo-headings
+     * - Sometimes uses <strong> tags inside paragraphs as pseudo-headings, which the
+     *   inferred outline picks up
      * @param {Element} container - The message container element
      * @param {string} containerId - The data-test-render-count value for this container
      */
@@ -954,119 +2306,1817 @@ class ClaudeParser extends BaseParser {
                        `claude-response-${Date.now()}`;
 
         // First, try standard HTML heading elements (h1-h5)
-        const headingLevels = ['h1', 'h2', 'h3', 'h4', 'h5'];
-        
-        for (const level of headingLevels) {
-            const allHeadings = container.querySelectorAll(level);
-            const headings = Array.from(allHeadings).filter(h => {
-                // Exclude headings inside user-message element
-                return !h.closest('[data-testid="user-message"]');
-            });
-            
+        const headingElements = Array.from(container.querySelectorAll('h1, h2, h3, h4, h5'))
+            // Exclude headings inside user-message element and extended thinking
+            .filter(h => !h.closest('[data-testid="user-message"]') && !this.isInThinking(h));
+
+        if (headingElements.length > 0) {
+            const headings = this.buildHeadingOutline(headingElements, turnId);
+            log.info('Extracted headings:', headings.map(h => h.text));
+            return headings;
+        }
+
+        // Claude often answers with bold lead-ins instead of headings
+        const inferred = this.inferHeadings(container, turnId);
+        log.info(inferred.length > 0 ? 'Inferred outline:' : 'No headings found', inferred.map(h => h.text));
+        return inferred;
+    }
+
+    /**
+     * Get branch information for a prompt
+     * Edited messages show "<" and ">" arrows around an "n / m" counter below the
+     * message, inside its render-count wrapper.
+     */
+    getBranchInfo(element) {
+        const container = element.closest('[data-test-render-count]');
+        if (!container) return { hasBranches: false };
+
+        return this.readVersionSwitcher(container, element) || { hasBranches: false };
+    }
+
+    /**
+     * The version arrows sit outside the message, in its render-count wrapper
+     */
+    getTurnContainers(promptData) {
+        return [
+            promptData.element.closest('[data-test-render-count]'),
+            promptData.responseElement?.closest('[data-test-render-count]'),
+        ];
+    }
+
+    /**
+     * Generate a unique ID for a prompt
+     * Every Claude user message has data-testid="user-message", so the ID comes
+     * from the conversation and position instead
+     */
+    generatePromptId(element, index) {
+        return `prompt-${this.conversationId}-${index}`;
+    }
+
+    /**
+     * The hover timestamp sits beside the message, inside its render-count wrapper
+     */
+    getTimestampScope(element) {
+        return element.closest('[data-test-render-count]') || element;
+    }
+}
+
+/**
+ * Claude site adapter
+ * Claude does NOT have a <main> element - it uses #main-content div instead
+ */
+class ClaudeAdapter extends SiteAdapter {
+    constructor() {
+        super();
+        this.id = 'claude';
+        this.name = 'Claude';
+        this.hostnames = ['claude.ai'];
+        this.supportsBranchTree = true;
+
+        // Claude's SPA transitions can be slower - use longer timeouts
+        this.contentWaitTimeout = 4000;
+        this.promptWaitTimeout = 3000;
+    }
+
+    createParser() {
+        this.parser = new ClaudeParser();
+        return this.parser;
+    }
+
+    /**
+     * Check early indicators that are always present on Claude pages
+     */
+    isReady() {
+        const isClaude = document.documentElement.getAttribute('data-theme') === 'claude' &&
+                        document.body?.classList.contains('chat-ui-core');
+        // Shared links are served without the chat app shell
+        const isShare = window.location.pathname.startsWith('/share/');
+        if (!isClaude && !isShare) return false;
+
+        // Check for input container or main content area (appear early)
+        const hasInputContainer = document.querySelector('[data-chat-input-container="true"]');
+        const hasMainContent = document.querySelector('#main-content');
+        const hasInteractiveInput = document.querySelector('[data-testid="chat-input"]');
+        const hasContent = document.querySelector('[data-testid="user-message"]') ||
+                           document.querySelector('[data-test-render-count]');
+        return !!(hasInputContainer || hasMainContent || hasInteractiveInput || hasContent);
+    }
+
+    /**
+     * Claude new chat: /new or / (root with no path)
+     * Existing chat patterns:
+     *   - /chat/abc123... (direct chat)
+     *   - /project/xxx/chat/yyy (project chat)
+     *   - /share/abc123... (shared link)
+     * Match the segment anywhere to catch all three patterns
+     */
+    isNewChatUrl(pathname) {
+        return pathname === '/new' || pathname === '/' || !/\/(chat|share)\//.test(pathname);
+    }
+
+    hasConversationContent() {
+        return !!(document.querySelector('[data-testid="user-message"]') ||
+                  document.querySelector('[data-is-streaming]') ||
+                  document.querySelector('.font-claude-response-body'));
+    }
+
+    isStreaming() {
+        const streamingIndicators = document.querySelectorAll(
+            '[data-is-streaming="true"], [class*="streaming"], [aria-busy="true"]'
+        );
+        return streamingIndicators.length > 0;
+    }
+
+    /**
+     * Note: Claude doesn't use 'human' or 'assistant' class names
+     */
+    isMessageNode(node) {
+        if (!node.querySelector) return false;
+
+        const hasUserMessage = node.hasAttribute?.('data-testid') &&
+            node.getAttribute('data-testid') === 'user-message';
+        const hasRenderCount = node.hasAttribute?.('data-test-render-count');
+        const hasStreaming = node.hasAttribute?.('data-is-streaming');
+        // Claude uses .font-claude-response-body for assistant response paragraphs (not .standard-markdown)
+        const hasMessageContent = node.querySelector?.('.font-claude-response-body, [data-testid="user-message"], .whitespace-pre-wrap');
+
+        return !!(hasUserMessage || hasRenderCount || hasStreaming || hasMessageContent);
+    }
+
+    findObserverTarget() {
+        return document.querySelector('#main-content') || document.body;
+    }
+
+    findLayoutContainer() {
+        return document.querySelector('#main-content');
+    }
+
+    findScrollContainer() {
+        // Claude scroll container - uses overflow-y-scroll class inside #main-content
+        const scrollContainer = document.querySelector('#main-content .overflow-y-scroll');
+        if (scrollContainer && scrollContainer.scrollHeight > scrollContainer.clientHeight) {
+            return scrollContainer;
+        }
+
+        // Fallback: find scrollable ancestor of any message
+        return this.findScrollableAncestor(
+            document.querySelector('[data-testid="user-message"], .font-claude-response-body')
+        );
+    }
+
+    /**
+     * turnId is like "claude-response-{count}" where {count} is the data-test-render-count value
+     */
+    findHeadingElement(heading) {
+        let container = null;
+
+        const renderCountMatch = heading.turnId?.match(/^claude-response-(\d+)$/);
+        if (renderCountMatch) {
+            container = document.querySelector(`[data-test-render-count="${renderCountMatch[1]}"]`);
+        }
+
+        if (!container) {
+            // Fallback: try data-testid
+            container = document.querySelector(`[data-testid="${heading.turnId}"]`);
+        }
+
+        if (!container) {
+            // Fallback: find any container with assistant response content
+            container = Array.from(document.querySelectorAll('[data-test-render-count]'))
+                .find(candidate => candidate.querySelector('.font-claude-response-body')) || null;
+        }
+
+        if (!container) return null;
+
+        // Claude has variable heading rendering - inferred outline entries or h1-h5
+        if (heading.inferred) {
+            return this.findInferredHeadingElement(container, heading);
+        }
+
+        // Standard headings (h1-h5) - find those NOT inside user message or extended thinking
+        const headings = Array.from(container.querySelectorAll(heading.level))
+            .filter(h => !h.closest('[data-testid="user-message"]') && !this.parser.isInThinking(h));
+        return headings[heading.index] || null;
+    }
+}
+
+SiteRegistry.register(new ClaudeAdapter());
+
+/**
+ * AI Studio parser implementation
+ * Every message is an ms-chat-turn whose container carries the role (User or Model);
+ * the system instructions panel sits above the turns and is not part of the conversation.
+ */
+class AIStudioParser extends BaseParser {
+    constructor() {
+        super();
+        this.selectors = {
+            turn: 'ms-chat-turn',
+            userMessages: '[data-turn-role="User"], .chat-turn-container.user',
+            assistantMessages: '[data-turn-role="Model"], .chat-turn-container.model',
+            // Rendered markdown of a turn (the raw text while it is being edited)
+            content: '.turn-content',
+            editor: 'textarea',
+            // Collapsible "Thoughts" panel of thinking models
+            thinking: 'ms-thought-chunk, .thought-panel',
+            systemInstructions: 'ms-system-instructions, .system-instructions',
+            editButton: 'button[aria-label*="Edit" i]',
+        };
+    }
+
+    /**
+     * Get the current conversation ID from URL
+     * AI Studio URLs: /prompts/{id} for saved prompts, /prompts/new_chat before the
+     * first save
+     */
+    getConversationId() {
+        const match = window.location.pathname.match(/\/prompts\/([a-zA-Z0-9_-]+)/);
+        return match && match[1] !== 'new_chat' ? match[1] : null;
+    }
+
+    /**
+     * Find all user messages in the DOM, leaving out the system instructions
+     */
+    findUserMessages() {
+        const messages = [];
+        const selector = this.selectors.userMessages;
+        // Outermost match only, in case the role attribute and class sit on nested elements
+        const userElements = Array.from(document.querySelectorAll(selector))
+            .filter(element => !element.closest(this.selectors.systemInstructions) &&
+                               !element.parentElement?.closest(selector));
+
+        userElements.forEach((element, index) => {
+            const promptData = this.getPromptData(element, index, index === userElements.length - 1);
+            if (promptData) {
+                messages.push(promptData);
+            }
+        });
+
+        return messages;
+    }
+
+    /**
+     * Extract prompt data from a user turn container
+     */
+    extractPromptData(element, index) {
+        try {
+            const textContent = this.getMessageText(element);
+
+            if (!textContent || textContent.trim().length === 0) {
+                return null;
+            }
+
+            const branchInfo = this.getBranchInfo(element);
+            const isEdited = branchInfo?.hasBranches ?? false;
+
+            const headings = this.extractAssistantHeadings(element);
+            const responseElement = this.findResponseElement(element);
+
+            log.info(`Prompt ${index}: "${textContent.substring(0, 30)}..." -> ${headings.length} headings`);
             if (headings.length > 0) {
-                const result = headings.map((h, idx) => ({
-                    level: level,
-                    text: h.textContent.trim(),
-                    turnId: turnId,
-                    index: idx,
-                }));
-                log.info(`Extracted ${level} headings:`, result.map(h => h.text));
-                return result;
+                log.info(`  Headings for prompt ${index}:`, headings.map(h => h.text));
             }
+
+            const promptData = {
+                id: this.generatePromptId(element, index),
+                index: index,
+                text: textContent,
+                preview: this.generatePreview(textContent),
+                timestamp: this.getMessageTimestamp(element),
+                isEdited: isEdited,
+                branchInfo: branchInfo,
+                element: element,
+                responseElement: responseElement,
+                responseText: this.getResponseText(responseElement),
+                headings: headings,
+                codeBlocks: this.extractCodeBlocks(responseElement),
+                thinkingBlocks: this.extractThinkingBlocks(element),
+            };
+
+            return promptData;
+        } catch (error) {
+            log.error('Error extracting prompt data:', error);
+            return null;
         }
+    }
 
-        // Fallback: Claude sometimes uses <strong> inside paragraphs as pseudo-headings
-        // Look for <strong> tags that are the only/first child of a paragraph (section headers)
-        const strongHeadings = this.extractStrongHeadings(container, turnId);
-        if (strongHeadings.length > 0) {
-            log.info('Extracted strong pseudo-headings:', strongHeadings.map(h => h.text));
-            return strongHeadings;
+    /**
+     * Get the text of a user turn
+     * A turn being edited swaps its rendered text for a textarea, whose value is the
+     * text as it stands
+     */
+    getMessageText(element) {
+        const editor = element.querySelector(this.selectors.editor);
+        if (editor) {
+            return this.cleanText(editor.value);
         }
 
-        log.info('No headings found');
-        return [];
+        const textContainer = element.querySelector(this.selectors.content);
+        return this.cleanText((textContainer || element).textContent || '');
     }
 
     /**
-     * Extract <strong> tags that act as section headings in Claude responses
-     * These are typically <strong> elements inside paragraphs with font-claude-response-body class
-     * Only includes <strong> tags that appear to be headings (short, at start of paragraph)
+     * Extract headings from the model turn answering a user turn
      */
-    extractStrongHeadings(container, turnId) {
-        // Find strong tags inside response paragraphs
-        const strongElements = container.querySelectorAll('.font-claude-response-body strong, p strong');
-        
-        const headings = [];
-        for (const strong of strongElements) {
-            // Skip if inside user message
-            if (strong.closest('[data-testid="user-message"]')) continue;
-            
-            const text = strong.textContent.trim();
-            // Skip empty or very long text (likely not a heading)
-            if (!text || text.length > 100) continue;
-            
-            // Check if this strong is a heading-like element:
-            // It should be the first significant content in its parent paragraph
-            const parent = strong.closest('p');
-            if (parent) {
-                const parentText = parent.textContent.trim();
-                // If the strong text IS the paragraph (or nearly), it's likely a heading
-                // Also accept if strong is at the very start of the paragraph
-                const isHeadingLike = parentText === text || 
-                                      parentText.startsWith(text) && parentText.length < text.length + 20;
-                if (isHeadingLike) {
-                    headings.push({
-                        level: 'strong',
-                        text: text,
-                        turnId: turnId,
-                        index: headings.length,
-                    });
-                }
-            }
+    extractAssistantHeadings(userElement) {
+        const assistantContainer = this.findAssistantContainer(userElement);
+        if (!assistantContainer) return [];
+
+        return this.extractHeadingsFromElement(assistantContainer, this.getTurnId(assistantContainer));
+    }
+
+    /**
+     * Find the model turn answering a user turn
+     * User and model turns are separate ms-chat-turn elements; the answer is the first
+     * model turn before the next user turn. A rerun replaces it with a new one.
+     */
+    findAssistantContainer(userElement) {
+        const turns = this.getTurnElements();
+        const userTurn = userElement.closest(this.selectors.turn);
+        const start = turns.indexOf(userTurn);
+        if (start === -1) {
+            log.info('No chat turn found for this user message');
+            return null;
         }
-        
-        return headings;
+
+        for (const turn of turns.slice(start + 1)) {
+            if (turn.querySelector(this.selectors.userMessages)) break;
+
+            const assistantContainer = turn.querySelector(this.selectors.assistantMessages);
+            if (assistantContainer) return assistantContainer;
+        }
+
+        log.info('No assistant response found for this user message');
+        return null;
+    }
+
+    /**
+     * ID of the ms-chat-turn holding a message, used to find its headings again
+     * Turns without an ID are numbered by position
+     */
+    getTurnId(container) {
+        const turn = container.closest(this.selectors.turn);
+        if (turn?.id) return turn.id;
+        return `turn-${this.getTurnElements().indexOf(turn)}`;
+    }
+
+    /**
+     * Find an ms-chat-turn by the ID getTurnId() gave it
+     */
+    findTurnById(turnId) {
+        const position = turnId?.match(/^turn-(\d+)$/);
+        if (position) {
+            return this.getTurnElements()[position[1]] || null;
+        }
+        return turnId ? document.getElementById(turnId) : null;
+    }
+
+    /**
+     * Find the rendered content of the model turn
+     */
+    findResponseElement(userElement) {
+        const assistantContainer = this.findAssistantContainer(userElement);
+        if (!assistantContainer) return null;
+
+        return assistantContainer.querySelector(this.selectors.content) || assistantContainer;
+    }
+
+    /**
+     * Extract headings from a model turn
+     */
+    extractHeadingsFromElement(container, turnId) {
+        const contentContainer = container.querySelector(this.selectors.content) || container;
+
+        const headings = this.buildHeadingOutline(
+            Array.from(contentContainer.querySelectorAll('h1, h2, h3, h4, h5')).filter(h => !this.isInThinking(h)),
+            turnId
+        );
+
+        if (headings.length > 0) {
+            log.info('Extracted headings:', headings.map(h => h.text));
+            return headings;
+        }
+
+        const inferred = this.inferHeadings(contentContainer, turnId);
+        log.info(inferred.length > 0 ? 'Inferred outline:' : 'No headings found', inferred.map(h => h.text));
+        return inferred;
     }
 
     /**
      * Get branch information for a prompt
-     * Claude does not currently support branching/editing like ChatGPT
+     * AI Studio edits and reruns turns in place without keeping earlier versions, so
+     * there is nothing to switch between; only the edit action is reported.
      */
     getBranchInfo(element) {
-        // Claude doesn't have branch navigation UI like ChatGPT
-        // Check for any edit indicators
-        const editButton = element.querySelector('[aria-label*="edit" i], [data-testid*="edit"]');
-        
-        return { 
-            hasBranches: false, 
-            hasEdit: !!editButton 
+        const turn = element.closest(this.selectors.turn) || element;
+        return {
+            hasBranches: false,
+            hasEdit: !!turn.querySelector(this.selectors.editButton),
         };
     }
 
+    /**
+     * Edit and rerun buttons, and the editor, sit in the ms-chat-turn around the
+     * message; a rerun swaps the model turn
+     */
+    getTurnContainers(promptData) {
+        return [
+            promptData.element.closest(this.selectors.turn),
+            promptData.responseElement?.closest(this.selectors.turn),
+        ];
+    }
+
     /**
      * Generate a unique ID for a prompt
      */
     generatePromptId(element, index) {
-        // Try to use data-testid if available
-        const testId = element.getAttribute('data-testid');
-        if (testId) {
-            return testId;
-        }
-
-        // Try parent container ID
-        const parent = element.closest('[data-testid]');
-        if (parent) {
-            return parent.getAttribute('data-testid');
+        const turn = element.closest(this.selectors.turn);
+        if (turn && turn.id) {
+            return turn.id;
         }
 
-        // Fallback to index-based ID
         return `prompt-${this.conversationId}-${index}`;
     }
 }
 
+/**
+ * AI Studio site adapter
+ */
+class AIStudioAdapter extends SiteAdapter {
+    constructor() {
+        super();
+        this.id = 'aistudio';
+        // Tab titles end in "| Google AI Studio"
+        this.name = 'Google AI Studio';
+        this.hostnames = ['aistudio.google.com'];
+        this.icon = 'assets/icons/icon48-gemini.png';
+
+        // The Angular app loads the prompt after the shell
+        this.contentWaitTimeout = 4000;
+    }
+
+    createParser() {
+        this.parser = new AIStudioParser();
+        return this.parser;
+    }
+
+    /**
+     * Check for the app shell, a chat turn or the prompt input
+     */
+    isReady() {
+        return !!(document.querySelector('ms-app') ||
+                  document.querySelector('ms-chat-turn') ||
+                  document.querySelector('ms-prompt-input-wrapper, ms-chunk-input textarea'));
+    }
+
+    /**
+     * AI Studio new chat: /prompts/new_chat, or any page outside /prompts/
+     * Saved prompt: /prompts/abc123...
+     */
+    isNewChatUrl(pathname) {
+        return !/\/prompts\/(?!new_chat\b)[a-zA-Z0-9_-]+/.test(pathname);
+    }
+
+    hasConversationContent() {
+        return !!document.querySelector('ms-chat-turn');
+    }
+
+    isStreaming() {
+        const streamingIndicators = document.querySelectorAll(
+            'ms-run-button button[aria-label*="Stop" i], ms-chat-turn [class*="loading"], [aria-busy="true"]'
+        );
+        return streamingIndicators.length > 0;
+    }
+
+    isMessageNode(node) {
+        if (!node.querySelector) return false;
+
+        const isTurn = node.tagName === 'MS-CHAT-TURN' || node.querySelector?.('ms-chat-turn');
+        const hasTurnContent = node.querySelector?.('.chat-turn-container, ms-cmark-node');
+        return !!(isTurn || hasTurnContent);
+    }
+
+    findObserverTarget() {
+        return document.querySelector('ms-chat-session') || document.body;
+    }
+
+    findLayoutContainer() {
+        return document.querySelector('ms-chat-session')?.parentElement || super.findLayoutContainer();
+    }
+
+    findScrollContainer() {
+        const container = this.findFirstScrollable([
+            'ms-autoscroll-container',
+            'ms-chat-session .chat-view-container',
+            'ms-chat-session [class*="overflow-y-auto"]',
+        ]);
+        if (container) return container;
+
+        // Fallback: find scrollable ancestor of any turn
+        return this.findScrollableAncestor(document.querySelector('ms-chat-turn'));
+    }
+
+    /**
+     * Headings are re-resolved through the ms-chat-turn ID
+     */
+    findHeadingElement(heading) {
+        const turn = this.parser.findTurnById(heading.turnId);
+        const container = turn?.querySelector(this.parser.selectors.assistantMessages);
+        if (!container) return null;
+
+        const contentContainer = container.querySelector(this.parser.selectors.content) || container;
+
+        if (heading.inferred) {
+            return this.findInferredHeadingElement(contentContainer, heading);
+        }
+
+        const headings = Array.from(contentContainer.querySelectorAll(heading.level))
+            .filter(h => !this.parser.isInThinking(h));
+        return headings[heading.index] || null;
+    }
+}
+
+SiteRegistry.register(new AIStudioAdapter());
+
+/**
+ * Open WebUI parser implementation
+ * Each message is a "message-{id}" element; user messages carry .user-message and
+ * responses a .chat-assistant body. Edited prompts and regenerated responses show a
+ * "<" "n/m" ">" switcher in their action row.
+ */
+class OpenWebUIParser extends BaseParser {
+    constructor() {
+        super();
+        this.selectors = {
+            turn: '[id^="message-"]',
+            userMessages: '.user-message',
+            assistantMessages: '.chat-assistant',
+            userQueryText: '.chat-user, [class*="rounded-3xl"]',
+            editor: 'textarea',
+            // Collapsed "Thought for n seconds" block of reasoning models
+            thinking: 'details[type="reasoning"], [class*="reasoning"]',
+        };
+    }
+
+    /**
+     * Get the current conversation ID from URL
+     * Open WebUI URLs: /c/{id} for chats, /s/{id} for shared chats, / for a new chat
+     */
+    getConversationId() {
+        const match = window.location.pathname.match(/\/[cs]\/([a-zA-Z0-9-]+)/);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Find all user messages in the DOM
+     */
+    findUserMessages() {
+        const messages = [];
+        const userElements = document.querySelectorAll(this.selectors.userMessages);
+
+        userElements.forEach((element, index) => {
+            const promptData = this.getPromptData(element, index, index === userElements.length - 1);
+            if (promptData) {
+                messages.push(promptData);
+            }
+        });
+
+        return messages;
+    }
+
+    /**
+     * Extract prompt data from a user message element
+     */
+    extractPromptData(element, index) {
+        try {
+            const textContent = this.getMessageText(element);
+
+            if (!textContent || textContent.trim().length === 0) {
+                return null;
+            }
+
+            const branchInfo = this.getBranchInfo(element);
+            const isEdited = branchInfo?.hasBranches ?? false;
+
+            const headings = this.extractAssistantHeadings(element);
+            const responseElement = this.findResponseElement(element);
+
+            log.info(`Prompt ${index}: "${textContent.substring(0, 30)}..." -> ${headings.length} headings`);
+            if (headings.length > 0) {
+                log.info(`  Headings for prompt ${index}:`, headings.map(h => h.text));
+            }
+
+            const promptData = {
+                id: this.generatePromptId(element, index),
+                index: index,
+                text: textContent,
+                preview: this.generatePreview(textContent),
+                timestamp: this.getMessageTimestamp(element),
+                isEdited: isEdited,
+                branchInfo: branchInfo,
+                element: element,
+                responseElement: responseElement,
+                responseText: this.getResponseText(responseElement),
+                headings: headings,
+                codeBlocks: this.extractCodeBlocks(responseElement),
+                thinkingBlocks: this.extractThinkingBlocks(element),
+            };
+
+            return promptData;
+        } catch (error) {
+            log.error('Error extracting prompt data:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get the text content from a user message element
+     * A message being edited shows its text in a textarea
+     */
+    getMessageText(element) {
+        const editor = element.querySelector(this.selectors.editor);
+        if (editor) {
+            return this.cleanText(editor.value);
+        }
+
+        const textContainer = element.querySelector(this.selectors.userQueryText);
+        return this.cleanText((textContainer || element).textContent || '');
+    }
+
+    /**
+     * Extract headings from the response following a user message
+     */
+    extractAssistantHeadings(userElement) {
+        const assistantContainer = this.findAssistantContainer(userElement);
+        if (!assistantContainer) return [];
+
+        return this.extractHeadingsFromElement(assistantContainer, this.getTurnId(assistantContainer));
+    }
+
+    /**
+     * Find the response body answering a user message
+     * The answer is the first response before the next user message.
+     */
+    findAssistantContainer(userElement) {
+        const turns = this.getTurnElements();
+        const userTurn = userElement.closest(this.selectors.turn);
+        const start = turns.indexOf(userTurn);
+        if (start === -1) {
+            log.info('No message element found for this user message');
+            return null;
+        }
+
+        for (const turn of turns.slice(start + 1)) {
+            if (turn.querySelector(this.selectors.userMessages) || turn.matches(this.selectors.userMessages)) break;
+
+            const assistantContainer = turn.querySelector(this.selectors.assistantMessages);
+            if (assistantContainer) return assistantContainer;
+        }
+
+        log.info('No assistant response found for this user message');
+        return null;
+    }
+
+    /**
+     * The response body is the response element on Open WebUI
+     */
+    findResponseElement(userElement) {
+        return this.findAssistantContainer(userElement);
+    }
+
+    /**
+     * ID of the message element holding a response, used to find its headings again
+     */
+    getTurnId(container) {
+        const turn = container.closest(this.selectors.turn);
+        return turn?.id || `turn-${this.getTurnElements().indexOf(turn)}`;
+    }
+
+    /**
+     * Find a message element by the ID getTurnId() gave it
+     */
+    findTurnById(turnId) {
+        const position = turnId?.match(/^turn-(\d+)$/);
+        if (position) {
+            return this.getTurnElements()[position[1]] || null;
+        }
+        return turnId ? document.getElementById(turnId) : null;
+    }
+
+    /**
+     * Extract headings from a response body
+     */
+    extractHeadingsFromElement(container, turnId) {
+        const headings = this.buildHeadingOutline(
+            Array.from(container.querySelectorAll('h1, h2, h3, h4, h5')).filter(h => !this.isInThinking(h)),
+            turnId
+        );
+
+        if (headings.length > 0) {
+            log.info('Extracted headings:', headings.map(h => h.text));
+            return headings;
+        }
+
+        const inferred = this.inferHeadings(container, turnId);
+        log.info(inferred.length > 0 ? 'Inferred outline:' : 'No headings found', inferred.map(h => h.text));
+        return inferred;
+    }
+
+    /**
+     * Get branch information for a prompt
+     * The switcher of an edited prompt sits in the action row of its message element.
+     */
+    getBranchInfo(element) {
+        const turn = element.closest(this.selectors.turn) || element;
+        const textContainer = element.querySelector(this.selectors.userQueryText) || element;
+        return this.readVersionSwitcher(turn, textContainer) || { hasBranches: false };
+    }
+
+    /**
+     * The action row with the switcher belongs to the message element
+     */
+    getTurnContainers(promptData) {
+        return [
+            promptData.element.closest(this.selectors.turn),
+            promptData.responseElement?.closest(this.selectors.turn),
+        ];
+    }
+
+    /**
+     * Generate a unique ID for a prompt
+     */
+    generatePromptId(element, index) {
+        const turn = element.closest(this.selectors.turn);
+        if (turn && turn.id) {
+            return turn.id;
+        }
+
+        return super.generatePromptId(element, index);
+    }
+}
+
+/**
+ * Open WebUI site adapter
+ * Self-hosted, so it has no fixed hostname: it is picked for the origins added on
+ * the options page
+ */
+class OpenWebUIAdapter extends SiteAdapter {
+    constructor() {
+        super();
+        this.id = 'openwebui';
+        this.name = 'Open WebUI';
+        this.supportsBranchTree = true;
+    }
+
+    createParser() {
+        this.parser = new OpenWebUIParser();
+        return this.parser;
+    }
+
+    /**
+     * Check for the chat container, the message list or the input
+     */
+    isReady() {
+        return !!document.querySelector('#chat-container, #messages-container, #chat-input');
+    }
+
+    /**
+     * Open WebUI new chat: / (no ID)
+     * Existing chat: /c/abc123..., shared chat: /s/abc123...
+     */
+    isNewChatUrl(pathname) {
+        return !/\/[cs]\/[a-zA-Z0-9-]+/.test(pathname);
+    }
+
+    hasConversationContent() {
+        return !!document.querySelector('.user-message, .chat-assistant');
+    }
+
+    isStreaming() {
+        const streamingIndicators = document.querySelectorAll(
+            '[aria-busy="true"], button[aria-label*="Stop" i], .chat-assistant [class*="skeleton"]'
+        );
+        return streamingIndicators.length > 0;
+    }
+
+    isMessageNode(node) {
+        if (!node.querySelector) return false;
+
+        const isMessage = node.id?.startsWith('message-') || node.querySelector?.('[id^="message-"]');
+        const hasMessageContent = node.querySelector?.('.user-message, .chat-assistant');
+        return !!(isMessage || hasMessageContent);
+    }
+
+    findObserverTarget() {
+        return document.querySelector('#chat-container') || document.body;
+    }
+
+    findLayoutContainer() {
+        return document.querySelector('#chat-container') || super.findLayoutContainer();
+    }
+
+    findScrollContainer() {
+        const container = this.findFirstScrollable(['#messages-container']);
+        if (container) return container;
+
+        // Fallback: find scrollable ancestor of any message
+        return this.findScrollableAncestor(document.querySelector('[id^="message-"]'));
+    }
+
+    /**
+     * Headings are re-resolved through the message element ID
+     */
+    findHeadingElement(heading) {
+        const turn = this.parser.findTurnById(heading.turnId);
+        const container = turn?.querySelector(this.parser.selectors.assistantMessages);
+        if (!container) return null;
+
+        if (heading.inferred) {
+            return this.findInferredHeadingElement(container, heading);
+        }
+
+        const headings = Array.from(container.querySelectorAll(heading.level))
+            .filter(h => !this.parser.isInThinking(h));
+        return headings[heading.index] || null;
+    }
+}
+
+SiteRegistry.register(new OpenWebUIAdapter());
+
+/**
+ * LibreChat parser implementation
+ * Each message is a .message-render block marked .user-turn or .agent-turn; edited
+ * prompts and regenerated responses show a "<" "n / m" ">" sibling switcher.
+ */
+class LibreChatParser extends BaseParser {
+    constructor() {
+        super();
+        this.selectors = {
+            turn: '.message-render',
+            userMessages: '.message-render.user-turn',
+            assistantMessages: '.message-render.agent-turn',
+            userQueryText: '.whitespace-pre-wrap, .message-content',
+            assistantContent: '.markdown, .message-content',
+            editor: 'textarea',
+            // "Thoughts" block of reasoning models
+            thinking: '[data-testid*="thinking" i], [class*="thinking"]',
+        };
+    }
+
+    /**
+     * Get the current conversation ID from URL
+     * LibreChat URLs: /c/{id} for chats (/c/new before the first message),
+     * /share/{id} for shared links
+     */
+    getConversationId() {
+        const match = window.location.pathname.match(/\/(?:c|share)\/([a-zA-Z0-9-]+)/);
+        return match && match[1] !== 'new' ? match[1] : null;
+    }
+
+    /**
+     * Find all user messages in the DOM
+     */
+    findUserMessages() {
+        const messages = [];
+        const userElements = document.querySelectorAll(this.selectors.userMessages);
+
+        userElements.forEach((element, index) => {
+            const promptData = this.getPromptData(element, index, index === userElements.length - 1);
+            if (promptData) {
+                messages.push(promptData);
+            }
+        });
+
+        return messages;
+    }
+
+    /**
+     * Extract prompt data from a user message block
+     */
+    extractPromptData(element, index) {
+        try {
+            const textContent = this.getMessageText(element);
+
+            if (!textContent || textContent.trim().length === 0) {
+                return null;
+            }
+
+            const branchInfo = this.getBranchInfo(element);
+            const isEdited = branchInfo?.hasBranches ?? false;
+
+            const headings = this.extractAssistantHeadings(element);
+            const responseElement = this.findResponseElement(element);
+
+            log.info(`Prompt ${index}: "${textContent.substring(0, 30)}..." -> ${headings.length} headings`);
+            if (headings.length > 0) {
+                log.info(`  Headings for prompt ${index}:`, headings.map(h => h.text));
+            }
+
+            const promptData = {
+                id: this.generatePromptId(element, index),
+                index: index,
+                text: textContent,
+                preview: this.generatePreview(textContent),
+                timestamp: this.getMessageTimestamp(element),
+                isEdited: isEdited,
+                branchInfo: branchInfo,
+                element: element,
+                responseElement: responseElement,
+                responseText: this.getResponseText(responseElement),
+                headings: headings,
+                codeBlocks: this.extractCodeBlocks(responseElement),
+                thinkingBlocks: this.extractThinkingBlocks(element),
+            };
+
+            return promptData;
+        } catch (error) {
+            log.error('Error extracting prompt data:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get the text content from a user message block
+     * A message being edited shows its text in a textarea
+     */
+    getMessageText(element) {
+        const editor = element.querySelector(this.selectors.editor);
+        if (editor) {
+            return this.cleanText(editor.value);
+        }
+
+        const textContainer = element.querySelector(this.selectors.userQueryText);
+        return this.cleanText((textContainer || element).textContent || '');
+    }
+
+    /**
+     * Extract headings from the response following a user message
+     */
+    extractAssistantHeadings(userElement) {
+        const assistantContainer = this.findAssistantContainer(userElement);
+        if (!assistantContainer) return [];
+
+        return this.extractHeadingsFromElement(assistantContainer, this.getTurnId(assistantContainer));
+    }
+
+    /**
+     * Find the response block answering a user message
+     * The answer is the first response block before the next user message.
+     */
+    findAssistantContainer(userElement) {
+        const turns = this.getTurnElements();
+        const start = turns.indexOf(userElement);
+        if (start === -1) return null;
+
+        for (const turn of turns.slice(start + 1)) {
+            if (turn.matches(this.selectors.userMessages)) break;
+            if (turn.matches(this.selectors.assistantMessages)) return turn;
+        }
+
+        log.info('No assistant response found for this user message');
+        return null;
+    }
+
+    /**
+     * Find the markdown content of the response block
+     */
+    findResponseElement(userElement) {
+        const assistantContainer = this.findAssistantContainer(userElement);
+        if (!assistantContainer) return null;
+
+        return assistantContainer.querySelector(this.selectors.assistantContent) || assistantContainer;
+    }
+
+    /**
+     * ID of a message block, used to find its headings again
+     * Blocks without an ID are numbered by position
+     */
+    getTurnId(turn) {
+        if (turn.id) return turn.id;
+        return `turn-${this.getTurnElements().indexOf(turn)}`;
+    }
+
+    /**
+     * Find a message block by the ID getTurnId() gave it
+     */
+    findTurnById(turnId) {
+        const position = turnId?.match(/^turn-(\d+)$/);
+        if (position) {
+            return this.getTurnElements()[position[1]] || null;
+        }
+        return turnId ? document.getElementById(turnId) : null;
+    }
+
+    /**
+     * Extract headings from a response block
+     */
+    extractHeadingsFromElement(container, turnId) {
+        const contentContainer = container.querySelector(this.selectors.assistantContent) || container;
+
+        const headings = this.buildHeadingOutline(
+            Array.from(contentContainer.querySelectorAll('h1, h2, h3, h4, h5')).filter(h => !this.isInThinking(h)),
+            turnId
+        );
+
+        if (headings.length > 0) {
+            log.info('Extracted headings:', headings.map(h => h.text));
+            return headings;
+        }
+
+        const inferred = this.inferHeadings(contentContainer, turnId);
+        log.info(inferred.length > 0 ? 'Inferred outline:' : 'No headings found', inferred.map(h => h.text));
+        return inferred;
+    }
+
+    /**
+     * Get branch information for a prompt
+     * The sibling switcher of an edited prompt sits below its text, in the block.
+     */
+    getBranchInfo(element) {
+        const textContainer = element.querySelector(this.selectors.userQueryText) || element;
+        return this.readVersionSwitcher(element, textContainer) || { hasBranches: false };
+    }
+
+    /**
+     * The response block holds its switcher and thinking outside the markdown
+     */
+    getTurnContainers(promptData) {
+        return [promptData.responseElement?.closest(this.selectors.turn)];
+    }
+
+    /**
+     * Generate a unique ID for a prompt
+     */
+    generatePromptId(element, index) {
+        if (element.id) {
+            return element.id;
+        }
+
+        return super.generatePromptId(element, index);
+    }
+}
+
+/**
+ * LibreChat site adapter
+ * Self-hosted, so it has no fixed hostname: it is picked for the origins added on
+ * the options page
+ */
+class LibreChatAdapter extends SiteAdapter {
+    constructor() {
+        super();
+        this.id = 'librechat';
+        this.name = 'LibreChat';
+        this.supportsBranchTree = true;
+    }
+
+    createParser() {
+        this.parser = new LibreChatParser();
+        return this.parser;
+    }
+
+    /**
+     * Check for messages or the prompt input inside <main>
+     */
+    isReady() {
+        if (!document.querySelector('main')) return false;
+
+        return !!document.querySelector('.message-render, #prompt-textarea, textarea[data-testid="text-input"]');
+    }
+
+    /**
+     * LibreChat new chat: /c/new
+     * Existing chat: /c/abc123..., shared link: /share/abc123...
+     */
+    isNewChatUrl(pathname) {
+        return !/\/(c|share)\/(?!new\b)[a-zA-Z0-9-]+/.test(pathname);
+    }
+
+    hasConversationContent() {
+        return !!document.querySelector('.message-render');
+    }
+
+    isStreaming() {
+        const streamingIndicators = document.querySelectorAll(
+            '.result-streaming, [data-testid="stop-generation-button"], button[aria-label*="Stop" i]'
+        );
+        return streamingIndicators.length > 0;
+    }
+
+    isMessageNode(node) {
+        if (!node.querySelector) return false;
+
+        const isMessage = node.classList?.contains('message-render') || node.querySelector?.('.message-render');
+        return !!isMessage;
+    }
+
+    findScrollContainer() {
+        const container = this.findFirstScrollable([
+            'main [class*="overflow-y-auto"]',
+            'main [class*="overflow-auto"]',
+        ]);
+        if (container) return container;
+
+        // Fallback: find scrollable ancestor of any message
+        return this.findScrollableAncestor(document.querySelector('.message-render'));
+    }
+
+    /**
+     * Headings are re-resolved through the message block ID
+     */
+    findHeadingElement(heading) {
+        const turn = this.parser.findTurnById(heading.turnId);
+        if (!turn) return null;
+
+        const contentContainer = turn.querySelector(this.parser.selectors.assistantContent) || turn;
+
+        if (heading.inferred) {
+            return this.findInferredHeadingElement(contentContainer, heading);
+        }
+
+        const headings = Array.from(contentContainer.querySelectorAll(heading.level))
+            .filter(h => !this.parser.isInThinking(h));
+        return headings[heading.index] || null;
+    }
+}
+
+SiteRegistry.register(new LibreChatAdapter());
+
+/**
+ * Perplexity parser implementation
+ * A thread is a list of entries, each a query heading followed by its answer; the
+ * answer cites numbered sources inline, which are listed with the prompt.
+ */
+class PerplexityParser extends BaseParser {
+    constructor() {
+        super();
+        this.selectors = {
+            userMessages: '[class*="group/query"]',
+            userQueryText: '.select-text',
+            assistantContent: '[id^="markdown-content-"], .prose',
+            // Inline citation chips ("[1]" or the source's domain) linking to the source
+            citations: '.citation, [data-pplx-citation]',
+            // Source list of an entry, when it is shown
+            sourceCards: '[data-testid*="source" i] a[href], a[data-testid*="source" i]',
+            sourceTitle: '[class*="line-clamp"], [class*="title"]',
+        };
+
+        this.thread = null; // getThread() result, kept for the running extraction
+    }
+
+    /**
+     * Get the current conversation ID from URL
+     * Perplexity URLs: /search/{slug-with-id} for threads, / for a new thread
+     */
+    getConversationId() {
+        const match = window.location.pathname.match(/\/search\/([\w.-]+)/);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Pair queries and answers afresh for each extraction
+     */
+    beginExtraction() {
+        super.beginExtraction();
+        this.thread = null;
+    }
+
+    /**
+     * Drop the extraction's thread so later lookups see the page as it is
+     */
+    finishExtraction(prompts) {
+        super.finishExtraction(prompts);
+        this.thread = null;
+    }
+
+    /**
+     * Queries and answers in document order (outermost only), each query paired with
+     * its answer: the first answer after it and before the next query
+     * Like getTurnElements(), it is built once per extraction and reused.
+     * @returns {{queries: Element[], answers: Element[], answerOf: Map<Element, Element>}}
+     */
+    getThread() {
+        if (this.thread) return this.thread;
+
+        const outermost = selector => Array.from(document.querySelectorAll(selector))
+            .filter(element => !element.parentElement?.closest(selector));
+        const queries = outermost(this.selectors.userMessages);
+        const answers = outermost(this.selectors.assistantContent);
+        const follows = (from, element) => !!(from.compareDocumentPosition(element) & Node.DOCUMENT_POSITION_FOLLOWING);
+
+        // Both lists are in document order, so one walk pairs them
+        const answerOf = new Map();
+        let next = 0;
+        queries.forEach((query, index) => {
+            while (next < answers.length && !follows(query, answers[next])) next++;
+            const answer = answers[next];
+            const nextQuery = queries[index + 1];
+            if (answer && !(nextQuery && follows(nextQuery, answer))) {
+                answerOf.set(query, answer);
+            }
+        });
+
+        const thread = { queries, answers, answerOf };
+        if (this.extracting) this.thread = thread;
+        return thread;
+    }
+
+    /**
+     * Find all user messages in the DOM
+     */
+    findUserMessages() {
+        const messages = [];
+        const userElements = this.getThread().queries;
+
+        userElements.forEach((element, index) => {
+            const promptData = this.getPromptData(element, index, index === userElements.length - 1);
+            if (promptData) {
+                messages.push(promptData);
+            }
+        });
+
+        return messages;
+    }
+
+    /**
+     * Extract prompt data from a query element
+     */
+    extractPromptData(element, index) {
+        try {
+            const textContent = this.getMessageText(element);
+
+            if (!textContent || textContent.trim().length === 0) {
+                return null;
+            }
+
+            const branchInfo = this.getBranchInfo(element);
+            const isEdited = branchInfo?.hasBranches ?? false;
+
+            const headings = this.extractAssistantHeadings(element);
+            const responseElement = this.findResponseElement(element);
+            const sources = this.extractSources(responseElement, this.findEntryContainer(element, responseElement));
+
+            log.info(`Prompt ${index}: "${textContent.substring(0, 30)}..." -> ${headings.length} headings, ${sources.length} sources`);
+            if (headings.length > 0) {
+                log.info(`  Headings for prompt ${index}:`, headings.map(h => h.text));
+            }
+
+            const promptData = {
+                id: this.generatePromptId(element, index),
+                index: index,
+                text: textContent,
+                preview: this.generatePreview(textContent),
+                timestamp: this.getMessageTimestamp(element),
+                isEdited: isEdited,
+                branchInfo: branchInfo,
+                element: element,
+                responseElement: responseElement,
+                responseText: this.getResponseText(responseElement),
+                headings: headings,
+                codeBlocks: this.extractCodeBlocks(responseElement),
+                thinkingBlocks: this.extractThinkingBlocks(element),
+                sources: sources,
+            };
+
+            return promptData;
+        } catch (error) {
+            log.error('Error extracting prompt data:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get the text content from a query element
+     */
+    getMessageText(element) {
+        const textContainer = element.querySelector(this.selectors.userQueryText);
+        return this.cleanText((textContainer || element).textContent || '');
+    }
+
+    /**
+     * Extract headings from the answer following a query
+     */
+    extractAssistantHeadings(userElement) {
+        const assistantContainer = this.findAssistantContainer(userElement);
+        if (!assistantContainer) return [];
+
+        return this.extractHeadingsFromElement(assistantContainer, this.getAnswerId(assistantContainer));
+    }
+
+    /**
+     * Find the answer to a query: the first answer after it and before the next query
+     */
+    findAssistantContainer(userElement) {
+        const answer = this.getThread().answerOf.get(userElement);
+        if (!answer) {
+            log.info('No answer found for this query');
+        }
+        return answer || null;
+    }
+
+    /**
+     * The answer markdown is the response element on Perplexity
+     */
+    findResponseElement(userElement) {
+        return this.findAssistantContainer(userElement);
+    }
+
+    /**
+     * Thread entry holding a query and its answer (and the entry's source list)
+     */
+    findEntryContainer(userElement, answer) {
+        if (!answer) return null;
+
+        let container = userElement.parentElement;
+        while (container && !container.contains(answer)) {
+            container = container.parentElement;
+        }
+        return container;
+    }
+
+    /**
+     * ID of an answer, used to find its headings again
+     * Answers without an ID are numbered by position
+     */
+    getAnswerId(answer) {
+        return answer.id || `answer-${this.getThread().answers.indexOf(answer)}`;
+    }
+
+    /**
+     * Find an answer by the ID getAnswerId() gave it
+     */
+    findAnswerById(answerId) {
+        const position = answerId?.match(/^answer-(\d+)$/);
+        if (position) {
+            return this.getThread().answers[position[1]] || null;
+        }
+        return answerId ? document.getElementById(answerId) : null;
+    }
+
+    /**
+     * Extract headings from an answer
+     */
+    extractHeadingsFromElement(container, answerId) {
+        const headings = this.buildHeadingOutline(
+            Array.from(container.querySelectorAll('h1, h2, h3, h4, h5')),
+            answerId
+        );
+
+        if (headings.length > 0) {
+            log.info('Extracted headings:', headings.map(h => h.text));
+            return headings;
+        }
+
+        const inferred = this.inferHeadings(container, answerId);
+        log.info(inferred.length > 0 ? 'Inferred outline:' : 'No headings found', inferred.map(h => h.text));
+        return inferred;
+    }
+
+    /**
+     * Get branch information for a prompt
+     * Editing a query rewrites the entry without keeping the earlier version.
+     */
+    getBranchInfo(element) {
+        return { hasBranches: false };
+    }
+
+    /**
+     * The source list sits in the thread entry, outside the answer
+     */
+    getTurnContainers(promptData) {
+        return [this.findEntryContainer(promptData.element, promptData.responseElement)];
+    }
+}
+
+/**
+ * Perplexity site adapter
+ */
+class PerplexityAdapter extends SiteAdapter {
+    constructor() {
+        super();
+        this.id = 'perplexity';
+        this.name = 'Perplexity';
+        this.hostnames = ['perplexity.ai'];
+    }
+
+    createParser() {
+        this.parser = new PerplexityParser();
+        return this.parser;
+    }
+
+    /**
+     * Check for a thread entry or the ask input inside <main>
+     */
+    isReady() {
+        if (!document.querySelector('main')) return false;
+
+        const hasContent = document.querySelector('[class*="group/query"], [id^="markdown-content-"]');
+        const hasInput = document.querySelector('#ask-input, textarea[placeholder], [contenteditable="true"]');
+        return !!(hasContent || hasInput);
+    }
+
+    /**
+     * Perplexity new thread: / (no slug)
+     * Existing thread: /search/how-does-x-work-AbC123...
+     */
+    isNewChatUrl(pathname) {
+        return !/\/search\/[\w.-]+/.test(pathname);
+    }
+
+    hasConversationContent() {
+        return !!document.querySelector('[class*="group/query"], [id^="markdown-content-"]');
+    }
+
+    isStreaming() {
+        const streamingIndicators = document.querySelectorAll(
+            '[data-testid="stop-generating-response-button"], button[aria-label*="Stop" i], [aria-busy="true"]'
+        );
+        return streamingIndicators.length > 0;
+    }
+
+    isMessageNode(node) {
+        if (!node.querySelector) return false;
+
+        const isQuery = node.matches?.('[class*="group/query"]') || node.querySelector?.('[class*="group/query"]');
+        const isAnswer = node.id?.startsWith('markdown-content-') || node.querySelector?.('[id^="markdown-content-"], .prose');
+        return !!(isQuery || isAnswer);
+    }
+
+    findScrollContainer() {
+        const container = this.findFirstScrollable([
+            '.scrollable-container',
+            'main [class*="overflow-y-auto"]',
+            'main [class*="overflow-auto"]',
+        ]);
+        if (container) return container;
+
+        // Fallback: find scrollable ancestor of any query
+        return this.findScrollableAncestor(document.querySelector('[class*="group/query"]'));
+    }
+
+    /**
+     * Headings are re-resolved through the answer ID
+     */
+    findHeadingElement(heading) {
+        const container = this.parser.findAnswerById(heading.turnId);
+        if (!container) return null;
+
+        if (heading.inferred) {
+            return this.findInferredHeadingElement(container, heading);
+        }
+
+        const headings = Array.from(container.querySelectorAll(heading.level));
+        return headings[heading.index] || null;
+    }
+}
+
+SiteRegistry.register(new PerplexityAdapter());
+
+/**
+ * DeepSeek parser implementation
+ * Every message is a .ds-message. User messages are told apart by their own markers
+ * (their text block, the edit button in the row below them, or the edit box), never
+ * by what they lack: an answer still streaming its reasoning, stopped or failed has
+ * no .ds-markdown yet. Edited messages get a "<" "n / m" ">" switcher in the row
+ * below them.
+ */
+class DeepSeekParser extends BaseParser {
+    constructor() {
+        super();
+        this.selectors = {
+            turn: '.ds-message',
+            // DeepSeek exposes no ARIA or data marker on user messages. .fbb737a4 (the
+            // text block) is a hashed CSS-module class that changes between deploys;
+            // the edit button in the row right below and the edit box are the fallback.
+            userMessages: [
+                '.ds-message:has(> .fbb737a4)',
+                '.ds-message:has(+ * [aria-label*="edit" i])',
+                '.ds-message:has(textarea)',
+            ].join(', '),
+            assistantContent: '.ds-markdown',
+            editor: 'textarea',
+            // Reasoning text of the "Thought for N seconds" pane
+            thinking: '.ds-think-content, [class*="ds-think-content"]',
+        };
+    }
+
+    /**
+     * Get the current conversation ID from URL
+     * DeepSeek URLs: /a/chat/s/{id} (formerly /chat/s/{id}), /share/{id} for shared
+     * links, / for a new chat
+     */
+    getConversationId() {
+        const match = window.location.pathname.match(/\/(?:chat\/s|share)\/([a-zA-Z0-9-]+)/);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Find all user messages in the DOM
+     */
+    findUserMessages() {
+        const messages = [];
+        const userElements = document.querySelectorAll(this.selectors.userMessages);
+
+        userElements.forEach((element, index) => {
+            const promptData = this.getPromptData(element, index, index === userElements.length - 1);
+            if (promptData) {
+                messages.push(promptData);
+            }
+        });
+
+        return messages;
+    }
+
+    /**
+     * Extract prompt data from a user message element
+     */
+    extractPromptData(element, index) {
+        try {
+            const textContent = this.getMessageText(element);
+
+            if (!textContent || textContent.trim().length === 0) {
+                return null;
+            }
+
+            const branchInfo = this.getBranchInfo(element);
+            const isEdited = branchInfo?.hasBranches ?? false;
+
+            const headings = this.extractAssistantHeadings(element);
+            const responseElement = this.findResponseElement(element);
+
+            log.info(`Prompt ${index}: "${textContent.substring(0, 30)}..." -> ${headings.length} headings`);
+            if (headings.length > 0) {
+                log.info(`  Headings for prompt ${index}:`, headings.map(h => h.text));
+            }
+
+            const promptData = {
+                id: this.generatePromptId(element, index),
+                index: index,
+                text: textContent,
+                preview: this.generatePreview(textContent),
+                timestamp: this.getMessageTimestamp(element),
+                isEdited: isEdited,
+                branchInfo: branchInfo,
+                element: element,
+                responseElement: responseElement,
+                responseText: this.getResponseText(responseElement),
+                headings: headings,
+                codeBlocks: this.extractCodeBlocks(responseElement),
+                thinkingBlocks: this.extractThinkingBlocks(element),
+            };
+
+            return promptData;
+        } catch (error) {
+            log.error('Error extracting prompt data:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get the text content from a user message element
+     * A message being edited shows its text in a textarea
+     */
+    getMessageText(element) {
+        const editor = element.querySelector(this.selectors.editor);
+        if (editor) {
+            return this.cleanText(editor.value);
+        }
+
+        return this.cleanText(element.textContent || '');
+    }
+
+    /**
+     * Extract headings from the answer following a user message
+     */
+    extractAssistantHeadings(userElement) {
+        const assistantContainer = this.findAssistantContainer(userElement);
+        if (!assistantContainer) return [];
+
+        return this.extractHeadingsFromElement(assistantContainer, this.getMessageId(assistantContainer));
+    }
+
+    /**
+     * Find the message answering a user message: the next .ds-message, unless it is
+     * the next user message
+     */
+    findAssistantContainer(userElement) {
+        const messages = this.getTurnElements();
+        const next = messages[messages.indexOf(userElement) + 1];
+
+        if (!next || next.matches(this.selectors.userMessages)) {
+            log.info('No assistant response found for this user message');
+            return null;
+        }
+        return next;
+    }
+
+    /**
+     * Find the answer markdown of a message, leaving out the reasoning pane's
+     */
+    findAnswerMarkdown(container) {
+        return Array.from(container.querySelectorAll(this.selectors.assistantContent))
+            .find(markdown => !this.isInThinking(markdown)) || null;
+    }
+
+    /**
+     * Find the answer markdown following a user message
+     * Null while the answer is only reasoning, so the reasoning never counts as the response
+     */
+    findResponseElement(userElement) {
+        const assistantContainer = this.findAssistantContainer(userElement);
+        return assistantContainer ? this.findAnswerMarkdown(assistantContainer) : null;
+    }
+
+    /**
+     * ID of a message, used to find its headings again
+     * DeepSeek gives messages no ID, so they are numbered by position
+     */
+    getMessageId(message) {
+        return `message-${this.getTurnElements().indexOf(message)}`;
+    }
+
+    /**
+     * Find a message by the ID getMessageId() gave it
+     */
+    findMessageById(messageId) {
+        const position = messageId?.match(/^message-(\d+)$/);
+        return position ? this.getTurnElements()[position[1]] || null : null;
+    }
+
+    /**
+     * Extract headings from an answer, outside the reasoning pane
+     */
+    extractHeadingsFromElement(container, messageId) {
+        const markdown = this.findAnswerMarkdown(container);
+        if (!markdown) {
+            log.info('No answer markdown found');
+            return [];
+        }
+
+        const headings = this.buildHeadingOutline(
+            Array.from(markdown.querySelectorAll('h1, h2, h3, h4, h5')).filter(h => !this.isInThinking(h)),
+            messageId
+        );
+
+        if (headings.length > 0) {
+            log.info('Extracted headings:', headings.map(h => h.text));
+            return headings;
+        }
+
+        const inferred = this.inferHeadings(markdown, messageId);
+        log.info(inferred.length > 0 ? 'Inferred outline:' : 'No headings found', inferred.map(h => h.text));
+        return inferred;
+    }
+
+    /**
+     * The "Thought for N seconds" header sits above the reasoning text, in a pane
+     * both share; that pane is the block, so the header gives its label
+     */
+    findThinkingElements(container) {
+        return super.findThinkingElements(container).map(content => {
+            const pane = content.parentElement;
+            return pane && pane !== container && this.isThinkingHeader(content.previousElementSibling) ? pane : content;
+        });
+    }
+
+    /**
+     * The pane's header is its first child
+     */
+    findThinkingToggle(block) {
+        return this.isThinkingHeader(block.firstElementChild) ? block.firstElementChild : null;
+    }
+
+    /**
+     * Check whether an element is the header of a reasoning pane
+     */
+    isThinkingHeader(element) {
+        return !!element && !element.matches(this.selectors.thinking) &&
+               /^\s*(thought|thinking|已深度思考|思考)/i.test(element.textContent);
+    }
+
+    /**
+     * Get branch information for a prompt
+     * The switcher of an edited message sits in the row below it, in their shared wrapper.
+     */
+    getBranchInfo(element) {
+        const wrapper = element.parentElement;
+        if (!wrapper) return { hasBranches: false };
+
+        return this.readVersionSwitcher(wrapper, element) || { hasBranches: false };
+    }
+
+    /**
+     * The wrapper holds the version switcher; the answer message holds the reasoning
+     * pane next to the markdown
+     */
+    getTurnContainers(promptData) {
+        return [
+            promptData.element.parentElement,
+            promptData.responseElement?.closest(this.selectors.turn),
+        ];
+    }
+}
+
+/**
+ * DeepSeek site adapter
+ */
+class DeepSeekAdapter extends SiteAdapter {
+    constructor() {
+        super();
+        this.id = 'deepseek';
+        this.name = 'DeepSeek';
+        this.hostnames = ['chat.deepseek.com'];
+        this.supportsBranchTree = true;
+    }
+
+    createParser() {
+        this.parser = new DeepSeekParser();
+        return this.parser;
+    }
+
+    /**
+     * Check for a message or the chat input inside the app root
+     */
+    isReady() {
+        if (!document.querySelector('#root')) return false;
+
+        return !!document.querySelector('.ds-message, #chat-input, textarea');
+    }
+
+    /**
+     * DeepSeek new chat: / (no ID)
+     * Existing chat: /a/chat/s/abc123..., shared link: /share/abc123...
+     */
+    isNewChatUrl(pathname) {
+        return !/\/(chat\/s|share)\/[a-zA-Z0-9-]+/.test(pathname);
+    }
+
+    hasConversationContent() {
+        return !!document.querySelector('.ds-message');
+    }
+
+    isStreaming() {
+        const streamingIndicators = document.querySelectorAll(
+            '[aria-busy="true"], .ds-message [class*="loading"], [aria-label*="Stop" i]'
+        );
+        return streamingIndicators.length > 0;
+    }
+
+    isMessageNode(node) {
+        if (!node.querySelector) return false;
+
+        const isMessage = node.classList?.contains('ds-message') || node.querySelector?.('.ds-message, .ds-markdown');
+        return !!isMessage;
+    }
+
+    findObserverTarget() {
+        return document.querySelector('#root') || document.body;
+    }
+
+    findLayoutContainer() {
+        return document.querySelector('#root > div') || super.findLayoutContainer();
+    }
+
+    findScrollContainer() {
+        const container = this.findFirstScrollable([
+            '.ds-scroll-area',
+            '[class*="scroll-area"]',
+        ]);
+        if (container) return container;
+
+        // Fallback: find scrollable ancestor of any message
+        return this.findScrollableAncestor(document.querySelector('.ds-message'));
+    }
+
+    /**
+     * Headings are re-resolved through the message position
+     */
+    findHeadingElement(heading) {
+        const message = this.parser.findMessageById(heading.turnId);
+        const markdown = message && this.parser.findAnswerMarkdown(message);
+        if (!markdown) return null;
+
+        if (heading.inferred) {
+            return this.findInferredHeadingElement(markdown, heading);
+        }
+
+        const headings = Array.from(markdown.querySelectorAll(heading.level))
+            .filter(h => !this.parser.isInThinking(h));
+        return headings[heading.index] || null;
+    }
+}
+
+SiteRegistry.register(new DeepSeekAdapter());
+
 // Export for use in content script
 window.ChatGPTParser = ChatGPTParser;
 window.GeminiParser = GeminiParser;
 window.ClaudeParser = ClaudeParser;
+window.AIStudioParser = AIStudioParser;
+window.OpenWebUIParser = OpenWebUIParser;
+window.LibreChatParser = LibreChatParser;
+window.PerplexityParser = PerplexityParser;
+window.DeepSeekParser = DeepSeekParser;
 window.BaseParser = BaseParser;
+window.SiteAdapter = SiteAdapter;
+window.SiteRegistry = SiteRegistry;
 
@@ -6,7 +6,11 @@
 // Note: DEBUG and log are defined in parser.js (loaded first)
 
 class OctoGPTSidebar {
-  constructor() {
+  /**
+   * @param {SiteAdapter} adapter - Adapter for the current site (from SiteRegistry)
+   */
+  constructor(adapter) {
+    this.adapter = adapter;
     this.rootContainer = null;
     this.sidebar = null;
     this.shadowRoot = null;
@@ -18,7 +22,17 @@ class OctoGPTSidebar {
     this.prompts = [];
     this.currentPromptIndex = -1;
     this.collapsedPrompts = new Set(); // Track which prompts have collapsed headings
-    this.site = null; // Will be detected on init
+    this.collapsedHeadings = new Set(); // "promptIndex:headingIndex" of headings with collapsed subsections
+    this.expandedThinking = new Set(); // "promptIndex:thinkingIndex" of thinking blocks with their steps listed
+    this.renderedPromptItems = new Map(); // Prompt ID -> rendered group, reused while unchanged
+    this.highlightedHeading = null; // { promptIndex, headingIndex } of the highlighted heading
+
+    // Virtualized list: only groups near the sidebar viewport are in the DOM
+    this.groupHeights = new Map(); // Prompt ID -> measured height of its group (px)
+    this.virtualFrame = null; // Pending requestAnimationFrame id
+    this.revealToken = 0; // Bumped by each navigation so older reveal loops stop
+    this.timeRefreshTimer = null; // Keeps relative times and day labels current
+    this.site = adapter.id;
     this.isLoading = true; // Start in loading state
     this.loadingState = 'waiting'; // 'waiting' | 'parsing' | null
     this.isNewChat = false; // True when page is ready but has no conversation
@@ -27,12 +41,50 @@ class OctoGPTSidebar {
     // Keyboard navigation state
     this.navigationIndex = -1; // Current position in flat navigation list (-1 = not navigating)
     this.flatNavigationList = []; // Cached array of all navigable items (prompts + headers)
+
+    // Scroll-spy state (tracks the item in view while reading)
+    this.scrollSpyContainer = null; // Conversation scroll container being observed
+    this.scrollSpyFrame = null; // Pending requestAnimationFrame id
+    this.scrollSpySuppressedUntil = 0; // Ignore scroll events caused by our own scrolling
+    this.scrollSpyKey = null; // Key of the item currently highlighted by the spy
+
+    // Filter state (search box above the prompt list)
+    this.filterQuery = ''; // Current filter text, '' when not filtering
+
+    // Find mode: the same box searches the full text of assistant responses
+    this.isFindMode = false;
+    this.finder = window.OctoGPTFinder ? new OctoGPTFinder(adapter) : null;
+    this.findSearchTimer = null;
+
+    this.exporter = window.OctoGPTExporter ? new OctoGPTExporter(adapter) : null;
+    this.codeIndex = window.OctoGPTCodeIndex ? new OctoGPTCodeIndex(adapter, this.exporter) : null;
+
+    // Branch view: tree of edited prompt versions, on sites with a version switcher
+    this.isBranchView = false;
+    this.branchExplorer = adapter.supportsBranchTree && window.OctoGPTBranchExplorer
+      ? new OctoGPTBranchExplorer(adapter)
+      : null;
+    this.expandedBranches = new Map(); // Node id -> expanded, for nodes the user toggled
+    this.versionDiff = this.branchExplorer && window.OctoGPTVersionDiff
+      ? new OctoGPTVersionDiff(adapter, this.branchExplorer)
+      : null;
     
     this.config = {
       defaultWidth: 200,
       minWidth: 120,
       maxWidth: 400,
       scrollDuration: 100, // ms, 0 for instant
+      revealStepDelay: 150, // ms to let the site mount turns after each scroll step
+      revealMaxSteps: 60, // Give up looking for an unmounted turn after this many steps
+      archiveEnabled: false, // Save conversations to the local archive (opt-in)
+      skipThinking: false, // Leave thinking blocks out of keyboard navigation
+      virtualizeAfter: 50, // Render every group up to this many prompts
+      virtualOverscan: 600, // px rendered above and below the visible part of the list
+      estimatedPromptHeight: 38, // px, for groups that have not been measured yet
+      estimatedHeadingHeight: 27,
+      estimatedSeparatorHeight: 26,
+      timeRefreshInterval: 60000, // ms between updates of relative times
+      listGap: 2, // px, matches the gap of .octogpt-sidebar__prompt-list
     };
 
     // Resize state
@@ -57,42 +109,18 @@ class OctoGPTSidebar {
     this.openSettings = this.openSettings.bind(this);
     this.closeSettings = this.closeSettings.bind(this);
     this.handleScrollDurationChange = this.handleScrollDurationChange.bind(this);
-  }
-
-  /**
-   * Detect which site we're on
-   */
-  detectSite() {
-    const hostname = window.location.hostname;
-    const pathname = window.location.pathname;
-
-    if (hostname.includes('claude.ai')) {
-      return 'claude';
-    }
-
-    if (hostname.includes('gemini.google.com') || hostname.includes('aistudio.google.com')) {
-      return 'gemini';
-    }
-    
-    if (hostname.includes('chat.openai.com') || hostname.includes('chatgpt.com')) {
-      return 'chatgpt';
-    }
-
-    // Default fallback based on URL patterns
-    if (pathname.includes('/share/') || pathname.includes('/app/')) {
-      return 'gemini';
-    }
-
-    return 'chatgpt'; // Default fallback
+    this.handleConversationScroll = this.handleConversationScroll.bind(this);
+    this.handleFilterInput = this.handleFilterInput.bind(this);
+    this.handleFilterKeyDown = this.handleFilterKeyDown.bind(this);
+    this.handleListKeyDown = this.handleListKeyDown.bind(this);
+    this.handleListScroll = this.handleListScroll.bind(this);
+    this.toggleFindMode = this.toggleFindMode.bind(this);
   }
 
   /**
    * Initialize the sidebar
    */
   async init() {
-    // Detect site
-    this.site = this.detectSite();
-
     // Load saved state
     await this.loadState();
 
@@ -102,6 +130,12 @@ class OctoGPTSidebar {
     // Setup keyboard shortcut
     this.setupKeyboardShortcut();
 
+    // Track the conversation scroll position
+    this.attachScrollSpy();
+
+    // "5m" becomes "6m" without a re-render
+    this.timeRefreshTimer = setInterval(() => this.refreshTimes(), this.config.timeRefreshInterval);
+
     // Render initial state
     this.render();
   }
@@ -111,7 +145,7 @@ class OctoGPTSidebar {
    */
   async loadState() {
     try {
-      const result = await chrome.storage.local.get(['sidebarPinned', 'sidebarWidth', 'scrollDuration']);
+      const result = await chrome.storage.local.get(['sidebarPinned', 'sidebarWidth', 'scrollDuration', 'archiveEnabled', 'skipThinking']);
       this.isPinned = result.sidebarPinned !== undefined ? result.sidebarPinned : false;
       // If pinned, start visible; otherwise start hidden
       this.isVisible = this.isPinned;
@@ -127,6 +161,8 @@ class OctoGPTSidebar {
           result.scrollDuration <= 600) {
         this.config.scrollDuration = result.scrollDuration;
       }
+      this.config.archiveEnabled = result.archiveEnabled === true;
+      this.config.skipThinking = result.skipThinking === true;
     } catch (error) {
       log.error('Error loading sidebar state:', error);
       this.isPinned = false;
@@ -145,6 +181,8 @@ class OctoGPTSidebar {
         sidebarPinned: this.isPinned,
         sidebarWidth: this.config.defaultWidth,
         scrollDuration: this.config.scrollDuration,
+        archiveEnabled: this.config.archiveEnabled,
+        skipThinking: this.config.skipThinking,
       });
     } catch (error) {
       log.error('Error saving sidebar state:', error);
@@ -173,10 +211,18 @@ class OctoGPTSidebar {
     this.shadowRoot = this.sidebar.attachShadow({ mode: 'open' });
 
     // Create HTML structure first
-    // Use blue icon for Gemini, default icon for ChatGPT
-    const iconPath = this.site === 'gemini' 
-      ? chrome.runtime.getURL('assets/icons/icon48-gemini.png')
-      : chrome.runtime.getURL('assets/icons/icon48.png');
+    // Each adapter picks its icon (e.g. blue icon for Gemini)
+    const iconPath = chrome.runtime.getURL(this.adapter.icon);
+
+    const branchesBtnHtml = this.branchExplorer ? `
+            <button class="octogpt-sidebar__branches-btn" aria-label="Show branch tree" aria-pressed="false" title="Branch tree">
+              <svg viewBox="0 0 16 16" width="14" height="14">
+                <circle cx="4" cy="3.5" r="1.75" fill="none" stroke="currentColor" stroke-width="1.5"/>
+                <circle cx="4" cy="12.5" r="1.75" fill="none" stroke="currentColor" stroke-width="1.5"/>
+                <circle cx="12" cy="6" r="1.75" fill="none" stroke="currentColor" stroke-width="1.5"/>
+                <path fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" d="M4 5.25v5.5M12 7.75c0 2.5-4 2-7 3.5"/>
+              </svg>
+            </button>` : '';
     
     const html = `
       <div class="octogpt-sidebar__resize-handle" aria-label="Resize sidebar"></div>
@@ -188,7 +234,7 @@ class OctoGPTSidebar {
               <span class="octogpt-sidebar__logo-text">OctoGPT</span>
             </div>
           </button>
-          <div class="octogpt-sidebar__header-actions">
+          <div class="octogpt-sidebar__header-actions">${branchesBtnHtml}
             <button class="octogpt-sidebar__collapse-all-btn" aria-label="Collapse all headers" title="Collapse all">
               <svg class="octogpt-sidebar__collapse-all-icon" viewBox="0 0 16 16" width="14" height="14">
                 <path fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round" d="M4 4l4 3.5 4-3.5"/>
@@ -202,6 +248,26 @@ class OctoGPTSidebar {
             </button>
           </div>
         </div>
+        <div class="octogpt-sidebar__filter">
+          <input type="search"
+                 class="octogpt-sidebar__filter-input"
+                 placeholder="Filter prompts and headers"
+                 aria-label="Filter prompts and headers"
+                 spellcheck="false"
+                 autocomplete="off">
+          <button class="octogpt-sidebar__find-toggle" aria-label="Find in responses" aria-pressed="false" title="Find in responses">
+            <svg viewBox="0 0 16 16" width="14" height="14">
+              <path fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" d="M2 3.5h7M2 7h4M2 10.5h3"/>
+              <circle cx="10.5" cy="9.5" r="2.75" fill="none" stroke="currentColor" stroke-width="1.5"/>
+              <path fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" d="M12.5 11.5l2 2"/>
+            </svg>
+          </button>
+        </div>
+        <div class="octogpt-sidebar__find-status" style="display: none;">
+          <span class="octogpt-sidebar__find-count"></span>
+          <button class="octogpt-sidebar__find-step-btn" data-find-action="prev" aria-label="Previous match" title="Previous match (Shift+Enter)">&uarr;</button>
+          <button class="octogpt-sidebar__find-step-btn" data-find-action="next" aria-label="Next match" title="Next match (Enter)">&darr;</button>
+        </div>
         <div class="octogpt-sidebar__content">
           <div class="octogpt-sidebar__loading">
             <div class="octogpt-sidebar__loading-spinner"></div>
@@ -213,6 +279,13 @@ class OctoGPTSidebar {
           <div class="octogpt-sidebar__empty" style="display: none;">
             No prompts found
           </div>
+          <div class="octogpt-sidebar__branches" style="display: none;">
+            <div class="octogpt-sidebar__branches-toolbar">
+              <button class="octogpt-sidebar__branches-scan" title="Click through every version of every edited prompt">Scan versions</button>
+              <span class="octogpt-sidebar__branches-status" role="status"></span>
+            </div>
+            <div class="octogpt-sidebar__branch-tree" role="tree" aria-label="Prompt versions"></div>
+          </div>
         </div>
       </div>
     `;
@@ -234,6 +307,9 @@ class OctoGPTSidebar {
     // Create settings panel
     this.createSettingsPanel();
 
+    // Version comparison panel (sites with a branch tree only)
+    this.versionDiff?.mount(this.rootContainer);
+
     // Set initial visibility
     this.updateVisibility();
 
@@ -295,6 +371,49 @@ class OctoGPTSidebar {
               Controls animation speed when scrolling to prompts (0 = instant)
             </div>
           </div>
+          <div class="octogpt-settings-panel__section">
+            <label class="octogpt-settings-panel__label">Export</label>
+            <div class="octogpt-settings-panel__actions">
+              <button class="octogpt-settings-panel__button" data-export="markdown">Export as Markdown</button>
+              <button class="octogpt-settings-panel__button" data-export="json">Export as JSON</button>
+              <button class="octogpt-settings-panel__button" data-export="code">Download all code</button>
+              <button class="octogpt-settings-panel__button" data-export="import">Import JSON</button>
+              <input type="file" class="octogpt-settings-panel__file-input" accept=".json,application/json" hidden>
+            </div>
+            <div class="octogpt-settings-panel__hint octogpt-settings-panel__export-status">
+              Markdown includes a table of contents; JSON uses the OctoGPT conversation format; code is saved as a zip
+            </div>
+          </div>
+          <div class="octogpt-settings-panel__section">
+            <label class="octogpt-settings-panel__label">Archive</label>
+            <label class="octogpt-settings-panel__checkbox-row">
+              <input type="checkbox"
+                     class="octogpt-settings-panel__checkbox"
+                     data-setting="archiveEnabled"
+                     ${this.config.archiveEnabled ? 'checked' : ''}>
+              Save conversations to a local archive
+            </label>
+            <div class="octogpt-settings-panel__actions">
+              <button class="octogpt-settings-panel__button" data-archive="open">Open archive</button>
+              <button class="octogpt-settings-panel__button" data-archive="search">Search archive</button>
+            </div>
+            <div class="octogpt-settings-panel__hint">
+              Kept in this browser only, so chats stay available after the site deletes them
+            </div>
+          </div>
+          <div class="octogpt-settings-panel__section">
+            <label class="octogpt-settings-panel__label">Navigation</label>
+            <label class="octogpt-settings-panel__checkbox-row">
+              <input type="checkbox"
+                     class="octogpt-settings-panel__checkbox"
+                     data-setting="skipThinking"
+                     ${this.config.skipThinking ? 'checked' : ''}>
+              Skip thinking blocks in keyboard navigation
+            </label>
+            <div class="octogpt-settings-panel__hint">
+              Reasoning and thinking panels stay listed but arrow keys and Alt+Up/Down pass over them
+            </div>
+          </div>
           <div class="octogpt-settings-panel__section">
             <label class="octogpt-settings-panel__label">Keyboard Shortcuts</label>
             <div class="octogpt-settings-panel__shortcuts">
@@ -324,6 +443,24 @@ class OctoGPTSidebar {
                 </div>
                 <div class="octogpt-settings-panel__shortcut-desc">Navigate prompts and headers</div>
               </div>
+              <div class="octogpt-settings-panel__shortcut">
+                <div class="octogpt-settings-panel__keys">
+                  <kbd class="octogpt-settings-panel__key">Alt</kbd>
+                  <span class="octogpt-settings-panel__key-sep">+</span>
+                  <kbd class="octogpt-settings-panel__key">Shift</kbd>
+                  <span class="octogpt-settings-panel__key-sep">+</span>
+                  <kbd class="octogpt-settings-panel__key">F</kbd>
+                </div>
+                <div class="octogpt-settings-panel__shortcut-desc">Find in responses</div>
+              </div>
+              <div class="octogpt-settings-panel__shortcut">
+                <div class="octogpt-settings-panel__keys">
+                  <kbd class="octogpt-settings-panel__key">${this.getModifierKey()}</kbd>
+                  <span class="octogpt-settings-panel__key-sep">+</span>
+                  <kbd class="octogpt-settings-panel__key">G</kbd>
+                </div>
+                <div class="octogpt-settings-panel__shortcut-desc">Next match (Shift for previous)</div>
+              </div>
             </div>
           </div>
         </div>
@@ -358,9 +495,143 @@ class OctoGPTSidebar {
       });
     }
 
+    // Archive controls
+    const archiveCheckbox = this.settingsPanel.querySelector('[data-setting="archiveEnabled"]');
+    if (archiveCheckbox) {
+      archiveCheckbox.addEventListener('change', (e) => this.handleArchiveToggle(e.target.checked));
+    }
+
+    // Navigation controls
+    const skipThinkingCheckbox = this.settingsPanel.querySelector('[data-setting="skipThinking"]');
+    if (skipThinkingCheckbox) {
+      skipThinkingCheckbox.addEventListener('change', (e) => this.handleSkipThinkingToggle(e.target.checked));
+    }
+    this.settingsPanel.querySelectorAll('[data-archive="open"], [data-archive="search"]').forEach(btn => {
+      btn.addEventListener('click', () => this.handleOpenArchive(btn.dataset.archive === 'search' ? 'search' : 'archive'));
+    });
+
+    // Export actions
+    const markdownBtn = this.settingsPanel.querySelector('[data-export="markdown"]');
+    if (markdownBtn) {
+      markdownBtn.disabled = !this.exporter;
+      markdownBtn.addEventListener('click', () => this.handleExportMarkdown());
+    }
+    const jsonBtn = this.settingsPanel.querySelector('[data-export="json"]');
+    if (jsonBtn) {
+      jsonBtn.disabled = !this.exporter;
+      jsonBtn.addEventListener('click', () => this.handleExportJSON());
+    }
+    const codeBtn = this.settingsPanel.querySelector('[data-export="code"]');
+    if (codeBtn) {
+      codeBtn.disabled = !this.codeIndex || !this.exporter;
+      codeBtn.addEventListener('click', () => this.handleDownloadCode());
+    }
+    const importBtn = this.settingsPanel.querySelector('[data-export="import"]');
+    const fileInput = this.settingsPanel.querySelector('.octogpt-settings-panel__file-input');
+    if (importBtn && fileInput) {
+      importBtn.addEventListener('click', () => fileInput.click());
+      fileInput.addEventListener('change', () => {
+        const file = fileInput.files[0];
+        fileInput.value = ''; // Allow picking the same file again
+        if (file) this.handleImportJSON(file);
+      });
+    }
+
     this.rootContainer.appendChild(this.settingsPanel);
   }
 
+  /**
+   * Download the current conversation as Markdown
+   */
+  handleExportMarkdown() {
+    if (!this.exporter) return;
+
+    if (this.prompts.length === 0) {
+      log.info('Nothing to export');
+      return;
+    }
+
+    try {
+      this.exporter.exportMarkdown(this.prompts);
+      this.closeSettings();
+    } catch (error) {
+      log.error('Markdown export failed:', error);
+    }
+  }
+
+  /**
+   * Download the current conversation in the canonical JSON format
+   */
+  handleExportJSON() {
+    if (!this.exporter) return;
+
+    if (this.prompts.length === 0) {
+      log.info('Nothing to export');
+      return;
+    }
+
+    try {
+      this.exporter.exportJSON(this.prompts);
+      this.closeSettings();
+    } catch (error) {
+      log.error('JSON export failed:', error);
+    }
+  }
+
+  /**
+   * Download every code block of the conversation as a zip
+   */
+  handleDownloadCode() {
+    if (!this.codeIndex) return;
+
+    if (this.codeIndex.countBlocks(this.prompts) === 0) {
+      this.setExportStatus('No code blocks in this conversation', true);
+      return;
+    }
+
+    try {
+      this.codeIndex.downloadAll(this.prompts);
+      this.closeSettings();
+    } catch (error) {
+      log.error('Code download failed:', error);
+    }
+  }
+
+  /**
+   * Read a JSON file and validate it against the conversation format
+   */
+  async handleImportJSON(file) {
+    let text;
+    try {
+      text = await file.text();
+    } catch (error) {
+      this.setExportStatus(`Could not read ${file.name}`, true);
+      return;
+    }
+
+    const { conversation, errors } = ConversationFormat.parse(text);
+    if (!conversation) {
+      log.warn('Import failed validation:', errors);
+      const more = errors.length > 3 ? ` (and ${errors.length - 3} more)` : '';
+      this.setExportStatus(`${file.name} is not a valid conversation: ${errors.slice(0, 3).join('; ')}${more}`, true);
+      return;
+    }
+
+    const turns = conversation.turns.length;
+    this.setExportStatus(`${file.name}: "${conversation.title}" from ${conversation.site}, ${turns} ${turns === 1 ? 'turn' : 'turns'} - valid`);
+  }
+
+  /**
+   * Show the result of an export or import under the export buttons
+   */
+  setExportStatus(message, isError = false) {
+    const status = this.settingsPanel?.querySelector('.octogpt-settings-panel__export-status');
+    if (!status) return;
+
+    status.textContent = message;
+    status.classList.toggle('octogpt-settings-panel__hint--error', isError);
+  }
+
   /**
    * Open the settings panel
    */
@@ -376,6 +647,10 @@ class OctoGPTSidebar {
       scrollSlider.value = this.config.scrollDuration;
       scrollInput.value = this.config.scrollDuration;
     }
+    const archiveCheckbox = this.settingsPanel.querySelector('.octogpt-settings-panel__checkbox');
+    if (archiveCheckbox) {
+      archiveCheckbox.checked = this.config.archiveEnabled;
+    }
     
     // Update panel position based on sidebar visibility
     this.updateSettingsPanelPosition();
@@ -521,7 +796,8 @@ class OctoGPTSidebar {
         flex-shrink: 0;
       }
 
-      .octogpt-sidebar__collapse-all-btn {
+      .octogpt-sidebar__collapse-all-btn,
+      .octogpt-sidebar__branches-btn {
         display: flex;
         align-items: center;
         justify-content: center;
@@ -535,18 +811,30 @@ class OctoGPTSidebar {
         transition: all 0.15s ease;
       }
 
-      .octogpt-sidebar__collapse-all-btn:hover {
+      .octogpt-sidebar__collapse-all-btn:hover,
+      .octogpt-sidebar__branches-btn:hover {
         background: #f0f0f0;
         color: #0d0d0d;
       }
 
+      .octogpt-sidebar__branches-btn[aria-pressed="true"] {
+        background: #e5e5e5;
+        color: #0d0d0d;
+      }
+
       :host-context(.dark) .octogpt-sidebar__collapse-all-btn,
-      :host-context(.dark-theme) .octogpt-sidebar__collapse-all-btn {
+      :host-context(.dark) .octogpt-sidebar__branches-btn,
+      :host-context(.dark-theme) .octogpt-sidebar__collapse-all-btn,
+      :host-context(.dark-theme) .octogpt-sidebar__branches-btn {
         color: #b4b4b4;
       }
 
       :host-context(.dark) .octogpt-sidebar__collapse-all-btn:hover,
-      :host-context(.dark-theme) .octogpt-sidebar__collapse-all-btn:hover {
+      :host-context(.dark) .octogpt-sidebar__branches-btn:hover,
+      :host-context(.dark) .octogpt-sidebar__branches-btn[aria-pressed="true"],
+      :host-context(.dark-theme) .octogpt-sidebar__collapse-all-btn:hover,
+      :host-context(.dark-theme) .octogpt-sidebar__branches-btn:hover,
+      :host-context(.dark-theme) .octogpt-sidebar__branches-btn[aria-pressed="true"] {
         background: #2f2f2f;
         color: #ececec;
       }
@@ -608,6 +896,198 @@ class OctoGPTSidebar {
         transform: rotate(45deg);
       }
 
+      .octogpt-sidebar__filter {
+        display: flex;
+        align-items: center;
+        gap: 4px;
+        padding: 0 8px 8px;
+      }
+
+      .octogpt-sidebar__find-toggle,
+      .octogpt-sidebar__find-step-btn {
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        flex-shrink: 0;
+        width: 26px;
+        height: 26px;
+        border: none;
+        border-radius: 6px;
+        background: transparent;
+        color: #6b6b6b;
+        cursor: pointer;
+        transition: all 0.15s ease;
+      }
+
+      .octogpt-sidebar__find-toggle:hover,
+      .octogpt-sidebar__find-step-btn:hover {
+        background: #f0f0f0;
+        color: #0d0d0d;
+      }
+
+      .octogpt-sidebar__find-toggle[aria-pressed="true"] {
+        background: #e5e5e5;
+        color: #0d0d0d;
+      }
+
+      :host-context(.dark) .octogpt-sidebar__find-toggle,
+      :host-context(.dark) .octogpt-sidebar__find-step-btn,
+      :host-context(.dark-theme) .octogpt-sidebar__find-toggle,
+      :host-context(.dark-theme) .octogpt-sidebar__find-step-btn {
+        color: #b4b4b4;
+      }
+
+      :host-context(.dark) .octogpt-sidebar__find-toggle:hover,
+      :host-context(.dark) .octogpt-sidebar__find-step-btn:hover,
+      :host-context(.dark) .octogpt-sidebar__find-toggle[aria-pressed="true"],
+      :host-context(.dark-theme) .octogpt-sidebar__find-toggle:hover,
+      :host-context(.dark-theme) .octogpt-sidebar__find-step-btn:hover,
+      :host-context(.dark-theme) .octogpt-sidebar__find-toggle[aria-pressed="true"] {
+        background: #2f2f2f;
+        color: #ececec;
+      }
+
+      .octogpt-sidebar__find-status {
+        display: flex;
+        align-items: center;
+        gap: 2px;
+        padding: 0 8px 8px 18px;
+        font-size: 11px;
+        color: #6b6b6b;
+      }
+
+      .octogpt-sidebar__find-count {
+        flex: 1;
+      }
+
+      :host-context(.dark) .octogpt-sidebar__find-status,
+      :host-context(.dark-theme) .octogpt-sidebar__find-status {
+        color: #b4b4b4;
+      }
+
+      /* Find hits grouped under their prompt */
+      .octogpt-sidebar__hits {
+        display: flex;
+        flex-direction: column;
+        gap: 1px;
+        margin-left: 12px;
+        padding-left: 8px;
+        border-left: 1px solid #e0e0e0;
+      }
+
+      :host-context(.dark) .octogpt-sidebar__hits,
+      :host-context(.dark-theme) .octogpt-sidebar__hits {
+        border-left-color: #3a3a3a;
+      }
+
+      .octogpt-sidebar__hit-item {
+        padding: 6px 10px;
+        border-radius: 4px;
+        font-size: 12px;
+        line-height: 1.4;
+        color: #6b6b6b;
+        cursor: pointer;
+        overflow: hidden;
+        display: -webkit-box;
+        -webkit-line-clamp: 2;
+        -webkit-box-orient: vertical;
+        word-break: break-word;
+        transition: all 0.15s ease;
+      }
+
+      .octogpt-sidebar__hit-item:hover {
+        background: #f5f5f5;
+        color: #0d0d0d;
+      }
+
+      .octogpt-sidebar__hit-item--active {
+        background: #e5e5e5;
+        color: #0d0d0d;
+      }
+
+      :host-context(.dark) .octogpt-sidebar__hit-item,
+      :host-context(.dark-theme) .octogpt-sidebar__hit-item {
+        color: #9a9a9a;
+      }
+
+      :host-context(.dark) .octogpt-sidebar__hit-item:hover,
+      :host-context(.dark-theme) .octogpt-sidebar__hit-item:hover {
+        background: #2a2a2a;
+        color: #ececec;
+      }
+
+      :host-context(.dark) .octogpt-sidebar__hit-item--active,
+      :host-context(.dark-theme) .octogpt-sidebar__hit-item--active {
+        background: #3f3f3f;
+        color: #ececec;
+      }
+
+      .octogpt-sidebar__filter-input {
+        width: 100%;
+        box-sizing: border-box;
+        padding: 6px 10px;
+        border: 1px solid #e5e5e5;
+        border-radius: 6px;
+        background: transparent;
+        color: inherit;
+        font: inherit;
+        font-size: 12px;
+        outline: none;
+        transition: border-color 0.15s ease;
+      }
+
+      .octogpt-sidebar__filter-input::placeholder {
+        color: #9a9a9a;
+      }
+
+      .octogpt-sidebar__filter-input:focus {
+        border-color: #b4b4b4;
+      }
+
+      :host-context(.dark) .octogpt-sidebar__filter-input,
+      :host-context(.dark-theme) .octogpt-sidebar__filter-input {
+        border-color: #3a3a3a;
+      }
+
+      :host-context(.dark) .octogpt-sidebar__filter-input:focus,
+      :host-context(.dark-theme) .octogpt-sidebar__filter-input:focus {
+        border-color: #6b6b6b;
+      }
+
+      .octogpt-sidebar__match {
+        background: rgba(255, 200, 0, 0.35);
+        color: inherit;
+        border-radius: 2px;
+      }
+
+      :host-context(.dark) .octogpt-sidebar__match,
+      :host-context(.dark-theme) .octogpt-sidebar__match {
+        background: rgba(255, 200, 0, 0.25);
+      }
+
+      .octogpt-sidebar__no-matches {
+        padding: 16px;
+        text-align: center;
+        color: #6b6b6b;
+        font-size: 12px;
+      }
+
+      :host-context(.dark) .octogpt-sidebar__no-matches,
+      :host-context(.dark-theme) .octogpt-sidebar__no-matches {
+        color: #b4b4b4;
+      }
+
+      .octogpt-sidebar__prompt-item:focus-visible,
+      .octogpt-sidebar__heading-item:focus-visible,
+      .octogpt-sidebar__code-item:focus-visible,
+      .octogpt-sidebar__source-item:focus-visible,
+      .octogpt-sidebar__thinking-item:focus-visible,
+      .octogpt-sidebar__thinking-step:focus-visible,
+      .octogpt-sidebar__hit-item:focus-visible {
+        outline: 2px solid #b4b4b4;
+        outline-offset: -2px;
+      }
+
       .octogpt-sidebar__content {
         flex: 1;
         overflow-y: auto;
@@ -732,21 +1212,239 @@ class OctoGPTSidebar {
         color: #ececec;
       }
 
-      .octogpt-sidebar__empty {
-        padding: 32px 16px;
-        text-align: center;
-        color: #6b6b6b;
-        font-size: 13px;
-        display: none;
+      .octogpt-sidebar__prompt-time {
+        flex-shrink: 0;
+        font-size: 11px;
+        font-variant-numeric: tabular-nums;
+        color: #9a9a9a;
       }
 
-      :host-context(.dark) .octogpt-sidebar__empty,
-      :host-context(.dark-theme) .octogpt-sidebar__empty {
-        color: #b4b4b4;
+      :host-context(.dark) .octogpt-sidebar__prompt-time,
+      :host-context(.dark-theme) .octogpt-sidebar__prompt-time {
+        color: #8a8a8a;
       }
 
-      /* Prompt group wrapper */
-      .octogpt-sidebar__prompt-group {
+      .octogpt-sidebar__date-separator {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        padding: 6px 10px 4px;
+        font-size: 11px;
+        font-weight: 500;
+        color: #8a8a8a;
+      }
+
+      .octogpt-sidebar__date-separator::after {
+        content: '';
+        flex: 1;
+        height: 1px;
+        background: #e5e5e5;
+      }
+
+      :host-context(.dark) .octogpt-sidebar__date-separator::after,
+      :host-context(.dark-theme) .octogpt-sidebar__date-separator::after {
+        background: #3a3a3a;
+      }
+
+      :host([data-site="claude"]) .octogpt-sidebar__date-separator::after {
+        background: #E8E4DF;
+      }
+
+      :host-context([data-mode="dark"])[data-site="claude"] .octogpt-sidebar__date-separator::after {
+        background: #3A3734;
+      }
+
+      .octogpt-sidebar__branch-count {
+        flex-shrink: 0;
+        padding: 1px 4px;
+        border: none;
+        border-radius: 4px;
+        background: #ececec;
+        color: #6b6b6b;
+        font-size: 10px;
+        font-variant-numeric: tabular-nums;
+        line-height: 1.3;
+      }
+
+      button.octogpt-sidebar__branch-count {
+        font-family: inherit;
+        cursor: pointer;
+      }
+
+      button.octogpt-sidebar__branch-count:hover {
+        background: #e0e0e0;
+        color: #0d0d0d;
+      }
+
+      :host-context(.dark) .octogpt-sidebar__branch-count,
+      :host-context(.dark-theme) .octogpt-sidebar__branch-count {
+        background: #2f2f2f;
+        color: #b4b4b4;
+      }
+
+      :host-context(.dark) button.octogpt-sidebar__branch-count:hover,
+      :host-context(.dark-theme) button.octogpt-sidebar__branch-count:hover {
+        background: #3f3f3f;
+        color: #ececec;
+      }
+
+      .octogpt-sidebar__branches {
+        flex-direction: column;
+        gap: 6px;
+      }
+
+      .octogpt-sidebar__branches-toolbar {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        padding: 0 4px;
+      }
+
+      .octogpt-sidebar__branches-scan {
+        flex-shrink: 0;
+        padding: 4px 8px;
+        border: 1px solid #e5e5e5;
+        border-radius: 6px;
+        background: transparent;
+        color: #0d0d0d;
+        font-size: 12px;
+        cursor: pointer;
+        transition: all 0.15s ease;
+      }
+
+      .octogpt-sidebar__branches-scan:hover:not(:disabled) {
+        background: #f0f0f0;
+      }
+
+      .octogpt-sidebar__branches-scan:disabled {
+        opacity: 0.5;
+        cursor: default;
+      }
+
+      :host-context(.dark) .octogpt-sidebar__branches-scan,
+      :host-context(.dark-theme) .octogpt-sidebar__branches-scan {
+        border-color: #3f3f3f;
+        color: #ececec;
+      }
+
+      :host-context(.dark) .octogpt-sidebar__branches-scan:hover:not(:disabled),
+      :host-context(.dark-theme) .octogpt-sidebar__branches-scan:hover:not(:disabled) {
+        background: #2f2f2f;
+      }
+
+      .octogpt-sidebar__branches-status {
+        min-width: 0;
+        overflow: hidden;
+        color: #6b6b6b;
+        font-size: 11px;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+      }
+
+      .octogpt-sidebar__branches-status--error {
+        color: #d93025;
+      }
+
+      :host-context(.dark) .octogpt-sidebar__branches-status,
+      :host-context(.dark-theme) .octogpt-sidebar__branches-status {
+        color: #b4b4b4;
+      }
+
+      :host-context(.dark) .octogpt-sidebar__branches-status--error,
+      :host-context(.dark-theme) .octogpt-sidebar__branches-status--error {
+        color: #f28b82;
+      }
+
+      .octogpt-sidebar__branch-tree,
+      .octogpt-sidebar__branch-group {
+        display: flex;
+        flex-direction: column;
+        gap: 2px;
+      }
+
+      .octogpt-sidebar__branch-group {
+        margin: 2px 0 2px 10px;
+        padding-left: 6px;
+        border-left: 1px solid #e5e5e5;
+      }
+
+      .octogpt-sidebar__branch-group[hidden] {
+        display: none;
+      }
+
+      :host-context(.dark) .octogpt-sidebar__branch-group,
+      :host-context(.dark-theme) .octogpt-sidebar__branch-group {
+        border-left-color: #3f3f3f;
+      }
+
+      .octogpt-sidebar__branch-row {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        padding: 6px 8px;
+        border-radius: 8px;
+        cursor: pointer;
+        transition: background 0.15s ease;
+      }
+
+      .octogpt-sidebar__branch-row:hover {
+        background: #f0f0f0;
+      }
+
+      .octogpt-sidebar__branch-row--current {
+        background: #e5e5e5;
+      }
+
+      :host-context(.dark) .octogpt-sidebar__branch-row:hover,
+      :host-context(.dark-theme) .octogpt-sidebar__branch-row:hover {
+        background: #2f2f2f;
+      }
+
+      :host-context(.dark) .octogpt-sidebar__branch-row--current,
+      :host-context(.dark-theme) .octogpt-sidebar__branch-row--current {
+        background: #3f3f3f;
+      }
+
+      .octogpt-sidebar__branch-text {
+        flex: 1;
+        min-width: 0;
+        overflow: hidden;
+        color: #0d0d0d;
+        font-size: 13px;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+      }
+
+      .octogpt-sidebar__branch-text--unscanned {
+        color: #9a9a9a;
+        font-style: italic;
+      }
+
+      :host-context(.dark) .octogpt-sidebar__branch-text,
+      :host-context(.dark-theme) .octogpt-sidebar__branch-text {
+        color: #ececec;
+      }
+
+      :host-context(.dark) .octogpt-sidebar__branch-text--unscanned,
+      :host-context(.dark-theme) .octogpt-sidebar__branch-text--unscanned {
+        color: #8e8e8e;
+      }
+
+      .octogpt-sidebar__empty {
+        padding: 32px 16px;
+        text-align: center;
+        color: #6b6b6b;
+        font-size: 13px;
+        display: none;
+      }
+
+      :host-context(.dark) .octogpt-sidebar__empty,
+      :host-context(.dark-theme) .octogpt-sidebar__empty {
+        color: #b4b4b4;
+      }
+
+      /* Prompt group wrapper */
+      .octogpt-sidebar__prompt-group {
         display: flex;
         flex-direction: column;
       }
@@ -810,116 +1508,396 @@ class OctoGPTSidebar {
         border-left-color: #3a3a3a;
       }
 
-      /* Heading item */
+      /* Heading item - indented by its depth in the outline */
       .octogpt-sidebar__heading-item {
         display: flex;
         align-items: center;
         padding: 6px 10px;
+        padding-left: calc(10px + var(--octogpt-heading-depth, 0) * 12px);
         cursor: pointer;
         transition: all 0.15s ease;
         border-radius: 4px;
       }
 
-      .octogpt-sidebar__heading-item:hover {
+      /* Thinking block item */
+      .octogpt-sidebar__thinking-item {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        padding: 5px 6px 5px 10px;
+        cursor: pointer;
+        border-radius: 4px;
+        font-size: 12px;
+        font-style: italic;
+        color: #8a8a8a;
+        transition: all 0.15s ease;
+      }
+
+      .octogpt-sidebar__thinking-item:hover {
         background: #f5f5f5;
+        color: #0d0d0d;
       }
 
-      :host-context(.dark) .octogpt-sidebar__heading-item:hover,
-      :host-context(.dark-theme) .octogpt-sidebar__heading-item:hover {
+      :host-context(.dark) .octogpt-sidebar__thinking-item,
+      :host-context(.dark-theme) .octogpt-sidebar__thinking-item {
+        color: #8a8a8a;
+      }
+
+      :host-context(.dark) .octogpt-sidebar__thinking-item:hover,
+      :host-context(.dark-theme) .octogpt-sidebar__thinking-item:hover {
         background: #2a2a2a;
+        color: #ececec;
       }
 
-      .octogpt-sidebar__heading-text {
-        font-size: 12px;
-        line-height: 1.4;
-        color: #6b6b6b;
-        overflow: hidden;
-        text-overflow: ellipsis;
-        white-space: nowrap;
+      .octogpt-sidebar__thinking-icon {
+        flex-shrink: 0;
+        width: 12px;
+        height: 12px;
       }
 
-      :host-context(.dark) .octogpt-sidebar__heading-text,
-      :host-context(.dark-theme) .octogpt-sidebar__heading-text {
+      .octogpt-sidebar__thinking-text {
+        flex: 1;
+        min-width: 0;
+      }
+
+      .octogpt-sidebar__thinking-duration {
+        flex-shrink: 0;
+        font-size: 11px;
+        font-style: normal;
         color: #9a9a9a;
       }
 
-      .octogpt-sidebar__heading-item:hover .octogpt-sidebar__heading-text {
-        color: #0d0d0d;
+      .octogpt-sidebar__thinking-item .octogpt-sidebar__toggle-btn {
+        width: 12px;
+        height: 12px;
+        margin: 0 -2px 0 -6px;
       }
 
-      :host-context(.dark) .octogpt-sidebar__heading-item:hover .octogpt-sidebar__heading-text,
-      :host-context(.dark-theme) .octogpt-sidebar__heading-item:hover .octogpt-sidebar__heading-text {
-        color: #ececec;
+      /* Step of a thinking block, listed while the block is expanded */
+      .octogpt-sidebar__thinking-step {
+        display: flex;
+        align-items: center;
+        padding: 3px 6px 3px 28px;
+        cursor: pointer;
+        border-radius: 4px;
+        font-size: 11px;
+        font-style: italic;
+        color: #9a9a9a;
+        transition: all 0.15s ease;
       }
 
-      .octogpt-sidebar__heading-item--active {
-        background: #e5e5e5;
+      .octogpt-sidebar__thinking-step--hidden {
+        display: none;
       }
 
-      .octogpt-sidebar__heading-item--active .octogpt-sidebar__heading-text {
+      .octogpt-sidebar__thinking-step:hover {
+        background: #f5f5f5;
         color: #0d0d0d;
       }
 
-      :host-context(.dark) .octogpt-sidebar__heading-item--active,
-      :host-context(.dark-theme) .octogpt-sidebar__heading-item--active {
-        background: #3f3f3f;
+      :host-context(.dark) .octogpt-sidebar__thinking-step:hover,
+      :host-context(.dark-theme) .octogpt-sidebar__thinking-step:hover {
+        background: #2a2a2a;
+        color: #ececec;
       }
 
-      :host-context(.dark) .octogpt-sidebar__heading-item--active .octogpt-sidebar__heading-text,
-      :host-context(.dark-theme) .octogpt-sidebar__heading-item--active .octogpt-sidebar__heading-text {
-        color: #ececec;
+      .octogpt-sidebar__thinking-step-text {
+        flex: 1;
+        min-width: 0;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
       }
 
-      /* Loading indicator */
-      .octogpt-sidebar__loading {
+      /* Code block item */
+      .octogpt-sidebar__code-item {
         display: flex;
-        flex-direction: column;
         align-items: center;
-        justify-content: center;
-        padding: 48px 16px;
-        gap: 16px;
-      }
-
-      .octogpt-sidebar__loading-spinner {
-        width: 24px;
-        height: 24px;
-        border: 2px solid #e5e5e5;
-        border-top-color: #0d0d0d;
-        border-radius: 50%;
-        animation: octogpt-spin 0.8s linear infinite;
+        gap: 6px;
+        padding: 5px 6px 5px 10px;
+        cursor: pointer;
+        border-radius: 4px;
+        font-size: 12px;
+        color: #6b6b6b;
+        transition: all 0.15s ease;
       }
 
-      :host-context(.dark) .octogpt-sidebar__loading-spinner,
-      :host-context(.dark-theme) .octogpt-sidebar__loading-spinner {
-        border-color: #3f3f3f;
-        border-top-color: #ececec;
+      .octogpt-sidebar__code-item:hover {
+        background: #f5f5f5;
+        color: #0d0d0d;
       }
 
-      .octogpt-sidebar__loading-text {
-        font-size: 13px;
-        color: #6b6b6b;
-        text-align: center;
+      :host-context(.dark) .octogpt-sidebar__code-item,
+      :host-context(.dark-theme) .octogpt-sidebar__code-item {
+        color: #9a9a9a;
       }
 
-      :host-context(.dark) .octogpt-sidebar__loading-text,
-      :host-context(.dark-theme) .octogpt-sidebar__loading-text {
-        color: #b4b4b4;
+      :host-context(.dark) .octogpt-sidebar__code-item:hover,
+      :host-context(.dark-theme) .octogpt-sidebar__code-item:hover {
+        background: #2a2a2a;
+        color: #ececec;
       }
 
-      @keyframes octogpt-spin {
-        to {
-          transform: rotate(360deg);
-        }
+      .octogpt-sidebar__code-lang {
+        flex-shrink: 0;
+        padding: 0 4px;
+        border-radius: 3px;
+        background: #ececec;
+        font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+        font-size: 10px;
+        line-height: 16px;
       }
 
-      /* Claude-specific styles - Light mode (warm cream palette) */
-      :host([data-site="claude"]) .octogpt-sidebar__container {
-        background: #FAF9F7;
-        border-left-color: #E8E4DF;
-        color: #3D3929;
+      :host-context(.dark) .octogpt-sidebar__code-lang,
+      :host-context(.dark-theme) .octogpt-sidebar__code-lang {
+        background: #3a3a3a;
       }
 
-      :host([data-site="claude"]) .octogpt-sidebar__logo-text {
+      .octogpt-sidebar__code-text {
+        flex: 1;
+        min-width: 0;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+        font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+        font-size: 11px;
+      }
+
+      .octogpt-sidebar__code-lines {
+        flex-shrink: 0;
+        font-size: 11px;
+        color: #9a9a9a;
+      }
+
+      .octogpt-sidebar__code-copy {
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        flex-shrink: 0;
+        width: 20px;
+        height: 20px;
+        padding: 0;
+        border: none;
+        border-radius: 4px;
+        background: transparent;
+        color: inherit;
+        cursor: pointer;
+        opacity: 0;
+        transition: opacity 0.1s ease;
+      }
+
+      .octogpt-sidebar__code-item:hover .octogpt-sidebar__code-copy,
+      .octogpt-sidebar__code-item:focus-within .octogpt-sidebar__code-copy,
+      .octogpt-sidebar__code-copy--copied {
+        opacity: 1;
+      }
+
+      .octogpt-sidebar__code-copy:hover {
+        background: rgba(0, 0, 0, 0.08);
+      }
+
+      :host-context(.dark) .octogpt-sidebar__code-copy:hover,
+      :host-context(.dark-theme) .octogpt-sidebar__code-copy:hover {
+        background: rgba(255, 255, 255, 0.1);
+      }
+
+      .octogpt-sidebar__code-copy svg {
+        width: 12px;
+        height: 12px;
+      }
+
+      /* Source item */
+      .octogpt-sidebar__source-item {
+        display: flex;
+        align-items: center;
+        gap: 6px;
+        padding: 5px 6px 5px 10px;
+        cursor: pointer;
+        border-radius: 4px;
+        font-size: 12px;
+        color: #6b6b6b;
+        transition: all 0.15s ease;
+      }
+
+      .octogpt-sidebar__source-item:hover {
+        background: #f5f5f5;
+        color: #0d0d0d;
+      }
+
+      :host-context(.dark) .octogpt-sidebar__source-item,
+      :host-context(.dark-theme) .octogpt-sidebar__source-item {
+        color: #9a9a9a;
+      }
+
+      :host-context(.dark) .octogpt-sidebar__source-item:hover,
+      :host-context(.dark-theme) .octogpt-sidebar__source-item:hover {
+        background: #2a2a2a;
+        color: #ececec;
+      }
+
+      .octogpt-sidebar__source-number {
+        flex-shrink: 0;
+        min-width: 16px;
+        padding: 0 3px;
+        border-radius: 8px;
+        background: #ececec;
+        font-size: 10px;
+        line-height: 16px;
+        text-align: center;
+        font-variant-numeric: tabular-nums;
+      }
+
+      :host-context(.dark) .octogpt-sidebar__source-number,
+      :host-context(.dark-theme) .octogpt-sidebar__source-number {
+        background: #3a3a3a;
+      }
+
+      .octogpt-sidebar__source-domain {
+        flex-shrink: 0;
+        max-width: 40%;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+        font-size: 11px;
+        color: #9a9a9a;
+      }
+
+      .octogpt-sidebar__source-title {
+        flex: 1;
+        min-width: 0;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+      }
+
+      /* Outline entry inferred from a response without headings */
+      .octogpt-sidebar__heading-item--inferred .octogpt-sidebar__heading-text {
+        font-style: italic;
+      }
+
+      .octogpt-sidebar__heading-item--pre .octogpt-sidebar__heading-text {
+        font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace;
+        font-size: 11px;
+        font-style: normal;
+      }
+
+      /* Subsection of a collapsed heading */
+      .octogpt-sidebar__heading-item--hidden {
+        display: none;
+      }
+
+      /* Headings with subsections get a toggle; in nested outlines the others keep its space */
+      .octogpt-sidebar__heading-item .octogpt-sidebar__toggle-btn {
+        width: 12px;
+        height: 12px;
+        margin-right: 2px;
+      }
+
+      .octogpt-sidebar__heading-spacer {
+        width: 14px;
+        flex-shrink: 0;
+      }
+
+      .octogpt-sidebar__heading-item:hover {
+        background: #f5f5f5;
+      }
+
+      :host-context(.dark) .octogpt-sidebar__heading-item:hover,
+      :host-context(.dark-theme) .octogpt-sidebar__heading-item:hover {
+        background: #2a2a2a;
+      }
+
+      .octogpt-sidebar__heading-text {
+        font-size: 12px;
+        line-height: 1.4;
+        color: #6b6b6b;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+      }
+
+      :host-context(.dark) .octogpt-sidebar__heading-text,
+      :host-context(.dark-theme) .octogpt-sidebar__heading-text {
+        color: #9a9a9a;
+      }
+
+      .octogpt-sidebar__heading-item:hover .octogpt-sidebar__heading-text {
+        color: #0d0d0d;
+      }
+
+      :host-context(.dark) .octogpt-sidebar__heading-item:hover .octogpt-sidebar__heading-text,
+      :host-context(.dark-theme) .octogpt-sidebar__heading-item:hover .octogpt-sidebar__heading-text {
+        color: #ececec;
+      }
+
+      .octogpt-sidebar__heading-item--active {
+        background: #e5e5e5;
+      }
+
+      .octogpt-sidebar__heading-item--active .octogpt-sidebar__heading-text {
+        color: #0d0d0d;
+      }
+
+      :host-context(.dark) .octogpt-sidebar__heading-item--active,
+      :host-context(.dark-theme) .octogpt-sidebar__heading-item--active {
+        background: #3f3f3f;
+      }
+
+      :host-context(.dark) .octogpt-sidebar__heading-item--active .octogpt-sidebar__heading-text,
+      :host-context(.dark-theme) .octogpt-sidebar__heading-item--active .octogpt-sidebar__heading-text {
+        color: #ececec;
+      }
+
+      /* Loading indicator */
+      .octogpt-sidebar__loading {
+        display: flex;
+        flex-direction: column;
+        align-items: center;
+        justify-content: center;
+        padding: 48px 16px;
+        gap: 16px;
+      }
+
+      .octogpt-sidebar__loading-spinner {
+        width: 24px;
+        height: 24px;
+        border: 2px solid #e5e5e5;
+        border-top-color: #0d0d0d;
+        border-radius: 50%;
+        animation: octogpt-spin 0.8s linear infinite;
+      }
+
+      :host-context(.dark) .octogpt-sidebar__loading-spinner,
+      :host-context(.dark-theme) .octogpt-sidebar__loading-spinner {
+        border-color: #3f3f3f;
+        border-top-color: #ececec;
+      }
+
+      .octogpt-sidebar__loading-text {
+        font-size: 13px;
+        color: #6b6b6b;
+        text-align: center;
+      }
+
+      :host-context(.dark) .octogpt-sidebar__loading-text,
+      :host-context(.dark-theme) .octogpt-sidebar__loading-text {
+        color: #b4b4b4;
+      }
+
+      @keyframes octogpt-spin {
+        to {
+          transform: rotate(360deg);
+        }
+      }
+
+      /* Claude-specific styles - Light mode (warm cream palette) */
+      :host([data-site="claude"]) .octogpt-sidebar__container {
+        background: #FAF9F7;
+        border-left-color: #E8E4DF;
+        color: #3D3929;
+      }
+
+      :host([data-site="claude"]) .octogpt-sidebar__logo-text {
         color: #3D3929;
       }
 
@@ -976,7 +1954,18 @@ class OctoGPTSidebar {
         border-left-color: #E8E4DF;
       }
 
-      :host([data-site="claude"]) .octogpt-sidebar__heading-item:hover {
+      :host([data-site="claude"]) .octogpt-sidebar__filter-input {
+        border-color: #E8E4DF;
+      }
+
+      :host([data-site="claude"]) .octogpt-sidebar__filter-input:focus {
+        border-color: #C9C3BA;
+      }
+
+      :host([data-site="claude"]) .octogpt-sidebar__heading-item:hover,
+      :host([data-site="claude"]) .octogpt-sidebar__code-item:hover,
+      :host([data-site="claude"]) .octogpt-sidebar__thinking-item:hover,
+      :host([data-site="claude"]) .octogpt-sidebar__thinking-step:hover {
         background: #F0EDE8;
       }
 
@@ -1062,7 +2051,18 @@ class OctoGPTSidebar {
         border-left-color: #322F2B;
       }
 
-      :host-context([data-mode="dark"])[data-site="claude"] .octogpt-sidebar__heading-item:hover {
+      :host-context([data-mode="dark"])[data-site="claude"] .octogpt-sidebar__filter-input {
+        border-color: #322F2B;
+      }
+
+      :host-context([data-mode="dark"])[data-site="claude"] .octogpt-sidebar__filter-input:focus {
+        border-color: #5A554E;
+      }
+
+      :host-context([data-mode="dark"])[data-site="claude"] .octogpt-sidebar__heading-item:hover,
+      :host-context([data-mode="dark"])[data-site="claude"] .octogpt-sidebar__code-item:hover,
+      :host-context([data-mode="dark"])[data-site="claude"] .octogpt-sidebar__thinking-item:hover,
+      :host-context([data-mode="dark"])[data-site="claude"] .octogpt-sidebar__thinking-step:hover {
         background: #2D2B28;
       }
 
@@ -1109,6 +2109,54 @@ class OctoGPTSidebar {
       pinBtn.addEventListener('click', () => this.togglePin());
     }
 
+    // Filter input
+    const filterInput = this.shadowRoot.querySelector('.octogpt-sidebar__filter-input');
+    if (filterInput) {
+      filterInput.addEventListener('input', this.handleFilterInput);
+      filterInput.addEventListener('keydown', this.handleFilterKeyDown);
+    }
+
+    // Find mode toggle and match stepping
+    const findToggle = this.shadowRoot.querySelector('.octogpt-sidebar__find-toggle');
+    if (findToggle) {
+      findToggle.addEventListener('click', () => this.toggleFindMode());
+    }
+    this.shadowRoot.querySelectorAll('.octogpt-sidebar__find-step-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.stepFind(btn.dataset.findAction === 'prev' ? -1 : 1));
+    });
+
+    // Branch view toggle, version scan and tree nodes (delegated)
+    const branchesBtn = this.shadowRoot.querySelector('.octogpt-sidebar__branches-btn');
+    if (branchesBtn) {
+      branchesBtn.addEventListener('click', () => this.toggleBranchView());
+    }
+    const scanBtn = this.shadowRoot.querySelector('.octogpt-sidebar__branches-scan');
+    if (scanBtn) {
+      scanBtn.addEventListener('click', () => this.handleScanBranches());
+    }
+    const branchTree = this.shadowRoot.querySelector('.octogpt-sidebar__branch-tree');
+    if (branchTree) {
+      branchTree.addEventListener('click', (e) => this.handleBranchTreeClick(e));
+      branchTree.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          this.handleBranchTreeClick(e);
+        }
+      });
+    }
+
+    // Keyboard movement between list items (delegated)
+    const promptList = this.shadowRoot.querySelector('.octogpt-sidebar__prompt-list');
+    if (promptList) {
+      promptList.addEventListener('keydown', this.handleListKeyDown);
+    }
+
+    // Render the groups scrolled into view
+    const content = this.shadowRoot.querySelector('.octogpt-sidebar__content');
+    if (content) {
+      content.addEventListener('scroll', this.handleListScroll, { passive: true });
+    }
+
     // Logo button (settings toggle)
     const logoBtn = this.shadowRoot.querySelector('.octogpt-sidebar__logo-btn');
     if (logoBtn) {
@@ -1342,8 +2390,10 @@ class OctoGPTSidebar {
     }
 
     // Don't trigger other shortcuts if user is typing in an input
-    if (event.target.tagName === 'INPUT' || event.target.tagName === 'TEXTAREA' || 
-        event.target.getAttribute('contenteditable') === 'true') {
+    // Events from our shadow root are retargeted to the host, so check the original target
+    const target = event.composedPath?.()[0] || event.target;
+    if (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || 
+        target.getAttribute?.('contenteditable') === 'true') {
       return;
     }
 
@@ -1354,6 +2404,22 @@ class OctoGPTSidebar {
       return;
     }
 
+    // Alt+Shift+F: Find in responses (event.code, since Alt changes event.key on macOS)
+    if (event.altKey && event.shiftKey && event.code === 'KeyF') {
+      event.preventDefault();
+      this.openFind();
+      return;
+    }
+
+    // F3 / Cmd/Ctrl+G (with Shift for previous): Step through find matches
+    const isFindStep = event.key === 'F3' ||
+      ((event.metaKey || event.ctrlKey) && event.key.toLowerCase() === 'g');
+    if (isFindStep && this.isFindMode && this.finder?.hits.length > 0) {
+      event.preventDefault();
+      this.stepFind(event.shiftKey ? -1 : 1);
+      return;
+    }
+
     // Alt+Shift+Up/Down: Navigate between prompts only (skip headers)
     if (event.altKey && event.shiftKey && (event.key === 'ArrowUp' || event.key === 'ArrowDown')) {
       event.preventDefault();
@@ -1414,17 +2480,10 @@ class OctoGPTSidebar {
 
   /**
    * Find the content container to adjust for sidebar layout
-   * Site-specific: Claude uses #main-content, ChatGPT/Gemini use main's parent
+   * Site-specific (e.g. Claude uses #main-content) - delegated to the adapter
    */
   findLayoutContainer() {
-    if (this.site === 'claude') {
-      // Claude doesn't have a <main> element - uses #main-content div
-      return document.querySelector('#main-content');
-    }
-    
-    // ChatGPT and Gemini: use main's parent
-    const main = document.querySelector('main');
-    return main?.parentElement;
+    return this.adapter.findLayoutContainer();
   }
 
   /**
@@ -1610,16 +2669,33 @@ class OctoGPTSidebar {
     const newPromptAdded = newCount > prevCount;
     
     this.prompts = prompts || [];
+
+    // Every path the page shows adds to the branch tree
+    if (this.branchExplorer && this.prompts.length > 0) {
+      this.branchExplorer.recordPath(this.prompts);
+    }
     
     // Reset keyboard navigation state so next navigation recalculates from current scroll position
     this.navigationIndex = -1;
     this.flatNavigationList = [];
+
+    // Keep find results in step with new or re-rendered responses
+    if (this.isFindMode && this.filterQuery) {
+      this.refreshFind();
+    }
     
     this.render();
+
+    // The scroll container may have been replaced by a navigation
+    this.attachScrollSpy();
     
     // Auto-scroll sidebar to the latest prompt when new content is generating
     if (newPromptAdded && newCount > 0) {
       this.scrollSidebarToLatestPrompt();
+    } else {
+      // Re-apply the scroll-spy highlight lost by the re-render
+      this.scrollSpyKey = null;
+      this.updateScrollSpy();
     }
   }
 
@@ -1635,9 +2711,7 @@ class OctoGPTSidebar {
     const lastIndex = this.prompts.length - 1;
     if (lastIndex < 0) return;
     
-    const lastGroup = promptList.querySelector(`[data-index="${lastIndex}"]`);
-    const targetElement = lastGroup?.querySelector('.octogpt-sidebar__prompt-item');
-    
+    const targetElement = this.revealListItem({ type: 'prompt', promptIndex: lastIndex });
     if (!targetElement) return;
     
     // Scroll the sidebar content to show the target element at the top
@@ -1682,8 +2756,15 @@ class OctoGPTSidebar {
 
     if (!loading || !promptList || !emptyState) return;
 
-    // Clear existing content
-    promptList.innerHTML = '';
+    const branches = this.shadowRoot.querySelector('.octogpt-sidebar__branches');
+    if (branches) {
+      branches.style.display = 'none';
+    }
+
+    // Everything except the plain prompt list is rebuilt from scratch
+    if (!this.isPlainListMode()) {
+      this.clearPromptList(promptList);
+    }
 
     // New chat state: show message without spinner
     if (this.isNewChat && this.prompts.length === 0) {
@@ -1713,20 +2794,252 @@ class OctoGPTSidebar {
     }
 
     emptyState.style.display = 'none';
+
+    // Branch view replaces the prompt list
+    if (this.isBranchView && branches) {
+      promptList.style.display = 'none';
+      branches.style.display = 'flex';
+      this.renderBranchTree();
+      return;
+    }
+
     promptList.style.display = 'flex';
 
-    // Render each prompt
-    this.prompts.forEach((prompt, index) => {
-      const promptItem = this.createPromptItem(prompt, index);
-      promptList.appendChild(promptItem);
-    });
+    // Find mode: render hits grouped under their prompt
+    if (this.isFindMode && this.filterQuery) {
+      this.renderFindResults(promptList);
+      return;
+    }
+
+    // Filtering: render only matching prompts and headings
+    if (this.filterQuery) {
+      const results = this.getFilterResults();
+      results.forEach(result => {
+        promptList.appendChild(this.createPromptItem(result.prompt, result.index, result));
+      });
+
+      if (results.length === 0) {
+        const noMatches = document.createElement('div');
+        noMatches.className = 'octogpt-sidebar__no-matches';
+        noMatches.textContent = 'No matching prompts or headers';
+        promptList.appendChild(noMatches);
+      }
+
+      this.updateCollapseAllButton();
+      return;
+    }
+
+    // Patch the list in place so streaming only rebuilds the prompt that changed
+    this.renderVirtualWindow();
 
     // Update collapse-all button state
     this.updateCollapseAllButton();
   }
 
   /**
-   * Calculate max characters for preview based on sidebar width
+   * Empty the prompt list and forget the keyed items
+   */
+  clearPromptList(promptList) {
+    promptList.innerHTML = '';
+    promptList.style.paddingTop = '';
+    promptList.style.paddingBottom = '';
+    this.renderedPromptItems = new Map();
+  }
+
+  /**
+   * Check whether the plain (keyed, virtualized) prompt list is showing
+   * Filter, find and branch views render their own smaller lists.
+   */
+  isPlainListMode() {
+    return !this.isBranchView && !this.filterQuery && this.prompts.length > 0;
+  }
+
+  /**
+   * Render the prompt groups inside (or near) the sidebar viewport
+   * Groups outside the window are replaced by padding on the list, sized from
+   * measured heights (estimates for groups never rendered), so the scrollbar
+   * still reflects the whole conversation.
+   */
+  renderVirtualWindow() {
+    const content = this.shadowRoot?.querySelector('.octogpt-sidebar__content');
+    const promptList = this.shadowRoot?.querySelector('.octogpt-sidebar__prompt-list');
+    if (!content || !promptList) return;
+
+    const count = this.prompts.length;
+    let start = 0;
+    let end = count;
+
+    if (count > this.config.virtualizeAfter) {
+      const { offsets, heights } = this.getGroupLayout();
+      const overscan = this.config.virtualOverscan;
+      const viewTop = content.scrollTop - this.getListTop(content, promptList) - overscan;
+      const viewBottom = viewTop + content.clientHeight + overscan * 2;
+
+      start = 0;
+      while (start < count - 1 && offsets[start] + heights[start] < viewTop) start++;
+      end = start + 1;
+      while (end < count && offsets[end] <= viewBottom) end++;
+    }
+
+    this.patchPromptList(promptList, start, end);
+
+    // Paddings stand in for the groups that are not rendered
+    this.measureRenderedGroups(promptList);
+    const { offsets, heights, total } = this.getGroupLayout();
+    const renderedBottom = end > 0 ? offsets[end - 1] + heights[end - 1] : 0;
+    promptList.style.paddingTop = start > 0 ? `${offsets[start]}px` : '';
+    promptList.style.paddingBottom = end < count ? `${total - renderedBottom}px` : '';
+  }
+
+  /**
+   * Top of every prompt group within the list, from measured or estimated heights
+   * @returns {{offsets: number[], heights: number[], total: number}}
+   */
+  getGroupLayout() {
+    const offsets = [];
+    const heights = [];
+    let top = 0;
+
+    this.prompts.forEach((prompt, index) => {
+      let height = this.groupHeights.get(prompt.id);
+      if (height === undefined) {
+        const rowCount = this.collapsedPrompts.has(index)
+          ? 0
+          : (prompt.headings?.length || 0) + (prompt.codeBlocks?.length || 0) + (prompt.thinkingBlocks?.length || 0) +
+            (prompt.sources?.length || 0) + this.countThinkingSteps(prompt, index);
+        height = this.config.estimatedPromptHeight + rowCount * this.config.estimatedHeadingHeight;
+        if (this.getDateSeparatorDay(index) !== null) {
+          height += this.config.estimatedSeparatorHeight;
+        }
+      }
+      offsets.push(top);
+      heights.push(height);
+      top += height + this.config.listGap;
+    });
+
+    return { offsets, heights, total: Math.max(0, top - this.config.listGap) };
+  }
+
+  /**
+   * Offset of the prompt list inside the scrolling content, excluding its padding
+   */
+  getListTop(content, promptList) {
+    return promptList.getBoundingClientRect().top - content.getBoundingClientRect().top + content.scrollTop;
+  }
+
+  /**
+   * Remember the real height of every rendered group
+   */
+  measureRenderedGroups(promptList) {
+    for (const wrapper of promptList.children) {
+      const prompt = this.prompts[wrapper.dataset.index];
+      const height = wrapper.getBoundingClientRect().height;
+      // Zero means not laid out (hidden sidebar); keep the estimate
+      if (prompt && height > 0) {
+        this.groupHeights.set(prompt.id, height);
+      }
+    }
+  }
+
+  /**
+   * Re-render the window when the sidebar list scrolls - batched to one per frame
+   */
+  handleListScroll() {
+    if (this.virtualFrame || !this.isPlainListMode() || this.prompts.length <= this.config.virtualizeAfter) return;
+
+    this.virtualFrame = requestAnimationFrame(() => {
+      this.virtualFrame = null;
+      if (this.isPlainListMode()) {
+        this.renderVirtualWindow();
+      }
+    });
+  }
+
+  /**
+   * Keyed render of prompts[start, end)
+   * Groups are keyed by prompt ID and rebuilt only when their signature changes;
+   * unchanged groups are moved into place, so their DOM (and focus) survives.
+   */
+  patchPromptList(promptList, start = 0, end = this.prompts.length) {
+    const previous = this.renderedPromptItems;
+    const next = new Map();
+
+    // Drop anything the keyed list did not render (filter/find results, messages)
+    [...promptList.children].forEach(child => {
+      if (previous.get(child.dataset.key) !== child) child.remove();
+    });
+
+    let cursor = promptList.firstElementChild;
+    this.prompts.slice(start, end).forEach((prompt, offset) => {
+      const index = start + offset;
+      const key = next.has(prompt.id) ? `${prompt.id}:${index}` : prompt.id;
+      const signature = this.getPromptItemSignature(prompt, index);
+      let wrapper = previous.get(key);
+
+      if (!wrapper || wrapper.dataset.signature !== signature) {
+        if (wrapper) {
+          if (wrapper === cursor) cursor = cursor.nextElementSibling;
+          wrapper.remove();
+        }
+        wrapper = this.createPromptItem(prompt, index);
+        this.groupHeights.delete(prompt.id);
+        wrapper.dataset.key = key;
+        wrapper.dataset.signature = signature;
+      }
+
+      next.set(key, wrapper);
+      if (wrapper === cursor) {
+        cursor = cursor.nextElementSibling;
+      } else {
+        promptList.insertBefore(wrapper, cursor);
+      }
+    });
+
+    // Whatever is left after the cursor belongs to prompts that are gone
+    while (cursor) {
+      const following = cursor.nextElementSibling;
+      cursor.remove();
+      cursor = following;
+    }
+
+    this.renderedPromptItems = next;
+  }
+
+  /**
+   * Everything createPromptItem() renders for a prompt, as one comparable string
+   */
+  getPromptItemSignature(prompt, index) {
+    const branchInfo = prompt.isBranchPoint ? prompt.branchInfo : null;
+    return JSON.stringify([
+      index,
+      prompt.text,
+      (prompt.headings || []).map((heading, headingIndex) => [
+        heading.level,
+        heading.text,
+        heading.depth,
+        this.collapsedHeadings.has(`${index}:${headingIndex}`),
+      ]),
+      (prompt.codeBlocks || []).map(block => [block.language, block.lineCount, block.firstLine, block.fileName]),
+      (prompt.thinkingBlocks || []).map(block => [
+        block.label,
+        block.duration,
+        (block.steps || []).map(step => step.text),
+        this.expandedThinking.has(`${index}:${block.index}`),
+      ]),
+      (prompt.sources || []).map(source => [source.number, source.url, source.title]),
+      prompt.timestamp,
+      prompt.isTimestampFromSite,
+      this.getDateSeparatorDay(index),
+      index === this.currentPromptIndex,
+      this.collapsedPrompts.has(index),
+      !!prompt.isGenerating,
+      branchInfo ? [branchInfo.current, branchInfo.total, !!branchInfo.prevButton, !!branchInfo.nextButton] : null,
+      this.getPreviewMaxLength(),
+    ]);
+  }
+
+  /**
+   * Calculate max characters for preview based on sidebar width
    * Accounts for padding and average character width at 13px font
    */
   getPreviewMaxLength() {
@@ -1749,8 +3062,11 @@ class OctoGPTSidebar {
 
   /**
    * Create a prompt list item element with its headings
+   * @param {Object} prompt - Prompt from the parser
+   * @param {number} index - Index into this.prompts
+   * @param {Object} [filterResult] - Match info from getFilterResults() when filtering
    */
-  createPromptItem(prompt, index) {
+  createPromptItem(prompt, index, filterResult = null) {
     // Create a wrapper for prompt + headings
     const wrapper = document.createElement('div');
     wrapper.className = 'octogpt-sidebar__prompt-group';
@@ -1771,18 +3087,29 @@ class OctoGPTSidebar {
     const hasNext = hasBranches && prompt.branchInfo.nextButton;
     const prevClass = hasPrev ? 'octogpt-sidebar__prompt-item--has-prev' : '';
     const nextClass = hasNext ? 'octogpt-sidebar__prompt-item--has-next' : '';
-    const hasHeadings = prompt.headings && prompt.headings.length > 0;
+    // When filtering, only the matching headings are listed
+    const headingEntries = filterResult
+      ? filterResult.headings
+      : (prompt.headings || []).map((heading, headingIndex) => ({ heading, headingIndex, match: null }));
+    // Code blocks and sources are listed after the headings and thinking blocks
+    // before them, except in filter and find results
+    const codeBlocks = filterResult ? [] : (prompt.codeBlocks || []);
+    const thinkingBlocks = filterResult ? [] : (prompt.thinkingBlocks || []);
+    const sources = filterResult ? [] : (prompt.sources || []);
+    const hasHeadings = headingEntries.length > 0 || codeBlocks.length > 0 || thinkingBlocks.length > 0 ||
+                        sources.length > 0;
     // If prompt is generating, ensure headers are shown (not collapsed)
     if (prompt.isGenerating && hasHeadings) {
       this.collapsedPrompts.delete(index);
     }
-    const isCollapsed = this.collapsedPrompts.has(index);
+    // Filter results are always expanded so matching headers are visible
+    const isCollapsed = !filterResult && this.collapsedPrompts.has(index);
 
     item.className = `octogpt-sidebar__prompt-item ${activeClass} ${prevClass} ${nextClass}`;
 
     // Calculate display text based on current sidebar width
     const maxLength = this.getPreviewMaxLength();
-    let displayText = this.truncateText(prompt.text, maxLength);
+    const textHtml = this.formatMatchText(prompt.text, filterResult?.match, maxLength);
 
     // Build HTML with toggle button, branch buttons, and text
     const toggleBtnHtml = hasHeadings ? `
@@ -1794,13 +3121,36 @@ class OctoGPTSidebar {
         </svg>
       </button>
     ` : '';
-    const prevBtnHtml = hasPrev ? `<button class="octogpt-sidebar__branch-btn" data-branch-action="prev" title="Previous version">&lt;</button>` : '';
-    const nextBtnHtml = hasNext ? `<button class="octogpt-sidebar__branch-btn" data-branch-action="next" title="Next version">&gt;</button>` : '';
+    // Gemini switches between drafts of the response rather than versions of the prompt
+    const versionLabel = hasBranches && prompt.branchInfo.kind === 'draft' ? 'draft' : 'version';
+    const prevBtnHtml = hasPrev ? `<button class="octogpt-sidebar__branch-btn" data-branch-action="prev" title="Previous ${versionLabel}">&lt;</button>` : '';
+    const nextBtnHtml = hasNext ? `<button class="octogpt-sidebar__branch-btn" data-branch-action="next" title="Next ${versionLabel}">&gt;</button>` : '';
+    const hasCount = hasBranches && prompt.branchInfo.total;
+    const countTitle = hasCount
+      ? `${versionLabel === 'draft' ? 'Draft' : 'Version'} ${prompt.branchInfo.current} of ${prompt.branchInfo.total}`
+      : '';
+    let countHtml = '';
+    if (hasCount && this.versionDiff) {
+      countHtml = `<button class="octogpt-sidebar__branch-count" data-branch-action="compare" title="${countTitle}, click to compare versions">${prompt.branchInfo.current}/${prompt.branchInfo.total}</button>`;
+    } else if (hasCount) {
+      countHtml = `<span class="octogpt-sidebar__branch-count" title="${countTitle}">${prompt.branchInfo.current}/${prompt.branchInfo.total}</span>`;
+    }
+    
+    // An invalid date would make toISOString() throw and lose the whole group
+    const time = prompt.timestamp ? new Date(prompt.timestamp) : null;
+    const timeHtml = time && !isNaN(time) ? `
+      <time class="octogpt-sidebar__prompt-time"
+            datetime="${time.toISOString()}"
+            data-timestamp="${prompt.timestamp}"
+            title="${this.formatTimeTitle(prompt)}">${this.formatRelativeTime(prompt.timestamp)}</time>
+    ` : '';
     
     item.innerHTML = `
       ${prevBtnHtml}
       ${toggleBtnHtml}
-      <div class="octogpt-sidebar__prompt-text">${this.escapeHtml(displayText)}</div>
+      <div class="octogpt-sidebar__prompt-text">${textHtml}</div>
+      ${timeHtml}
+      ${countHtml}
       ${nextBtnHtml}
     `;
 
@@ -1829,7 +3179,7 @@ class OctoGPTSidebar {
       const prevBtn = item.querySelector('[data-branch-action="prev"]');
       prevBtn.addEventListener('click', (e) => {
         e.stopPropagation();
-        prompt.branchInfo.prevButton.click();
+        this.prompts[index]?.branchInfo?.prevButton?.click();
       });
     }
     
@@ -1837,7 +3187,15 @@ class OctoGPTSidebar {
       const nextBtn = item.querySelector('[data-branch-action="next"]');
       nextBtn.addEventListener('click', (e) => {
         e.stopPropagation();
-        prompt.branchInfo.nextButton.click();
+        this.prompts[index]?.branchInfo?.nextButton?.click();
+      });
+    }
+
+    const compareBtn = item.querySelector('[data-branch-action="compare"]');
+    if (compareBtn) {
+      compareBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.handleCompareVersions(index);
       });
     }
 
@@ -1846,6 +3204,17 @@ class OctoGPTSidebar {
       this.handlePromptClick(index);
     });
 
+    // Multi-day conversations get a day label above the first prompt of each day
+    const separatorDay = filterResult ? null : this.getDateSeparatorDay(index);
+    if (separatorDay !== null) {
+      const separator = document.createElement('div');
+      separator.className = 'octogpt-sidebar__date-separator';
+      separator.setAttribute('role', 'separator');
+      separator.dataset.timestamp = prompt.timestamp;
+      separator.textContent = this.formatDayLabel(prompt.timestamp);
+      wrapper.appendChild(separator);
+    }
+
     wrapper.appendChild(item);
 
     // Add headings if present
@@ -1853,10 +3222,22 @@ class OctoGPTSidebar {
       const headingsContainer = document.createElement('div');
       headingsContainer.className = `octogpt-sidebar__headings ${isCollapsed ? 'octogpt-sidebar__headings--collapsed' : ''}`;
 
-      prompt.headings.forEach(heading => {
-        const headingItem = this.createHeadingItem(heading, maxLength);
+      thinkingBlocks.forEach(block => {
+        headingsContainer.appendChild(this.createThinkingItem(block, index));
+        (block.steps || []).forEach(step => {
+          headingsContainer.appendChild(this.createThinkingStepItem(step, block, index));
+        });
+      });
+      headingEntries.forEach(({ heading, headingIndex, match }) => {
+        const headingItem = this.createHeadingItem(heading, maxLength, index, headingIndex, match);
         headingsContainer.appendChild(headingItem);
       });
+      codeBlocks.forEach(block => {
+        headingsContainer.appendChild(this.createCodeItem(block, index));
+      });
+      sources.forEach(source => {
+        headingsContainer.appendChild(this.createSourceItem(source, index));
+      });
 
       wrapper.appendChild(headingsContainer);
     }
@@ -1864,6 +3245,310 @@ class OctoGPTSidebar {
     return wrapper;
   }
 
+  /**
+   * Local day of a timestamp, as a comparable "YYYY-M-D" key
+   */
+  getDayKey(timestamp) {
+    const date = new Date(timestamp);
+    return `${date.getFullYear()}-${date.getMonth()}-${date.getDate()}`;
+  }
+
+  /**
+   * Day key when a date separator goes above the prompt at `index`, otherwise null
+   * Only conversations spanning several days get separators: one above the first
+   * prompt and one wherever the day changes.
+   */
+  getDateSeparatorDay(index) {
+    const prompt = this.prompts[index];
+    const first = this.prompts[0];
+    const last = this.prompts[this.prompts.length - 1];
+    if (!prompt?.timestamp || !first?.timestamp || !last?.timestamp) return null;
+
+    const day = this.getDayKey(prompt.timestamp);
+    if (index === 0) {
+      return day !== this.getDayKey(last.timestamp) ? day : null;
+    }
+    const previous = this.prompts[index - 1];
+    return previous?.timestamp && this.getDayKey(previous.timestamp) !== day ? day : null;
+  }
+
+  /**
+   * Short relative time: "now", "5m", "2h", "3d", then the date
+   */
+  formatRelativeTime(timestamp) {
+    const seconds = Math.max(0, (Date.now() - timestamp) / 1000);
+    if (seconds < 60) return 'now';
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h`;
+    if (seconds < 7 * 86400) return `${Math.floor(seconds / 86400)}d`;
+
+    const date = new Date(timestamp);
+    const options = { month: 'short', day: 'numeric' };
+    if (date.getFullYear() !== new Date().getFullYear()) options.year = 'numeric';
+    return date.toLocaleDateString(undefined, options);
+  }
+
+  /**
+   * Day label for a date separator: "Today", "Yesterday" or the date
+   */
+  formatDayLabel(timestamp) {
+    const day = this.getDayKey(timestamp);
+    const today = new Date();
+    if (day === this.getDayKey(today)) return 'Today';
+    today.setDate(today.getDate() - 1);
+    if (day === this.getDayKey(today)) return 'Yesterday';
+
+    const date = new Date(timestamp);
+    const options = { weekday: 'short', month: 'short', day: 'numeric' };
+    if (date.getFullYear() !== new Date().getFullYear()) options.year = 'numeric';
+    return date.toLocaleDateString(undefined, options);
+  }
+
+  /**
+   * Tooltip of a prompt's time: the full date, and where it came from
+   */
+  formatTimeTitle(prompt) {
+    const date = new Date(prompt.timestamp).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+    return prompt.isTimestampFromSite ? `Sent ${date}` : `First seen ${date} (the site does not show when it was sent)`;
+  }
+
+  /**
+   * Update the rendered relative times and day labels in place
+   */
+  refreshTimes() {
+    this.shadowRoot?.querySelectorAll('.octogpt-sidebar__prompt-time').forEach(time => {
+      time.textContent = this.formatRelativeTime(Number(time.dataset.timestamp));
+    });
+    this.shadowRoot?.querySelectorAll('.octogpt-sidebar__date-separator').forEach(separator => {
+      separator.textContent = this.formatDayLabel(Number(separator.dataset.timestamp));
+    });
+  }
+
+  /**
+   * Create a thinking block item, with the duration when the site shows one
+   */
+  createThinkingItem(block, promptIndex) {
+    const item = document.createElement('div');
+    item.className = 'octogpt-sidebar__thinking-item';
+    item.setAttribute('role', 'listitem');
+    item.setAttribute('tabindex', '0');
+    item.dataset.promptIndex = promptIndex;
+    item.dataset.thinkingIndex = block.index;
+
+    const duration = block.duration !== null ? this.formatDuration(block.duration) : '';
+    item.title = block.label || 'Thinking';
+    item.setAttribute('aria-label', `Thinking${duration ? `, ${duration}` : ''}`);
+
+    // Blocks with steps get a toggle listing them; they start collapsed
+    const hasSteps = block.steps?.length > 0;
+    let toggleBtnHtml = '';
+    if (hasSteps) {
+      const isExpanded = this.expandedThinking.has(`${promptIndex}:${block.index}`);
+      item.setAttribute('aria-expanded', String(isExpanded));
+      toggleBtnHtml = `
+        <button class="octogpt-sidebar__toggle-btn ${isExpanded ? '' : 'octogpt-sidebar__toggle-btn--collapsed'}"
+                data-toggle-action="collapse-thinking"
+                tabindex="-1"
+                title="${isExpanded ? 'Hide steps' : `Show ${block.steps.length} steps`}">
+          <svg class="octogpt-sidebar__toggle-icon" viewBox="0 0 8 8" fill="currentColor">
+            <path d="M1 2.5L4 5.5L7 2.5" stroke="currentColor" stroke-width="1.5" fill="none" stroke-linecap="round" stroke-linejoin="round"/>
+          </svg>
+        </button>
+      `;
+    }
+
+    item.innerHTML = `${toggleBtnHtml}
+      <svg class="octogpt-sidebar__thinking-icon" viewBox="0 0 16 16" fill="none" stroke="currentColor" stroke-width="1.5">
+        <path d="M5.5 13.5h5M6 11.5c0-1.5-2.5-2.5-2.5-5a4.5 4.5 0 0 1 9 0c0 2.5-2.5 3.5-2.5 5z" stroke-linejoin="round"/>
+      </svg>
+      <span class="octogpt-sidebar__thinking-text">Thinking</span>
+      ${duration ? `<span class="octogpt-sidebar__thinking-duration">${duration}</span>` : ''}
+    `;
+
+    if (hasSteps) {
+      item.querySelector('[data-toggle-action="collapse-thinking"]').addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.toggleThinkingCollapse(promptIndex, block.index);
+      });
+    }
+
+    item.addEventListener('click', () => {
+      this.clearHeadingHighlight();
+      this.scrollToConversationItem({ type: 'thinking', promptIndex, block });
+    });
+
+    return item;
+  }
+
+  /**
+   * Create an item for one step of a thinking block, hidden while the block is collapsed
+   */
+  createThinkingStepItem(step, block, promptIndex) {
+    const item = document.createElement('div');
+    item.className = 'octogpt-sidebar__thinking-step';
+    if (!this.expandedThinking.has(`${promptIndex}:${block.index}`)) {
+      item.classList.add('octogpt-sidebar__thinking-step--hidden');
+    }
+    item.setAttribute('role', 'listitem');
+    item.setAttribute('tabindex', '0');
+    item.dataset.promptIndex = promptIndex;
+    item.dataset.thinkingIndex = block.index;
+    item.dataset.stepIndex = step.index;
+    item.title = step.text;
+
+    const text = document.createElement('span');
+    text.className = 'octogpt-sidebar__thinking-step-text';
+    text.textContent = step.text;
+    item.appendChild(text);
+
+    item.addEventListener('click', () => {
+      this.clearHeadingHighlight();
+      this.scrollToConversationItem({ type: 'thinking-step', promptIndex, block, step });
+    });
+
+    return item;
+  }
+
+  /**
+   * Show or hide the steps of one thinking block
+   */
+  toggleThinkingCollapse(promptIndex, thinkingIndex) {
+    const key = `${promptIndex}:${thinkingIndex}`;
+    const isExpanded = !this.expandedThinking.has(key);
+    if (isExpanded) {
+      this.expandedThinking.add(key);
+    } else {
+      this.expandedThinking.delete(key);
+    }
+    this.groupHeights.delete(this.prompts[promptIndex]?.id);
+
+    const wrapper = this.shadowRoot?.querySelector(`.octogpt-sidebar__prompt-list [data-index="${promptIndex}"]`);
+    if (!wrapper) return;
+
+    // Update the group in place so focus stays on the thinking item
+    wrapper.querySelectorAll(`.octogpt-sidebar__thinking-step[data-thinking-index="${thinkingIndex}"]`).forEach(item => {
+      item.classList.toggle('octogpt-sidebar__thinking-step--hidden', !isExpanded);
+    });
+
+    const item = wrapper.querySelector(`.octogpt-sidebar__thinking-item[data-thinking-index="${thinkingIndex}"]`);
+    const toggleBtn = item?.querySelector('[data-toggle-action="collapse-thinking"]');
+    if (toggleBtn) {
+      const stepCount = this.prompts[promptIndex]?.thinkingBlocks?.[thinkingIndex]?.steps?.length || 0;
+      toggleBtn.classList.toggle('octogpt-sidebar__toggle-btn--collapsed', !isExpanded);
+      toggleBtn.title = isExpanded ? 'Hide steps' : `Show ${stepCount} steps`;
+      item.setAttribute('aria-expanded', String(isExpanded));
+    }
+
+    this.commitPatchedGroup(wrapper, promptIndex);
+  }
+
+  /**
+   * Mark a group updated in place as current and re-run the virtual window
+   * The next render then keeps the group (and the focus in it), and the window
+   * paddings follow its new height now rather than on the next scroll.
+   */
+  commitPatchedGroup(wrapper, index) {
+    wrapper.dataset.signature = this.getPromptItemSignature(this.prompts[index], index);
+    if (this.isPlainListMode()) {
+      this.renderVirtualWindow();
+    }
+  }
+
+  /**
+   * Number of thinking steps listed under a prompt (those of expanded blocks)
+   */
+  countThinkingSteps(prompt, promptIndex) {
+    return (prompt.thinkingBlocks || []).reduce((count, block) =>
+      count + (this.expandedThinking.has(`${promptIndex}:${block.index}`) ? block.steps?.length || 0 : 0), 0);
+  }
+
+  /**
+   * Format seconds as "45s" or "1m 5s"
+   */
+  formatDuration(seconds) {
+    if (seconds < 60) return `${seconds}s`;
+    const rest = seconds % 60;
+    return `${Math.floor(seconds / 60)}m${rest ? ` ${rest}s` : ''}`;
+  }
+
+  /**
+   * Create a code block item: language, first line (or file name) and line count,
+   * with a copy button; clicking the item jumps to the block
+   */
+  createCodeItem(block, promptIndex) {
+    const item = document.createElement('div');
+    item.className = 'octogpt-sidebar__code-item';
+    item.setAttribute('role', 'listitem');
+    item.setAttribute('tabindex', '0');
+    item.dataset.promptIndex = promptIndex;
+    item.dataset.codeIndex = block.index;
+
+    const label = block.fileName || block.firstLine || '(empty)';
+    const lines = `${block.lineCount} ${block.lineCount === 1 ? 'line' : 'lines'}`;
+    item.title = `${block.language ? `${block.language} - ` : ''}${label} (${lines})`;
+    item.setAttribute('aria-label', `Code block: ${item.title}`);
+
+    item.innerHTML = `
+      ${block.language ? `<span class="octogpt-sidebar__code-lang">${this.escapeHtml(block.language)}</span>` : ''}
+      <span class="octogpt-sidebar__code-text">${this.escapeHtml(label)}</span>
+      <span class="octogpt-sidebar__code-lines">${lines}</span>
+      <button class="octogpt-sidebar__code-copy" data-code-action="copy" tabindex="-1" title="Copy code" aria-label="Copy code">
+        <svg viewBox="0 0 16 16" fill="none" stroke="currentColor" stroke-width="1.5">
+          <rect x="5" y="5" width="8" height="9" rx="1.5"/>
+          <path d="M3 11V3.5A1.5 1.5 0 0 1 4.5 2H10"/>
+        </svg>
+      </button>
+    `;
+
+    const copyBtn = item.querySelector('[data-code-action="copy"]');
+    copyBtn.addEventListener('click', async (e) => {
+      e.stopPropagation();
+      const copied = await this.codeIndex?.copy(block);
+      if (!copied) return;
+      copyBtn.classList.add('octogpt-sidebar__code-copy--copied');
+      copyBtn.title = 'Copied';
+      setTimeout(() => {
+        copyBtn.classList.remove('octogpt-sidebar__code-copy--copied');
+        copyBtn.title = 'Copy code';
+      }, 1500);
+    });
+
+    item.addEventListener('click', () => {
+      this.clearHeadingHighlight();
+      this.scrollToConversationItem({ type: 'code', promptIndex, block });
+    });
+
+    return item;
+  }
+
+  /**
+   * Create a source item: its number, domain and title; clicking the item jumps to
+   * the source's first citation in the answer
+   */
+  createSourceItem(source, promptIndex) {
+    const item = document.createElement('div');
+    item.className = 'octogpt-sidebar__source-item';
+    item.setAttribute('role', 'listitem');
+    item.setAttribute('tabindex', '0');
+    item.dataset.promptIndex = promptIndex;
+    item.dataset.sourceIndex = source.index;
+    item.title = `${source.title}\n${source.url}`;
+    item.setAttribute('aria-label', `Source ${source.number}: ${source.title}, ${source.domain}`);
+
+    item.innerHTML = `
+      <span class="octogpt-sidebar__source-number">${source.number}</span>
+      <span class="octogpt-sidebar__source-domain">${this.escapeHtml(source.domain)}</span>
+      <span class="octogpt-sidebar__source-title">${this.escapeHtml(source.title)}</span>
+    `;
+
+    item.addEventListener('click', () => {
+      this.clearHeadingHighlight();
+      this.scrollToConversationItem({ type: 'source', promptIndex, source });
+    });
+
+    return item;
+  }
+
   /**
    * Toggle the collapsed state for a prompt's headings
    */
@@ -1876,6 +3561,8 @@ class OctoGPTSidebar {
 
     const toggleBtn = wrapper.querySelector('.octogpt-sidebar__toggle-btn');
     const headingsContainer = wrapper.querySelector('.octogpt-sidebar__headings');
+    // The group changes height; measure it again on the next render
+    this.groupHeights.delete(this.prompts[index]?.id);
 
     if (this.collapsedPrompts.has(index)) {
       // Expand
@@ -1894,175 +3581,945 @@ class OctoGPTSidebar {
         toggleBtn.classList.add('octogpt-sidebar__toggle-btn--collapsed');
         toggleBtn.title = 'Expand headers';
       }
-      if (headingsContainer) {
-        headingsContainer.classList.add('octogpt-sidebar__headings--collapsed');
+      if (headingsContainer) {
+        headingsContainer.classList.add('octogpt-sidebar__headings--collapsed');
+      }
+    }
+
+    this.commitPatchedGroup(wrapper, index);
+  }
+
+  /**
+   * Check whether a heading sits under a collapsed heading
+   */
+  isHeadingHidden(promptIndex, headingIndex) {
+    const headings = this.prompts[promptIndex]?.headings || [];
+    let parent = headings[headingIndex]?.parent ?? -1;
+    while (parent >= 0) {
+      if (this.collapsedHeadings.has(`${promptIndex}:${parent}`)) return true;
+      parent = headings[parent]?.parent ?? -1;
+    }
+    return false;
+  }
+
+  /**
+   * Toggle the subsections of one heading
+   */
+  toggleHeadingCollapse(promptIndex, headingIndex) {
+    const key = `${promptIndex}:${headingIndex}`;
+    const isCollapsed = !this.collapsedHeadings.has(key);
+    if (isCollapsed) {
+      this.collapsedHeadings.add(key);
+    } else {
+      this.collapsedHeadings.delete(key);
+    }
+    this.groupHeights.delete(this.prompts[promptIndex]?.id);
+    this.buildNavigationList();
+
+    const wrapper = this.shadowRoot?.querySelector(`.octogpt-sidebar__prompt-list [data-index="${promptIndex}"]`);
+    if (!wrapper) return;
+
+    // Update the group in place so focus stays on the heading
+    wrapper.querySelectorAll('.octogpt-sidebar__heading-item').forEach(item => {
+      const index = Number(item.dataset.headingIndex);
+      item.classList.toggle('octogpt-sidebar__heading-item--hidden', this.isHeadingHidden(promptIndex, index));
+    });
+
+    const item = wrapper.querySelector(`[data-heading-index="${headingIndex}"]`);
+    const toggleBtn = item?.querySelector('[data-toggle-action="collapse-heading"]');
+    if (toggleBtn) {
+      toggleBtn.classList.toggle('octogpt-sidebar__toggle-btn--collapsed', isCollapsed);
+      toggleBtn.title = isCollapsed ? 'Expand subsections' : 'Collapse subsections';
+      item.setAttribute('aria-expanded', String(!isCollapsed));
+    }
+
+    this.commitPatchedGroup(wrapper, promptIndex);
+  }
+
+  /**
+   * Check whether a prompt has rows under it (headings, code or thinking blocks, sources)
+   */
+  hasOutline(prompt) {
+    return prompt.headings?.length > 0 || prompt.codeBlocks?.length > 0 || prompt.thinkingBlocks?.length > 0 ||
+           prompt.sources?.length > 0;
+  }
+
+  /**
+   * Toggle all prompts collapsed/expanded
+   * @param {boolean} forceCollapse - If provided, force this state instead of toggling
+   */
+  toggleAllCollapsed(forceCollapse) {
+    const promptsWithHeadings = this.prompts
+      .map((p, i) => ({ prompt: p, index: i }))
+      .filter(({ prompt }) => this.hasOutline(prompt));
+
+    if (promptsWithHeadings.length === 0) return;
+
+    // Determine target state: if any are expanded, collapse all. Otherwise expand all.
+    const allCollapsed = promptsWithHeadings.every(({ index }) => 
+      this.collapsedPrompts.has(index)
+    );
+
+    const shouldCollapse = forceCollapse !== undefined ? forceCollapse : !allCollapsed;
+
+    promptsWithHeadings.forEach(({ index }) => {
+      if (shouldCollapse) {
+        this.collapsedPrompts.add(index);
+      } else {
+        this.collapsedPrompts.delete(index);
+      }
+    });
+
+    // Every group changes height, including those not rendered
+    this.groupHeights.clear();
+
+    // Re-render to apply changes
+    this.render();
+    this.updateCollapseAllButton();
+  }
+
+  /**
+   * Update the collapse-all button icon and title based on current state
+   */
+  updateCollapseAllButton() {
+    const btn = this.shadowRoot?.querySelector('.octogpt-sidebar__collapse-all-btn');
+    if (!btn) return;
+
+    const promptsWithHeadings = this.prompts.filter(p => this.hasOutline(p));
+    if (promptsWithHeadings.length === 0) {
+      btn.style.display = 'none';
+      return;
+    }
+
+    btn.style.display = 'flex';
+
+    const allCollapsed = this.prompts.every((p, i) => 
+      !this.hasOutline(p) || this.collapsedPrompts.has(i)
+    );
+
+    if (allCollapsed) {
+      btn.classList.add('octogpt-sidebar__collapse-all-btn--collapsed');
+      btn.title = 'Expand all';
+      btn.setAttribute('aria-label', 'Expand all headers');
+    } else {
+      btn.classList.remove('octogpt-sidebar__collapse-all-btn--collapsed');
+      btn.title = 'Collapse all';
+      btn.setAttribute('aria-label', 'Collapse all headers');
+    }
+  }
+
+  /**
+   * Create a heading item element
+   * @param {Object} match - Filter match for highlighting, or null
+   */
+  createHeadingItem(heading, maxLength, promptIndex, headingIndex, match = null) {
+    const item = document.createElement('div');
+    item.className = `octogpt-sidebar__heading-item octogpt-sidebar__heading-item--${heading.level}`;
+    if (this.highlightedHeading?.promptIndex === promptIndex && this.highlightedHeading.headingIndex === headingIndex) {
+      item.classList.add('octogpt-sidebar__heading-item--active');
+    }
+    item.setAttribute('role', 'listitem');
+    item.setAttribute('tabindex', '0');
+    item.dataset.promptIndex = promptIndex;
+    item.dataset.headingIndex = headingIndex;
+
+    const depth = heading.depth || 0;
+    if (depth > 0) {
+      item.style.setProperty('--octogpt-heading-depth', depth);
+    }
+
+    // Filter results list matching headings without their subsections, so no toggle there
+    const headings = this.prompts[promptIndex]?.headings || [];
+    const hasChildren = !match && headings[headingIndex + 1]?.parent === headingIndex;
+    let toggleBtnHtml = '';
+    if (hasChildren) {
+      const isCollapsed = this.collapsedHeadings.has(`${promptIndex}:${headingIndex}`);
+      item.setAttribute('aria-expanded', String(!isCollapsed));
+      toggleBtnHtml = `
+        <button class="octogpt-sidebar__toggle-btn ${isCollapsed ? 'octogpt-sidebar__toggle-btn--collapsed' : ''}"
+                data-toggle-action="collapse-heading"
+                tabindex="-1"
+                title="${isCollapsed ? 'Expand subsections' : 'Collapse subsections'}">
+          <svg class="octogpt-sidebar__toggle-icon" viewBox="0 0 8 8" fill="currentColor">
+            <path d="M1 2.5L4 5.5L7 2.5" stroke="currentColor" stroke-width="1.5" fill="none" stroke-linecap="round" stroke-linejoin="round"/>
+          </svg>
+        </button>
+      `;
+    } else if (!match && headings.some(other => other.depth > 0)) {
+      toggleBtnHtml = '<span class="octogpt-sidebar__heading-spacer"></span>';
+    }
+    if (!match && this.isHeadingHidden(promptIndex, headingIndex)) {
+      item.classList.add('octogpt-sidebar__heading-item--hidden');
+    }
+
+    const textHtml = this.formatMatchText(heading.text, match, maxLength - 4 - depth * 2); // Account for indent
+    item.innerHTML = `${toggleBtnHtml}<span class="octogpt-sidebar__heading-text">${textHtml}</span>`;
+    item.title = heading.text;
+    if (heading.inferred) {
+      item.classList.add('octogpt-sidebar__heading-item--inferred');
+      item.title = `${heading.text} (inferred, the response has no headers)`;
+    }
+
+    if (hasChildren) {
+      item.querySelector('[data-toggle-action="collapse-heading"]').addEventListener('click', (e) => {
+        e.stopPropagation();
+        this.toggleHeadingCollapse(promptIndex, headingIndex);
+      });
+    }
+
+    // Click to scroll to heading - re-query DOM to avoid stale references
+    item.addEventListener('click', () => {
+      this.handleHeadingClick(promptIndex, headingIndex);
+    });
+
+    return item;
+  }
+
+  /**
+   * Handle heading click - navigate through the keyboard list so highlight and
+   * Alt+Up/Down position stay in sync; fall back to a direct scroll for headings
+   * that are hidden from navigation (collapsed prompt shown by the filter)
+   */
+  handleHeadingClick(promptIndex, headingIndex) {
+    this.buildNavigationList();
+    const navIndex = this.flatNavigationList.findIndex(
+      navItem => navItem.type === 'heading' &&
+                 navItem.promptIndex === promptIndex &&
+                 navItem.headingIndex === headingIndex
+    );
+
+    if (navIndex !== -1) {
+      this.navigateToIndex(navIndex);
+      return;
+    }
+
+    const heading = this.prompts[promptIndex]?.headings?.[headingIndex];
+    if (heading) {
+      this.highlightHeadingInSidebar(promptIndex, headingIndex);
+      this.scrollToConversationItem({ type: 'heading', promptIndex, heading });
+    }
+  }
+
+  /**
+   * Find heading element in DOM by turn ID and index
+   * Re-queries to avoid stale references after React re-renders
+   */
+  findHeadingElement(heading) {
+    return this.adapter.findHeadingElement(heading);
+  }
+
+  /**
+   * Handle typing in the filter box
+   */
+  handleFilterInput(event) {
+    this.filterQuery = event.target.value.trim();
+
+    if (this.isFindMode) {
+      // Full-text search touches every response - wait for a pause in typing
+      clearTimeout(this.findSearchTimer);
+      this.findSearchTimer = setTimeout(() => this.runFind(), 150);
+      return;
+    }
+
+    this.render();
+
+    // Keep the first result in view as the list narrows
+    const content = this.shadowRoot?.querySelector('.octogpt-sidebar__content');
+    if (content) content.scrollTop = 0;
+  }
+
+  /**
+   * Keyboard handling inside the filter box
+   * Down moves focus into the results, Enter jumps to the first result, Escape clears
+   * In find mode Enter / Shift+Enter step through matches instead
+   */
+  handleFilterKeyDown(event) {
+    const input = event.target;
+
+    if (event.key === 'ArrowDown') {
+      event.preventDefault();
+      this.getListItems()[0]?.focus();
+    } else if (event.key === 'Enter' && this.isFindMode) {
+      event.preventDefault();
+      // Typing may still be debounced - search now so Enter never steps stale hits
+      if (this.finder && this.finder.query !== this.filterQuery) {
+        clearTimeout(this.findSearchTimer);
+        this.runFind();
+      }
+      this.stepFind(event.shiftKey ? -1 : 1);
+    } else if (event.key === 'Enter') {
+      event.preventDefault();
+      this.getListItems()[0]?.click();
+    } else if (event.key === 'Escape') {
+      event.preventDefault();
+      if (input.value) {
+        this.clearFilter();
+      } else {
+        input.blur();
+      }
+    }
+  }
+
+  /**
+   * Clear the filter and show the full list again
+   */
+  clearFilter() {
+    const input = this.shadowRoot?.querySelector('.octogpt-sidebar__filter-input');
+    if (input) input.value = '';
+    this.filterQuery = '';
+    clearTimeout(this.findSearchTimer);
+    this.finder?.clear();
+    this.updateFindStatus();
+    this.render();
+  }
+
+  /**
+   * Switch the search box between filtering the outline and finding in responses
+   * @param {boolean} [force] - Set the mode instead of toggling
+   */
+  toggleFindMode(force) {
+    if (!this.finder) return;
+
+    this.isFindMode = force !== undefined ? force : !this.isFindMode;
+
+    const input = this.shadowRoot?.querySelector('.octogpt-sidebar__filter-input');
+    const label = this.isFindMode ? 'Find in responses' : 'Filter prompts and headers';
+    if (input) {
+      input.placeholder = label;
+      input.setAttribute('aria-label', label);
+    }
+
+    const toggle = this.shadowRoot?.querySelector('.octogpt-sidebar__find-toggle');
+    if (toggle) {
+      toggle.setAttribute('aria-pressed', String(this.isFindMode));
+    }
+
+    if (this.isFindMode) {
+      this.runFind();
+    } else {
+      clearTimeout(this.findSearchTimer);
+      this.finder.clear();
+      this.updateFindStatus();
+      this.render();
+    }
+  }
+
+  /**
+   * Show the sidebar with the search box in find mode and focused
+   */
+  openFind() {
+    if (!this.finder) return;
+
+    this.showSidebar();
+    if (!this.isFindMode) {
+      this.toggleFindMode(true);
+    }
+
+    const input = this.shadowRoot?.querySelector('.octogpt-sidebar__filter-input');
+    input?.focus();
+    input?.select();
+  }
+
+  /**
+   * Search responses for the current query and paint matches in the page
+   */
+  runFind() {
+    if (!this.finder) return;
+
+    this.finder.search(this.filterQuery, this.prompts);
+    this.finder.highlight(this.prompts);
+    this.updateFindStatus();
+    this.render();
+  }
+
+  /**
+   * Re-run the search after prompts change, keeping the current match when possible
+   */
+  refreshFind() {
+    const previousIndex = this.finder.currentIndex;
+    this.finder.search(this.filterQuery, this.prompts);
+    if (previousIndex !== -1 && this.finder.hits.length > 0) {
+      this.finder.currentIndex = Math.min(previousIndex, this.finder.hits.length - 1);
+    }
+    this.finder.highlight(this.prompts);
+    this.updateFindStatus();
+  }
+
+  /**
+   * Move to the next (+1) or previous (-1) match
+   */
+  stepFind(direction) {
+    if (!this.finder) return;
+
+    const index = this.finder.step(direction);
+    if (index !== -1) {
+      this.goToFindHit(index);
+    }
+  }
+
+  /**
+   * Scroll the page to a match and mark it in the sidebar
+   * Matches in turns the site has unmounted fall back to the prompt itself
+   */
+  goToFindHit(index) {
+    const hit = this.finder.hits[index];
+    if (!hit) return;
+
+    this.finder.currentIndex = index;
+    const range = this.finder.highlight(this.prompts);
+
+    if (range) {
+      this.scrollToElement(range);
+    } else {
+      this.handlePromptClick(hit.promptIndex);
+    }
+
+    // Mark the hit in the sidebar
+    const promptList = this.shadowRoot?.querySelector('.octogpt-sidebar__prompt-list');
+    promptList?.querySelector('.octogpt-sidebar__hit-item--active')
+      ?.classList.remove('octogpt-sidebar__hit-item--active');
+    const hitItem = promptList?.querySelector(`[data-hit-index="${index}"]`);
+    if (hitItem) {
+      hitItem.classList.add('octogpt-sidebar__hit-item--active');
+      this.scrollSidebarToElement(hitItem);
+    }
+
+    this.updateFindStatus();
+  }
+
+  /**
+   * Update the "n of m" label under the search box
+   */
+  updateFindStatus() {
+    const status = this.shadowRoot?.querySelector('.octogpt-sidebar__find-status');
+    const count = this.shadowRoot?.querySelector('.octogpt-sidebar__find-count');
+    if (!status || !count) return;
+
+    if (!this.isFindMode || !this.filterQuery) {
+      status.style.display = 'none';
+      return;
+    }
+
+    const total = this.finder.hits.length;
+    const capped = total >= this.finder.config.maxHits ? '+' : '';
+    status.style.display = 'flex';
+    if (total === 0) {
+      count.textContent = 'No matches';
+    } else if (this.finder.currentIndex === -1) {
+      count.textContent = `${total}${capped} ${total === 1 ? 'match' : 'matches'}`;
+    } else {
+      count.textContent = `${this.finder.currentIndex + 1} of ${total}${capped}`;
+    }
+  }
+
+  /**
+   * Render find hits grouped under the prompt whose response contains them
+   */
+  renderFindResults(promptList) {
+    const hits = this.finder?.hits || [];
+    const maxLength = this.getPreviewMaxLength();
+    let group = null;
+    let groupPromptIndex = -1;
+
+    hits.forEach((hit, hitIndex) => {
+      if (hit.promptIndex !== groupPromptIndex) {
+        groupPromptIndex = hit.promptIndex;
+        const prompt = this.prompts[hit.promptIndex];
+        const wrapper = this.createPromptItem(prompt, hit.promptIndex, { match: null, headings: [] });
+        group = document.createElement('div');
+        group.className = 'octogpt-sidebar__hits';
+        wrapper.appendChild(group);
+        promptList.appendChild(wrapper);
+      }
+
+      const item = document.createElement('div');
+      item.className = 'octogpt-sidebar__hit-item';
+      if (hitIndex === this.finder.currentIndex) {
+        item.classList.add('octogpt-sidebar__hit-item--active');
+      }
+      item.setAttribute('role', 'listitem');
+      item.setAttribute('tabindex', '0');
+      item.dataset.hitIndex = hitIndex;
+
+      const { before, match, after } = hit.snippet;
+      item.innerHTML = `${this.escapeHtml(before)}<mark class="octogpt-sidebar__match">${this.escapeHtml(match)}</mark>${this.escapeHtml(after)}`;
+      item.title = (before + match + after).substring(0, maxLength * 4);
+      item.addEventListener('click', () => this.goToFindHit(hitIndex));
+      group.appendChild(item);
+    });
+
+    if (hits.length === 0) {
+      const noMatches = document.createElement('div');
+      noMatches.className = 'octogpt-sidebar__no-matches';
+      noMatches.textContent = 'No matches in responses';
+      promptList.appendChild(noMatches);
+    }
+
+    this.updateCollapseAllButton();
+  }
+
+  /**
+   * Switch between the prompt list and the branch tree
+   */
+  toggleBranchView(force) {
+    if (!this.branchExplorer) return;
+
+    this.isBranchView = force !== undefined ? force : !this.isBranchView;
+
+    const button = this.shadowRoot?.querySelector('.octogpt-sidebar__branches-btn');
+    if (button) {
+      button.setAttribute('aria-pressed', String(this.isBranchView));
+    }
+
+    // Filtering and find apply to the prompt list only
+    const filter = this.shadowRoot?.querySelector('.octogpt-sidebar__filter');
+    if (filter) {
+      filter.style.display = this.isBranchView ? 'none' : '';
+    }
+    if (this.isBranchView) {
+      const findStatus = this.shadowRoot?.querySelector('.octogpt-sidebar__find-status');
+      if (findStatus) findStatus.style.display = 'none';
+    } else {
+      this.updateFindStatus();
+    }
+
+    this.render();
+  }
+
+  /**
+   * Click through every version so the tree has no unscanned nodes
+   */
+  async handleScanBranches() {
+    const explorer = this.branchExplorer;
+    if (!explorer || explorer.isWalking) return;
+
+    if (this.adapter.isStreaming()) {
+      this.setBranchStatus('Wait for the response to finish', true);
+      return;
+    }
+
+    const scanBtn = this.shadowRoot?.querySelector('.octogpt-sidebar__branches-scan');
+    if (scanBtn) scanBtn.disabled = true;
+    this.setBranchStatus('Scanning versions...');
+
+    try {
+      await explorer.discover((tree) => {
+        this.setBranchStatus(`Scanning versions... ${tree.nodeCount} found`);
+        if (this.isBranchView) this.renderBranchTree();
+      });
+      const truncated = explorer.tree.nodeCount >= explorer.config.maxNodes;
+      this.setBranchStatus(truncated
+        ? `Stopped after ${explorer.tree.nodeCount} versions`
+        : `${explorer.tree.nodeCount} ${explorer.tree.nodeCount === 1 ? 'version' : 'versions'}`);
+    } catch (error) {
+      log.error('Branch scan failed:', error);
+      this.setBranchStatus('Scan failed', true);
+    } finally {
+      if (scanBtn) scanBtn.disabled = false;
+    }
+
+    this.updatePrompts(explorer.readPrompts());
+  }
+
+  /**
+   * Toggle a branch or switch the page to the clicked version
+   */
+  handleBranchTreeClick(event) {
+    const row = event.target.closest('.octogpt-sidebar__branch-row');
+    const node = row && this.branchExplorer?.getNode(row.dataset.path.split('.').map(Number));
+    if (!node) return;
+
+    if (event.target.closest('[data-branch-toggle]')) {
+      const expanded = row.parentElement.getAttribute('aria-expanded') === 'true';
+      this.expandedBranches.set(node.id, !expanded);
+      this.renderBranchTree();
+      return;
+    }
+
+    this.goToBranchNode(node);
+  }
+
+  /**
+   * Drive the site's version buttons until the page shows the node's path, then scroll to it
+   */
+  async goToBranchNode(node) {
+    const explorer = this.branchExplorer;
+    if (explorer.isWalking) return;
+
+    if (this.adapter.isStreaming()) {
+      this.setBranchStatus('Wait for the response to finish', true);
+      return;
+    }
+
+    this.setBranchStatus('Switching versions...');
+    const reached = await explorer.navigateTo(node.path);
+    this.setBranchStatus(reached ? '' : 'Could not switch to that version', !reached);
+
+    this.updatePrompts(explorer.readPrompts());
+    if (reached) {
+      this.handlePromptClick(node.depth);
+    }
+  }
+
+  /**
+   * Open the comparison of every version of an edited prompt
+   */
+  async handleCompareVersions(index) {
+    if (!this.versionDiff || this.branchExplorer.isWalking) return;
+
+    const sidebarOffset = this.isVisible ? this.config.defaultWidth : 0;
+    await this.versionDiff.open(index, sidebarOffset);
+
+    // Cycling versions re-rendered the page; show what it settled on
+    this.updatePrompts(this.branchExplorer.readPrompts());
+  }
+
+  /**
+   * Show a message next to the scan button
+   */
+  setBranchStatus(message, isError = false) {
+    const status = this.shadowRoot?.querySelector('.octogpt-sidebar__branches-status');
+    if (!status) return;
+    status.textContent = message;
+    status.classList.toggle('octogpt-sidebar__branches-status--error', isError);
+  }
+
+  /**
+   * Render the recorded tree of prompt versions
+   */
+  renderBranchTree() {
+    const container = this.shadowRoot?.querySelector('.octogpt-sidebar__branch-tree');
+    if (!container) return;
+
+    const explorer = this.branchExplorer;
+    const currentPath = explorer.getCurrentPath(this.prompts);
+    container.replaceChildren();
+    this.appendBranchNodes(container, explorer.tree?.children || [], currentPath);
+  }
+
+  /**
+   * Append one level of the tree
+   * Runs of unedited prompts stay at the same indent; only versions of an edited
+   * prompt open a nested, collapsible group.
+   */
+  appendBranchNodes(parent, siblings, currentPath) {
+    let nodes = siblings;
+    while (nodes && nodes.length === 1) {
+      parent.appendChild(this.createBranchNode(nodes[0], currentPath, false));
+      nodes = nodes[0].children;
+    }
+    if (!nodes || nodes.length === 0) return;
+
+    nodes.forEach(node => {
+      const isOnPath = this.branchExplorer.isOnPath(node.path, currentPath);
+      const hasChildren = node.children?.length > 0;
+      const expanded = hasChildren && (this.expandedBranches.get(node.id) ?? isOnPath);
+      const item = this.createBranchNode(node, currentPath, true, hasChildren ? expanded : null);
+
+      if (hasChildren) {
+        const group = document.createElement('div');
+        group.className = 'octogpt-sidebar__branch-group';
+        group.setAttribute('role', 'group');
+        group.hidden = !expanded;
+        this.appendBranchNodes(group, node.children, currentPath);
+        item.appendChild(group);
+      }
+
+      parent.appendChild(item);
+    });
+  }
+
+  /**
+   * Create a tree item for one prompt version
+   * @param {boolean} isVersion - Prompt has other versions: show the version badge
+   * @param {boolean|null} [expanded] - Expanded state, null when there is nothing to expand
+   */
+  createBranchNode(node, currentPath, isVersion, expanded = null) {
+    const item = document.createElement('div');
+    item.className = 'octogpt-sidebar__branch-node';
+    item.setAttribute('role', 'treeitem');
+    if (expanded !== null) {
+      item.setAttribute('aria-expanded', String(expanded));
+    }
+
+    const isCurrent = this.branchExplorer.isOnPath(node.path, currentPath);
+    const row = document.createElement('div');
+    row.className = `octogpt-sidebar__branch-row ${isCurrent ? 'octogpt-sidebar__branch-row--current' : ''}`;
+    row.dataset.path = node.id;
+    row.tabIndex = 0;
+
+    const label = node.text
+      ? this.escapeHtml(this.truncateText(node.text, this.getPreviewMaxLength()))
+      : 'Not scanned yet';
+    const toggleHtml = expanded !== null ? `
+      <button class="octogpt-sidebar__toggle-btn ${expanded ? '' : 'octogpt-sidebar__toggle-btn--collapsed'}"
+              data-branch-toggle
+              tabindex="-1"
+              title="${expanded ? 'Collapse' : 'Expand'}">
+        <svg class="octogpt-sidebar__toggle-icon" viewBox="0 0 8 8" fill="currentColor">
+          <path d="M1 2.5L4 5.5L7 2.5" stroke="currentColor" stroke-width="1.5" fill="none" stroke-linecap="round" stroke-linejoin="round"/>
+        </svg>
+      </button>
+    ` : '';
+    const countHtml = isVersion
+      ? `<span class="octogpt-sidebar__branch-count">${node.version}/${node.total}</span>`
+      : '';
+
+    row.innerHTML = `
+      ${toggleHtml}
+      ${countHtml}
+      <span class="octogpt-sidebar__branch-text ${node.text ? '' : 'octogpt-sidebar__branch-text--unscanned'}">${label}</span>
+    `;
+    row.title = node.text || `Version ${node.version} of prompt ${node.depth + 1}`;
+
+    item.appendChild(row);
+    return item;
+  }
+
+  /**
+   * Move focus between list items with Up/Down, activate with Enter
+   */
+  handleListKeyDown(event) {
+    const items = this.getListItems();
+    const target = event.composedPath()[0];
+    const current = items.indexOf(target);
+    if (current === -1) return;
+
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      // Alt+arrows are the page-level navigation shortcuts
+      if (event.altKey) return;
+      event.preventDefault();
+
+      const step = event.key === 'ArrowDown' ? 1 : -1;
+      let next = items[current + step];
+
+      // At the edge of the virtualized window, render the neighbour first
+      if (!next && this.isPlainListMode()) {
+        const navItem = this.flatNavigationList[this.getNavigationIndexForElement(target) + step];
+        next = navItem ? this.revealListItem(navItem) : null;
+      }
+
+      if (next) {
+        next.focus();
+      } else if (step < 0) {
+        this.shadowRoot.querySelector('.octogpt-sidebar__filter-input')?.focus();
       }
+    } else if (event.key === 'Enter') {
+      event.preventDefault();
+      items[current].click();
+    } else if (event.key === 'Escape' && this.filterQuery) {
+      event.preventDefault();
+      this.clearFilter();
+      this.shadowRoot.querySelector('.octogpt-sidebar__filter-input')?.focus();
     }
   }
 
   /**
-   * Toggle all prompts collapsed/expanded
-   * @param {boolean} forceCollapse - If provided, force this state instead of toggling
+   * Position of a rendered prompt or heading item in flatNavigationList
+   * Code items are not navigation targets; they map to the last entry of their prompt
+   * and thinking steps to their block
    */
-  toggleAllCollapsed(forceCollapse) {
-    const promptsWithHeadings = this.prompts
-      .map((p, i) => ({ prompt: p, index: i }))
-      .filter(({ prompt }) => prompt.headings?.length > 0);
+  getNavigationIndexForElement(element) {
+    if (this.flatNavigationList.length === 0) {
+      this.buildNavigationList();
+    }
 
-    if (promptsWithHeadings.length === 0) return;
+    if (element?.classList?.contains('octogpt-sidebar__heading-item')) {
+      const promptIndex = Number(element.dataset.promptIndex);
+      const headingIndex = Number(element.dataset.headingIndex);
+      return this.flatNavigationList.findIndex(item =>
+        item.type === 'heading' && item.promptIndex === promptIndex && item.headingIndex === headingIndex);
+    }
+    if (element?.classList?.contains('octogpt-sidebar__prompt-item')) {
+      const promptIndex = Number(element.closest('[data-index]')?.dataset.index);
+      return this.flatNavigationList.findIndex(item => item.type === 'prompt' && item.promptIndex === promptIndex);
+    }
+    // Thinking steps are not navigation items, so they map to their block
+    if (element?.classList?.contains('octogpt-sidebar__thinking-item') ||
+        element?.classList?.contains('octogpt-sidebar__thinking-step')) {
+      const promptIndex = Number(element.dataset.promptIndex);
+      const thinkingIndex = Number(element.dataset.thinkingIndex);
+      const index = this.flatNavigationList.findIndex(item =>
+        item.type === 'thinking' && item.promptIndex === promptIndex && item.block.index === thinkingIndex);
+      // Skipped thinking blocks map to their prompt
+      return index !== -1
+        ? index
+        : this.flatNavigationList.findIndex(item => item.type === 'prompt' && item.promptIndex === promptIndex);
+    }
+    if (element?.classList?.contains('octogpt-sidebar__code-item') ||
+        element?.classList?.contains('octogpt-sidebar__source-item')) {
+      const promptIndex = Number(element.dataset.promptIndex);
+      return this.flatNavigationList.findLastIndex(item => item.promptIndex === promptIndex);
+    }
+    return -1;
+  }
 
-    // Determine target state: if any are expanded, collapse all. Otherwise expand all.
-    const allCollapsed = promptsWithHeadings.every(({ index }) => 
-      this.collapsedPrompts.has(index)
-    );
+  /**
+   * Visible, focusable prompt and heading items in list order
+   * Thinking items and their steps are left out when the user skips them
+   */
+  getListItems() {
+    const promptList = this.shadowRoot?.querySelector('.octogpt-sidebar__prompt-list');
+    if (!promptList) return [];
+
+    return Array.from(promptList.querySelectorAll('[role="listitem"]'))
+      .filter(item => !item.closest('.octogpt-sidebar__headings--collapsed') &&
+                      !item.classList.contains('octogpt-sidebar__heading-item--hidden') &&
+                      !item.classList.contains('octogpt-sidebar__thinking-step--hidden') &&
+                      !(this.config.skipThinking && (item.classList.contains('octogpt-sidebar__thinking-item') ||
+                                                     item.classList.contains('octogpt-sidebar__thinking-step'))));
+  }
 
-    const shouldCollapse = forceCollapse !== undefined ? forceCollapse : !allCollapsed;
+  /**
+   * Match prompts and headings against the filter query
+   * A prompt is kept if its text matches or any of its headings match; only matching
+   * headings are kept, in document order. Prompts are ranked by their best match
+   * score, with ties in conversation order.
+   * @returns {Array<{prompt, index, match, headings, score}>}
+   */
+  getFilterResults() {
+    const results = [];
 
-    promptsWithHeadings.forEach(({ index }) => {
-      if (shouldCollapse) {
-        this.collapsedPrompts.add(index);
-      } else {
-        this.collapsedPrompts.delete(index);
+    this.prompts.forEach((prompt, index) => {
+      const match = this.fuzzyMatch(this.filterQuery, prompt.text);
+      const headings = [];
+
+      (prompt.headings || []).forEach((heading, headingIndex) => {
+        const headingMatch = this.fuzzyMatch(this.filterQuery, heading.text);
+        if (headingMatch) {
+          headings.push({ heading, headingIndex, match: headingMatch });
+        }
+      });
+
+      if (match || headings.length > 0) {
+        const score = Math.max(match?.score ?? 0, ...headings.map(result => result.match.score));
+        results.push({ prompt, index, match, headings, score });
       }
     });
 
-    // Re-render to apply changes
-    this.render();
-    this.updateCollapseAllButton();
+    // Array.sort is stable, so equal scores keep conversation order
+    return results.sort((a, b) => b.score - a.score);
   }
 
   /**
-   * Update the collapse-all button icon and title based on current state
+   * Fuzzy-match a query against text
+   * Every whitespace-separated term must match, either as a substring or as a
+   * subsequence whose characters are at most a few apart (so "mgrtn" finds
+   * "migration" but short queries don't match arbitrary long prompts).
+   * @returns {{score: number, ranges: Array<[number, number]>}|null}
    */
-  updateCollapseAllButton() {
-    const btn = this.shadowRoot?.querySelector('.octogpt-sidebar__collapse-all-btn');
-    if (!btn) return;
+  fuzzyMatch(query, text) {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length === 0 || !text) return null;
 
-    const promptsWithHeadings = this.prompts.filter(p => p.headings?.length > 0);
-    if (promptsWithHeadings.length === 0) {
-      btn.style.display = 'none';
-      return;
-    }
+    const haystack = text.toLowerCase();
+    const ranges = [];
+    let score = 0;
 
-    btn.style.display = 'flex';
+    for (const term of terms) {
+      const substringIndex = haystack.indexOf(term);
+      if (substringIndex !== -1) {
+        ranges.push([substringIndex, substringIndex + term.length]);
+        // Contiguous matches rank highest, word-start matches higher still
+        const atWordStart = substringIndex === 0 || /\W/.test(haystack[substringIndex - 1]);
+        score += term.length * 2 + (atWordStart ? 2 : 0);
+        continue;
+      }
 
-    const allCollapsed = this.prompts.every((p, i) => 
-      !p.headings?.length || this.collapsedPrompts.has(i)
-    );
+      const termRanges = this.fuzzySubsequence(term, haystack);
+      if (!termRanges) return null;
 
-    if (allCollapsed) {
-      btn.classList.add('octogpt-sidebar__collapse-all-btn--collapsed');
-      btn.title = 'Expand all';
-      btn.setAttribute('aria-label', 'Expand all headers');
-    } else {
-      btn.classList.remove('octogpt-sidebar__collapse-all-btn--collapsed');
-      btn.title = 'Collapse all';
-      btn.setAttribute('aria-label', 'Collapse all headers');
+      ranges.push(...termRanges);
+      score += term.length - termRanges.length;
     }
+
+    return { score, ranges: this.mergeRanges(ranges) };
   }
 
   /**
-   * Create a heading item element
+   * Find a term as a tight subsequence of text
+   * Tries each occurrence of the first character and keeps the first match whose gaps
+   * stay small. Returns contiguous ranges of matched characters.
    */
-  createHeadingItem(heading, maxLength) {
-    const item = document.createElement('div');
-    item.className = `octogpt-sidebar__heading-item octogpt-sidebar__heading-item--${heading.level}`;
-    item.setAttribute('role', 'listitem');
-    item.setAttribute('tabindex', '0');
+  fuzzySubsequence(term, haystack, maxGap = 3) {
+    let start = haystack.indexOf(term[0]);
 
-    const displayText = this.truncateText(heading.text, maxLength - 4); // Account for indent
-    item.innerHTML = `<span class="octogpt-sidebar__heading-text">${this.escapeHtml(displayText)}</span>`;
-    item.title = heading.text;
+    while (start !== -1) {
+      const positions = [start];
+      let pos = start;
 
-    // Click to scroll to heading - re-query DOM to avoid stale references
-    item.addEventListener('click', () => {
-      const element = this.findHeadingElement(heading);
-      if (element) {
-        this.scrollToElement(element);
+      for (let i = 1; i < term.length; i++) {
+        const next = haystack.indexOf(term[i], pos + 1);
+        if (next === -1 || next - pos - 1 > maxGap) break;
+        positions.push(next);
+        pos = next;
       }
-    });
 
-    return item;
+      if (positions.length === term.length) {
+        return this.mergeRanges(positions.map(p => [p, p + 1]));
+      }
+
+      start = haystack.indexOf(term[0], start + 1);
+    }
+
+    return null;
   }
 
   /**
-   * Find heading element in DOM by turn ID and index
-   * Re-queries to avoid stale references after React re-renders
+   * Sort and merge overlapping or adjacent [start, end) ranges
    */
-  findHeadingElement(heading) {
-    if (this.site === 'claude') {
-      // Claude: turnId is like "claude-response-{count}" where {count} is the data-test-render-count value
-      let container = null;
-      
-      // Try to extract the render count from turnId (format: "claude-response-{count}")
-      const renderCountMatch = heading.turnId?.match(/^claude-response-(\d+)$/);
-      if (renderCountMatch) {
-        const renderCount = renderCountMatch[1];
-        container = document.querySelector(`[data-test-render-count="${renderCount}"]`);
-      }
-      
-      if (!container) {
-        // Fallback: try data-testid
-        container = document.querySelector(`[data-testid="${heading.turnId}"]`);
-      }
-      
-      if (!container) {
-        // Fallback: find any container with assistant response content (font-claude-response-body)
-        const allContainers = document.querySelectorAll('[data-test-render-count]');
-        for (const candidate of allContainers) {
-          if (candidate.querySelector('.font-claude-response-body')) {
-            container = candidate;
-            break;
-          }
-        }
-      }
-      
-      if (!container) return null;
-
-      // Claude has variable heading rendering - check if it's a standard heading or strong pseudo-heading
-      if (heading.level === 'strong') {
-        // For strong pseudo-headings, find strong tags inside response paragraphs
-        const strongElements = container.querySelectorAll('.font-claude-response-body strong, p strong');
-        const headings = Array.from(strongElements).filter(s => {
-          if (s.closest('[data-testid="user-message"]')) return false;
-          const text = s.textContent.trim();
-          if (!text || text.length > 100) return false;
-          const parent = s.closest('p');
-          if (parent) {
-            const parentText = parent.textContent.trim();
-            return parentText === text || (parentText.startsWith(text) && parentText.length < text.length + 20);
-          }
-          return false;
-        });
-        return headings[heading.index] || null;
+  mergeRanges(ranges) {
+    const sorted = ranges.slice().sort((a, b) => a[0] - b[0]);
+    const merged = [];
+
+    for (const range of sorted) {
+      const last = merged[merged.length - 1];
+      if (last && range[0] <= last[1]) {
+        last[1] = Math.max(last[1], range[1]);
+      } else {
+        merged.push([range[0], range[1]]);
       }
-      
-      // Standard headings (h1-h5) - find those NOT inside user message
-      const allHeadings = container.querySelectorAll(heading.level);
-      const headings = Array.from(allHeadings).filter(h => {
-        return !h.closest('[data-testid="user-message"]');
-      });
-      return headings[heading.index] || null;
-    } else if (this.site === 'gemini') {
-      // Gemini: use conversation container ID
-      const container = document.getElementById(heading.turnId) || 
-                       document.querySelector(`.conversation-container[id="${heading.turnId}"]`);
-      if (!container) return null;
-
-      // Find markdown container within model-response
-      const markdownContainer = container.querySelector('.model-response-text .markdown, .markdown-main-panel');
-      if (!markdownContainer) return null;
-
-      const headings = markdownContainer.querySelectorAll(heading.level);
-      return headings[heading.index] || null;
-    } else {
-      // ChatGPT: use data-testid
-      const turn = document.querySelector(`[data-testid="${heading.turnId}"]`);
-      if (!turn) return null;
+    }
 
-      const headings = turn.querySelectorAll(heading.level);
-      return headings[heading.index] || null;
+    return merged;
+  }
+
+  /**
+   * Truncate text for display and wrap matched ranges in <mark>
+   * If the first match falls past the visible length, show a window around it instead
+   * @returns {string} Escaped HTML
+   */
+  formatMatchText(text, match, maxLength) {
+    const cleaned = text.trim();
+    if (!match || match.ranges.length === 0) {
+      return this.escapeHtml(this.truncateText(cleaned, maxLength));
+    }
+
+    let start = 0;
+    let prefix = '';
+    const firstMatchEnd = match.ranges[0][1];
+    if (firstMatchEnd > maxLength) {
+      start = Math.max(0, match.ranges[0][0] - Math.floor(maxLength / 4));
+      prefix = '...';
+    }
+
+    const end = Math.min(cleaned.length, start + maxLength);
+    const suffix = end < cleaned.length ? '...' : '';
+
+    let html = this.escapeHtml(prefix);
+    let cursor = start;
+    for (const [rangeStart, rangeEnd] of match.ranges) {
+      const from = Math.max(rangeStart, cursor);
+      const to = Math.min(rangeEnd, end);
+      if (from >= to) continue;
+
+      html += this.escapeHtml(cleaned.slice(cursor, from));
+      html += `<mark class="octogpt-sidebar__match">${this.escapeHtml(cleaned.slice(from, to))}</mark>`;
+      cursor = to;
     }
+    html += this.escapeHtml(cleaned.slice(cursor, end)) + this.escapeHtml(suffix);
+
+    return html;
   }
 
   /**
@@ -2079,13 +4536,7 @@ class OctoGPTSidebar {
    */
   handlePromptClick(index) {
     const prompt = this.prompts[index];
-    if (!prompt || !prompt.element) return;
-
-    // Check if element is still attached to DOM (React may have re-rendered)
-    if (!prompt.element.isConnected) {
-      log.warn('Element detached from DOM, skipping scroll');
-      return;
-    }
+    if (!prompt) return;
 
     // Clear any heading highlight
     this.clearHeadingHighlight();
@@ -2093,18 +4544,99 @@ class OctoGPTSidebar {
     // Update active state visually without re-rendering DOM
     this.setActivePrompt(index, true);
 
-    // Scroll to the prompt element
-    this.scrollToElement(prompt.element);
+    // Scroll to the prompt element, re-resolved in case React re-rendered or unmounted it
+    this.scrollToConversationItem({ type: 'prompt', promptIndex: index });
 
     // Scroll sidebar to show the highlighted prompt
     this.scrollSidebarToItem({ type: 'prompt', promptIndex: index });
   }
 
+  /**
+   * Scroll the conversation to a prompt or heading
+   * Runs synchronously when the element is mounted; otherwise the conversation is
+   * scrolled until the site mounts the turn.
+   * @param {{type: string, promptIndex: number, heading?: Object, block?: Object, source?: Object}} item
+   */
+  async scrollToConversationItem(item) {
+    const prompt = this.prompts[item.promptIndex];
+    if (!prompt) return;
+
+    const resolve = () => this.resolveConversationElement(item);
+
+    const token = ++this.revealToken;
+    let element = resolve();
+    if (!element && await this.revealPromptElement(prompt, item.promptIndex, token)) {
+      element = resolve();
+    }
+
+    if (token !== this.revealToken) return;
+    if (!element) {
+      log.warn(`Prompt ${item.promptIndex + 1} is not on the page, skipping scroll`);
+      return;
+    }
+    this.scrollToElement(element);
+  }
+
+  /**
+   * Find the page element of a prompt, heading, thinking (or thinking step), code or source item
+   * Returns null while the turn is not mounted
+   */
+  resolveConversationElement(item) {
+    const prompt = this.prompts[item.promptIndex];
+    if (!prompt) return null;
+
+    if (item.type === 'heading') return this.findHeadingElement(item.heading);
+    if (item.type === 'thinking') return this.adapter.findThinkingElement(prompt, item.block);
+    if (item.type === 'thinking-step') return this.adapter.findThinkingStepElement(prompt, item.block, item.step);
+    if (item.type === 'code') return this.codeIndex?.findBlockElement(prompt, item.block) || null;
+    if (item.type === 'source') return this.adapter.findSourceElement(prompt, item.source);
+    return this.adapter.findPromptElement(prompt);
+  }
+
+  /**
+   * Scroll the conversation step by step until the site mounts the prompt's turn
+   * Turns after the prompt being mounted means it is further up, otherwise further down.
+   * @returns {Promise<Element|null>} The prompt element, or null if it never appeared
+   */
+  async revealPromptElement(prompt, index, token) {
+    let element = this.adapter.findPromptElement(prompt);
+    const container = this.findScrollContainer();
+    if (element || !container) return element;
+
+    const direction = this.prompts.slice(index + 1).some(later => later.element?.isConnected) ? -1 : 1;
+    let stalled = 0;
+
+    for (let step = 0; step < this.config.revealMaxSteps; step++) {
+      const before = container.scrollTop;
+      this.suppressScrollSpy();
+      container.scrollTop = before + direction * container.clientHeight * 0.8;
+
+      await new Promise(resolve => setTimeout(resolve, this.config.revealStepDelay));
+      // A newer navigation took over
+      if (token !== this.revealToken) return null;
+
+      element = this.adapter.findPromptElement(prompt);
+      if (element) {
+        prompt.element = element;
+        return element;
+      }
+
+      // At the edge, give the site a few steps to load more turns
+      stalled = container.scrollTop === before ? stalled + 1 : 0;
+      if (stalled >= 3) break;
+    }
+    return null;
+  }
+
   /**
    * Scroll to element in the conversation container
    * Uses direct scroll on the correct container to avoid conflicts with site-specific scroll libraries
+   * Also accepts a Range (find matches), which has getBoundingClientRect too
    */
   scrollToElement(element) {
+    // Our own scroll animation should not move the highlight the user just chose
+    this.suppressScrollSpy();
+
     // Find the actual scroll container (site-specific)
     const scrollContainer = this.findScrollContainer();
 
@@ -2120,7 +4652,8 @@ class OctoGPTSidebar {
       this.smoothScrollTo(scrollContainer, Math.max(0, targetScroll), this.config.scrollDuration);
     } else {
       // Fallback to scrollIntoView if container not found
-      element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      const target = element instanceof Range ? element.startContainer.parentElement : element;
+      target?.scrollIntoView({ behavior: 'smooth', block: 'center' });
     }
   }
 
@@ -2157,94 +4690,118 @@ class OctoGPTSidebar {
   }
 
   /**
-   * Find the scroll container for the current site
+   * Observe the conversation scroll container so the sidebar follows along while reading
+   * Re-attaches when the site swaps its scroll container (e.g. after navigating chats)
    */
-  findScrollContainer() {
-    if (this.site === 'claude') {
-      // Claude scroll container - uses overflow-y-scroll class inside #main-content
-      const scrollContainer = document.querySelector('#main-content .overflow-y-scroll');
-      if (scrollContainer && scrollContainer.scrollHeight > scrollContainer.clientHeight) {
-        return scrollContainer;
-      }
-
-      // Fallback: find scrollable ancestor of any message
-      // Claude uses .font-claude-response-body for assistant responses (not .standard-markdown)
-      const message = document.querySelector('[data-testid="user-message"], .font-claude-response-body');
-      if (message) {
-        let parent = message.parentElement;
-        while (parent && parent !== document.body) {
-          const style = getComputedStyle(parent);
-          const isScrollable = style.overflowY === 'auto' || style.overflowY === 'scroll';
-          if (isScrollable && parent.scrollHeight > parent.clientHeight) {
-            return parent;
-          }
-          parent = parent.parentElement;
-        }
-      }
-    } else if (this.site === 'gemini') {
-      // Gemini scroll container patterns
-      const selectors = [
-        'main [class*="infinite-scroller"]',
-        'main [class*="chat-window-content"]',
-        'main [class*="overflow-y-auto"]',
-        'main [class*="overflow-auto"]'
-      ];
-
-      for (const selector of selectors) {
-        const container = document.querySelector(selector);
-        if (container && container.scrollHeight > container.clientHeight) {
-          return container;
-        }
-      }
+  attachScrollSpy() {
+    const container = this.findScrollContainer();
+    if (container === this.scrollSpyContainer) return;
 
-      // Fallback: find scrollable ancestor of conversation container
-      const conversationContainer = document.querySelector('.conversation-container');
-      if (conversationContainer) {
-        let parent = conversationContainer.parentElement;
-        while (parent && parent !== document.body) {
-          const style = getComputedStyle(parent);
-          const isScrollable = style.overflowY === 'auto' || style.overflowY === 'scroll';
-          if (isScrollable && parent.scrollHeight > parent.clientHeight) {
-            return parent;
-          }
-          parent = parent.parentElement;
-        }
-      }
-    } else {
-      // ChatGPT scroll container patterns
-      const selectors = [
-        'main [class*="react-scroll-to-bottom"] > div',
-        'main [class*="react-scroll-to-bottom--css"]',
-        'main [class*="overflow-y-auto"]'
-      ];
-
-      for (const selector of selectors) {
-        const container = document.querySelector(selector);
-        if (container && container.scrollHeight > container.clientHeight) {
-          return container;
-        }
-      }
+    this.detachScrollSpy();
 
-      // Fallback: find any scrollable ancestor of a conversation turn
-      const turn = document.querySelector('[data-testid^="conversation-turn-"]');
-      if (turn) {
-        let parent = turn.parentElement;
-        while (parent && parent !== document.body) {
-          const style = getComputedStyle(parent);
-          const isScrollable = style.overflowY === 'auto' || style.overflowY === 'scroll';
-          if (isScrollable && parent.scrollHeight > parent.clientHeight) {
-            return parent;
-          }
-          parent = parent.parentElement;
-        }
+    if (!container) return;
+    this.scrollSpyContainer = container;
+    container.addEventListener('scroll', this.handleConversationScroll, { passive: true });
+  }
+
+  /**
+   * Stop observing the conversation scroll container
+   */
+  detachScrollSpy() {
+    if (this.scrollSpyContainer) {
+      this.scrollSpyContainer.removeEventListener('scroll', this.handleConversationScroll);
+      this.scrollSpyContainer = null;
+    }
+    if (this.scrollSpyFrame) {
+      cancelAnimationFrame(this.scrollSpyFrame);
+      this.scrollSpyFrame = null;
+    }
+  }
+
+  /**
+   * Ignore scroll events while a programmatic scroll animation runs
+   */
+  suppressScrollSpy() {
+    this.scrollSpySuppressedUntil = Date.now() + this.config.scrollDuration + 150;
+  }
+
+  /**
+   * Handle conversation scroll - batch updates to one per frame
+   */
+  handleConversationScroll() {
+    if (this.scrollSpyFrame) return;
+
+    this.scrollSpyFrame = requestAnimationFrame(() => {
+      this.scrollSpyFrame = null;
+      this.updateScrollSpy();
+    });
+  }
+
+  /**
+   * Highlight the prompt or heading currently being read
+   * The "reading line" sits a third of the way down the scroll container; the active
+   * item is the last one whose top edge has passed it.
+   */
+  updateScrollSpy() {
+    if (Date.now() < this.scrollSpySuppressedUntil) return;
+    if (this.prompts.length === 0 || !this.scrollSpyContainer?.isConnected) return;
+
+    if (this.flatNavigationList.length === 0) {
+      this.buildNavigationList();
+    }
+
+    const containerRect = this.scrollSpyContainer.getBoundingClientRect();
+    const readingLine = containerRect.top + containerRect.height / 3;
+
+    let activeIndex = -1;
+    for (let i = 0; i < this.flatNavigationList.length; i++) {
+      const item = this.flatNavigationList[i];
+      const element = item.type === 'prompt' ? item.element : this.resolveConversationElement(item);
+      if (!element || !element.isConnected) continue;
+
+      const top = element.getBoundingClientRect().top;
+      if (top > readingLine) {
+        // Items are in document order, so nothing further down has been reached yet
+        if (activeIndex === -1) activeIndex = i;
+        break;
       }
+      activeIndex = i;
     }
 
-    return null;
+    if (activeIndex === -1) return;
+
+    const item = this.flatNavigationList[activeIndex];
+    const key = item.type === 'heading'
+      ? `heading-${item.promptIndex}-${item.headingIndex}`
+      : item.type === 'thinking'
+        ? `thinking-${item.promptIndex}-${item.block.index}`
+        : `prompt-${item.promptIndex}`;
+    if (key === this.scrollSpyKey) return;
+    this.scrollSpyKey = key;
+
+    // Keep keyboard navigation in step with what is on screen
+    this.navigationIndex = activeIndex;
+
+    // Thinking blocks belong to the answer, so their prompt stays highlighted
+    if (item.type !== 'heading') {
+      this.clearHeadingHighlight();
+      this.setActivePrompt(item.promptIndex, true);
+    } else {
+      this.highlightHeadingInSidebar(item.promptIndex, item.headingIndex);
+    }
+
+    this.scrollSidebarToItem(item);
+  }
+
+  /**
+   * Find the scroll container for the current site
+   */
+  findScrollContainer() {
+    return this.adapter.findScrollContainer();
   }
 
   /**
-   * Build a flat list of all navigable items (prompts + their headers)
+   * Build a flat list of all navigable items (prompts + their thinking blocks and headers)
    * Used for Alt+Up/Down keyboard navigation
    */
   buildNavigationList() {
@@ -2258,10 +4815,23 @@ class OctoGPTSidebar {
         element: prompt.element,
         prompt,
       });
+
+      // Thinking blocks come before the answer, unless the user skips them
+      if (!this.config.skipThinking && !this.collapsedPrompts.has(promptIndex)) {
+        (prompt.thinkingBlocks || []).forEach(block => {
+          this.flatNavigationList.push({
+            type: 'thinking',
+            promptIndex,
+            block,
+          });
+        });
+      }
       
-      // Add headings if present and not collapsed
+      // Add headings if present and not collapsed, in document order (a pre-order walk
+      // of the outline tree), skipping subsections of collapsed headings
       if (prompt.headings && prompt.headings.length > 0 && !this.collapsedPrompts.has(promptIndex)) {
         prompt.headings.forEach((heading, headingIndex) => {
+          if (this.isHeadingHidden(promptIndex, headingIndex)) return;
           this.flatNavigationList.push({
             type: 'heading',
             promptIndex,
@@ -2292,13 +4862,7 @@ class OctoGPTSidebar {
     let closestDistance = Infinity;
     
     this.flatNavigationList.forEach((item, index) => {
-      let element = null;
-      
-      if (item.type === 'prompt') {
-        element = item.element;
-      } else if (item.type === 'heading') {
-        element = this.findHeadingElement(item.heading);
-      }
+      const element = item.type === 'prompt' ? item.element : this.resolveConversationElement(item);
       
       if (!element || !element.isConnected) return;
       
@@ -2358,19 +4922,13 @@ class OctoGPTSidebar {
     this.navigationIndex = index;
     const item = this.flatNavigationList[index];
     
-    let element = null;
-    
-    if (item.type === 'prompt') {
-      element = item.element;
-      
-      // Update active prompt state
+    if (item.type === 'prompt' || item.type === 'thinking') {
+      // Update active prompt state (a thinking block highlights its prompt)
       this.setActivePrompt(item.promptIndex, true);
       
       // Clear any heading highlight
       this.clearHeadingHighlight();
     } else if (item.type === 'heading') {
-      element = this.findHeadingElement(item.heading);
-      
       // Expand the prompt's headings if collapsed
       if (this.collapsedPrompts.has(item.promptIndex)) {
         this.collapsedPrompts.delete(item.promptIndex);
@@ -2393,9 +4951,7 @@ class OctoGPTSidebar {
     }
     
     // Scroll main chat to the element
-    if (element && element.isConnected) {
-      this.scrollToElement(element);
-    }
+    this.scrollToConversationItem(item);
     
     // Scroll sidebar to show the highlighted item
     this.scrollSidebarToItem(item);
@@ -2410,6 +4966,8 @@ class OctoGPTSidebar {
     
     // Clear previous highlights
     this.clearHeadingHighlight();
+    // Remembered so the heading is highlighted when its group is (re)rendered
+    this.highlightedHeading = { promptIndex, headingIndex };
     
     // Clear active prompt
     const activePrompt = promptList.querySelector('.octogpt-sidebar__prompt-item--active');
@@ -2425,9 +4983,9 @@ class OctoGPTSidebar {
     const headingsContainer = promptGroup.querySelector('.octogpt-sidebar__headings');
     if (!headingsContainer) return;
     
-    const headingItems = headingsContainer.querySelectorAll('.octogpt-sidebar__heading-item');
-    if (headingItems[headingIndex]) {
-      headingItems[headingIndex].classList.add('octogpt-sidebar__heading-item--active');
+    const headingItem = headingsContainer.querySelector(`[data-heading-index="${headingIndex}"]`);
+    if (headingItem) {
+      headingItem.classList.add('octogpt-sidebar__heading-item--active');
     }
   }
 
@@ -2435,6 +4993,7 @@ class OctoGPTSidebar {
    * Clear heading highlight
    */
   clearHeadingHighlight() {
+    this.highlightedHeading = null;
     const activeHeading = this.shadowRoot?.querySelector('.octogpt-sidebar__heading-item--active');
     if (activeHeading) {
       activeHeading.classList.remove('octogpt-sidebar__heading-item--active');
@@ -2449,20 +5008,63 @@ class OctoGPTSidebar {
     const promptList = this.shadowRoot?.querySelector('.octogpt-sidebar__prompt-list');
     if (!content || !promptList) return;
     
-    let targetElement = null;
-    
+    const targetElement = this.revealListItem(item);
+    if (!targetElement) return;
+
+    this.scrollSidebarToElement(targetElement);
+  }
+
+  /**
+   * Find the sidebar element of a navigation item, if it is rendered
+   */
+  findListItemElement(item) {
+    const promptList = this.shadowRoot?.querySelector('.octogpt-sidebar__prompt-list');
+    const promptGroup = promptList?.querySelector(`[data-index="${item.promptIndex}"]`);
+    if (!promptGroup) return null;
+
     if (item.type === 'prompt') {
-      const promptGroup = promptList.querySelector(`[data-index="${item.promptIndex}"]`);
-      targetElement = promptGroup?.querySelector('.octogpt-sidebar__prompt-item');
-    } else if (item.type === 'heading') {
-      const promptGroup = promptList.querySelector(`[data-index="${item.promptIndex}"]`);
-      const headingsContainer = promptGroup?.querySelector('.octogpt-sidebar__headings');
-      const headingItems = headingsContainer?.querySelectorAll('.octogpt-sidebar__heading-item');
-      targetElement = headingItems?.[item.headingIndex];
+      return promptGroup.querySelector('.octogpt-sidebar__prompt-item');
     }
-    
-    if (!targetElement) return;
-    
+    if (item.type === 'thinking') {
+      return promptGroup.querySelector(`[data-thinking-index="${item.block.index}"]`);
+    }
+    const headingsContainer = promptGroup.querySelector('.octogpt-sidebar__headings');
+    return headingsContainer?.querySelector(`[data-heading-index="${item.headingIndex}"]`) || null;
+  }
+
+  /**
+   * Get the sidebar element of a navigation item, scrolling the virtualized
+   * list to its estimated position and rendering it first if needed
+   */
+  revealListItem(item) {
+    const element = this.findListItemElement(item);
+    if (element || !this.isPlainListMode()) return element;
+
+    const content = this.shadowRoot?.querySelector('.octogpt-sidebar__content');
+    const promptList = this.shadowRoot?.querySelector('.octogpt-sidebar__prompt-list');
+    if (!content || !promptList || !this.prompts[item.promptIndex]) return null;
+
+    const { offsets } = this.getGroupLayout();
+    let target = offsets[item.promptIndex];
+    if (item.type === 'heading') {
+      const rowsAbove = item.headingIndex + (this.prompts[item.promptIndex].thinkingBlocks?.length || 0);
+      target += this.config.estimatedPromptHeight + rowsAbove * this.config.estimatedHeadingHeight;
+    } else if (item.type === 'thinking') {
+      target += this.config.estimatedPromptHeight + item.block.index * this.config.estimatedHeadingHeight;
+    }
+    content.scrollTop = Math.max(0, this.getListTop(content, promptList) + target - content.clientHeight / 2);
+    this.renderVirtualWindow();
+
+    return this.findListItemElement(item);
+  }
+
+  /**
+   * Scroll the sidebar content so an item is visible, centering it if it was outside
+   */
+  scrollSidebarToElement(targetElement) {
+    const content = this.shadowRoot?.querySelector('.octogpt-sidebar__content');
+    if (!content) return;
+
     // Scroll the sidebar content to show the target element
     const contentRect = content.getBoundingClientRect();
     const targetRect = targetElement.getBoundingClientRect();
@@ -2535,11 +5137,51 @@ class OctoGPTSidebar {
     await this.saveState();
   }
 
+  /**
+   * Handle the archive opt-in checkbox
+   * OctoGPTArchiver picks the change up from storage
+   */
+  async handleArchiveToggle(enabled) {
+    this.config.archiveEnabled = enabled;
+    await this.saveState();
+  }
+
+  /**
+   * Handle the skip-thinking checkbox
+   */
+  async handleSkipThinkingToggle(enabled) {
+    this.config.skipThinking = enabled;
+    this.buildNavigationList();
+    await this.saveState();
+  }
+
+  /**
+   * Open the archive or search page (content scripts cannot open extension tabs themselves)
+   * @param {string} page - 'archive' or 'search'
+   */
+  async handleOpenArchive(page) {
+    try {
+      await chrome.runtime.sendMessage({ type: 'archive:open', page });
+      this.closeSettings();
+    } catch (error) {
+      log.error('Could not open archive:', error);
+    }
+  }
+
   /**
    * Cleanup
    */
   destroy() {
     document.removeEventListener('keydown', this.handleKeyDown);
+    clearInterval(this.timeRefreshTimer);
+    if (this.virtualFrame) {
+      cancelAnimationFrame(this.virtualFrame);
+    }
+    this.branchExplorer?.cancel();
+    this.versionDiff?.destroy();
+    this.detachScrollSpy();
+    clearTimeout(this.findSearchTimer);
+    this.finder?.clear();
     document.removeEventListener('mousemove', this.handleResizeMove);
     document.removeEventListener('mouseup', this.handleResizeEnd);
     if (this.hideTimeout) {
@@ -0,0 +1,182 @@
+/**
+ * OctoGPT Archive Page
+ * Lists archived conversations and imports/exports them as JSON
+ */
+
+class ArchivePage {
+  constructor() {
+    this.records = [];
+  }
+
+  /**
+   * Wire up controls and show the archive
+   */
+  async init() {
+    const importBtn = document.querySelector('[data-action="import"]');
+    const fileInput = document.querySelector('.octogpt-page__file-input');
+    importBtn.addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+      const file = fileInput.files[0];
+      fileInput.value = ''; // Allow picking the same file again
+      if (file) this.importFile(file);
+    });
+
+    document.querySelector('.octogpt-archive__rows').addEventListener('click', (event) => {
+      const button = event.target.closest('button[data-action]');
+      if (!button) return;
+      const key = button.closest('tr').dataset.key;
+      if (button.dataset.action === 'download') this.download(key);
+      if (button.dataset.action === 'delete') this.remove(key);
+    });
+
+    await this.load();
+  }
+
+  /**
+   * Read all records and render them
+   */
+  async load() {
+    try {
+      this.records = await ArchiveStore.list();
+    } catch (error) {
+      this.setStatus(`Could not open the archive: ${error.message}`, true);
+      this.records = [];
+    }
+    this.render();
+  }
+
+  /**
+   * Render the table, or the empty state
+   */
+  render() {
+    const table = document.querySelector('.octogpt-archive__table');
+    const rows = document.querySelector('.octogpt-archive__rows');
+    const empty = document.querySelector('.octogpt-page__empty');
+    const count = document.querySelector('.octogpt-page__count');
+
+    count.textContent = this.records.length > 0
+      ? `${this.records.length} ${this.records.length === 1 ? 'conversation' : 'conversations'}`
+      : '';
+    table.hidden = this.records.length === 0;
+    empty.hidden = this.records.length > 0;
+
+    rows.replaceChildren(...this.records.map(record => this.createRow(record)));
+  }
+
+  /**
+   * One table row: title link, site, last update, turn count, actions
+   */
+  createRow(record) {
+    const row = document.createElement('tr');
+    row.dataset.key = record.key;
+
+    const title = document.createElement('td');
+    title.className = 'octogpt-archive__title';
+    const titleText = record.title || 'Untitled conversation';
+    if (record.url) {
+      const link = document.createElement('a');
+      link.href = record.url;
+      link.target = '_blank';
+      link.rel = 'noopener';
+      link.textContent = titleText;
+      title.appendChild(link);
+    } else {
+      title.textContent = titleText;
+    }
+
+    const site = document.createElement('td');
+    const siteBadge = document.createElement('span');
+    siteBadge.className = 'octogpt-archive__site';
+    siteBadge.textContent = SITE_NAMES[record.site] || record.site;
+    site.appendChild(siteBadge);
+
+    const date = document.createElement('td');
+    date.className = 'octogpt-archive__date';
+    date.textContent = this.formatDate(record.updatedAt);
+    date.title = `First archived ${this.formatDate(record.createdAt)}`;
+
+    const turns = document.createElement('td');
+    turns.className = 'octogpt-archive__numeric';
+    turns.textContent = record.turnCount;
+
+    const actions = document.createElement('td');
+    actions.innerHTML = `
+      <div class="octogpt-archive__row-actions">
+        <button class="octogpt-page__button" data-action="download">JSON</button>
+        <button class="octogpt-page__button octogpt-page__button--danger" data-action="delete">Delete</button>
+      </div>
+    `;
+
+    row.append(title, site, date, turns, actions);
+    return row;
+  }
+
+  /**
+   * Validate a JSON export and add it to the archive
+   */
+  async importFile(file) {
+    const { conversation, errors } = ConversationFormat.parse(await file.text());
+    if (!conversation) {
+      this.setStatus(`${file.name} is not a valid conversation: ${errors.join('; ')}`, true);
+      return;
+    }
+
+    try {
+      await ArchiveStore.save(conversation);
+      this.setStatus(`Imported "${conversation.title}"`);
+      await this.load();
+    } catch (error) {
+      this.setStatus(`Could not import ${file.name}: ${error.message}`, true);
+    }
+  }
+
+  /**
+   * Download a record's conversation as JSON
+   */
+  async download(key) {
+    const record = await ArchiveStore.get(key);
+    if (!record) return;
+
+    const json = JSON.stringify(record.conversation, null, 2);
+    const url = URL.createObjectURL(new Blob([json], { type: 'application/json;charset=utf-8' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${(record.title || 'conversation').replace(/[\\/:*?"<>|]+/g, '').replace(/\s+/g, '-').substring(0, 80)}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /**
+   * Delete a record after confirmation
+   */
+  async remove(key) {
+    const record = this.records.find(r => r.key === key);
+    if (!record || !confirm(`Delete "${record.title}" from the archive?`)) return;
+
+    await ArchiveStore.delete(key);
+    this.records = this.records.filter(r => r.key !== key);
+    this.render();
+  }
+
+  /**
+   * Show a message above the table
+   */
+  setStatus(message, isError = false) {
+    const status = document.querySelector('.octogpt-page__status');
+    status.textContent = message;
+    status.hidden = false;
+    status.classList.toggle('octogpt-page__status--error', isError);
+  }
+
+  /**
+   * Format an ISO date in the user's locale
+   */
+  formatDate(isoString) {
+    const date = new Date(isoString);
+    if (isNaN(date)) return '';
+    return date.toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+  }
+}
+
+const archivePage = new ArchivePage();
+archivePage.init();
@@ -0,0 +1,185 @@
+/**
+ * OctoGPT Options Page
+ * Adds and removes the self-hosted Open WebUI and LibreChat origins
+ *
+ * Host access is requested here, in the click that adds a site (browsers only show
+ * the permission prompt during a user gesture); the service worker then registers
+ * the content scripts for it.
+ */
+
+class OptionsPage {
+  constructor() {
+    this.sites = [];
+    this.access = new Map(); // Origin -> host permission granted
+  }
+
+  /**
+   * Wire up controls and show the saved sites
+   */
+  async init() {
+    const typeSelect = document.querySelector('.octogpt-sites__type');
+    typeSelect.replaceChildren(...Object.entries(CustomSites.TYPES).map(([type, name]) => new Option(name, type)));
+
+    document.querySelector('.octogpt-sites__form').addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.addSite();
+    });
+
+    document.querySelector('.octogpt-sites__rows').addEventListener('click', (event) => {
+      const button = event.target.closest('button[data-action]');
+      if (!button) return;
+      const origin = button.closest('tr').dataset.origin;
+      if (button.dataset.action === 'grant') this.grantAccess(origin);
+      if (button.dataset.action === 'remove') this.removeSite(origin);
+    });
+
+    await this.load();
+  }
+
+  /**
+   * Read the saved sites and whether each one has access, then render them
+   */
+  async load() {
+    try {
+      this.sites = await CustomSites.list();
+      const granted = await Promise.all(this.sites.map(site => CustomSites.hasAccess(site.origin)));
+      this.access = new Map(this.sites.map((site, index) => [site.origin, granted[index]]));
+    } catch (error) {
+      this.setStatus(`Could not load your sites: ${error.message}`, true);
+      this.sites = [];
+    }
+    this.render();
+  }
+
+  /**
+   * Ask for access to the typed origin and save it
+   */
+  async addSite() {
+    const input = document.querySelector('.octogpt-sites__origin');
+    const type = document.querySelector('.octogpt-sites__type').value;
+
+    let origin;
+    try {
+      origin = CustomSites.normalizeOrigin(input.value);
+    } catch (error) {
+      this.setStatus(error.message, true);
+      return;
+    }
+
+    // Must be the first await, while the click still counts as a user gesture
+    const granted = await this.requestAccess(origin);
+    if (!granted) {
+      this.setStatus(`Access to ${origin} was not granted, so the sidebar cannot run there`, true);
+      return;
+    }
+
+    try {
+      await CustomSites.add(origin, type);
+      input.value = '';
+      this.setStatus(`Added ${origin}. Reload its open tabs to show the sidebar.`);
+      await this.load();
+    } catch (error) {
+      this.setStatus(`Could not add ${origin}: ${error.message}`, true);
+    }
+  }
+
+  /**
+   * Ask again for a site whose access was removed in the browser settings
+   */
+  async grantAccess(origin) {
+    if (await this.requestAccess(origin)) {
+      this.setStatus(`Access to ${origin} granted. Reload its open tabs to show the sidebar.`);
+      await this.load();
+    }
+  }
+
+  /**
+   * Show the browser's host permission prompt
+   * @returns {Promise<boolean>}
+   */
+  async requestAccess(origin) {
+    try {
+      return await chrome.permissions.request({ origins: [CustomSites.toMatchPattern(origin)] });
+    } catch (error) {
+      this.setStatus(`Could not request access to ${origin}: ${error.message}`, true);
+      return false;
+    }
+  }
+
+  /**
+   * Remove a site after confirmation
+   */
+  async removeSite(origin) {
+    if (!confirm(`Stop showing the sidebar on ${origin}?`)) return;
+
+    try {
+      await CustomSites.remove(origin);
+      this.setStatus(`Removed ${origin}`);
+    } catch (error) {
+      this.setStatus(`Could not remove ${origin}: ${error.message}`, true);
+    }
+    await this.load();
+  }
+
+  /**
+   * Render the table, or the empty state
+   */
+  render() {
+    const table = document.querySelector('.octogpt-sites__table');
+    const rows = document.querySelector('.octogpt-sites__rows');
+    const empty = document.querySelector('.octogpt-page__empty');
+    const count = document.querySelector('.octogpt-page__count');
+
+    count.textContent = this.sites.length > 0
+      ? `${this.sites.length} ${this.sites.length === 1 ? 'site' : 'sites'}`
+      : '';
+    table.hidden = this.sites.length === 0;
+    empty.hidden = this.sites.length > 0;
+
+    rows.replaceChildren(...this.sites.map(site => this.createRow(site)));
+  }
+
+  /**
+   * One table row: origin, type, access state, actions
+   */
+  createRow(site) {
+    const row = document.createElement('tr');
+    row.dataset.origin = site.origin;
+
+    const origin = document.createElement('td');
+    origin.className = 'octogpt-sites__address';
+    origin.textContent = site.origin;
+
+    const type = document.createElement('td');
+    type.textContent = CustomSites.TYPES[site.type] || site.type;
+
+    const hasAccess = this.access.get(site.origin);
+    const access = document.createElement('td');
+    access.className = hasAccess ? 'octogpt-sites__access' : 'octogpt-sites__access octogpt-sites__access--missing';
+    access.textContent = hasAccess ? 'Granted' : 'Not granted';
+
+    const actions = document.createElement('td');
+    actions.innerHTML = `
+      <div class="octogpt-sites__row-actions">
+        ${hasAccess ? '' : '<button class="octogpt-page__button" data-action="grant">Grant access</button>'}
+        <button class="octogpt-page__button octogpt-page__button--danger" data-action="remove">Remove</button>
+      </div>
+    `;
+
+    row.append(origin, type, access, actions);
+    return row;
+  }
+
+  /**
+   * Show a message above the table
+   */
+  setStatus(message, isError = false) {
+    const status = document.querySelector('.octogpt-page__status');
+    status.textContent = message;
+    status.hidden = false;
+    status.classList.toggle('octogpt-page__status--error', isError);
+  }
+}
+
+const optionsPage = new OptionsPage();
+optionsPage.init();
@@ -0,0 +1,243 @@
+/**
+ * OctoGPT Archive Search Index
+ * In-memory full-text index over archived conversations
+ *
+ * Each turn is one document with prompt, heading, response and title fields.
+ * Ranking is BM25 with per-field weights, so a match in a prompt or heading
+ * outranks the same word buried in a long response. Every query term must match;
+ * the last term also matches as a prefix, so results show up while typing.
+ */
+
+class ArchiveSearchIndex {
+  constructor() {
+    this.documents = [];
+    this.postings = new Map(); // term -> Map(docId -> { field: termFrequency })
+    this.averageLength = 0;
+
+    this.config = {
+      fieldWeights: { prompt: 3, headings: 2, title: 2, response: 1 },
+      k1: 1.2, // BM25 term frequency saturation
+      b: 0.75, // BM25 length normalization
+      phraseBoost: 1.5, // Multiplier when the whole query appears verbatim
+      snippetContext: 60, // Characters shown on each side of the first match
+    };
+  }
+
+  /**
+   * Split text into normalized terms (lowercase, accents removed)
+   */
+  static tokenize(text) {
+    return ArchiveSearchIndex.normalize(text).match(/[\p{L}\p{N}]+/gu) || [];
+  }
+
+  /**
+   * Lowercase and strip accents; keeps string length for ASCII text
+   */
+  static normalize(text) {
+    return (text || '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+  }
+
+  /**
+   * Index every turn of every archive record
+   */
+  build(records) {
+    this.documents = [];
+    this.postings = new Map();
+    let totalLength = 0;
+
+    for (const record of records) {
+      const conversation = record.conversation;
+      for (const turn of conversation.turns) {
+        const doc = {
+          id: this.documents.length,
+          key: record.key,
+          site: record.site,
+          conversationId: record.conversationId,
+          title: record.title || '',
+          url: record.url,
+          date: turn.timestamp || record.updatedAt,
+          turnId: turn.id,
+          turnIndex: turn.index,
+          fields: {
+            prompt: turn.prompt.text,
+            headings: turn.headings.map(heading => heading.text).join(' · '),
+            title: record.title || '',
+            response: turn.response.text,
+          },
+          length: 0,
+        };
+
+        for (const [field, text] of Object.entries(doc.fields)) {
+          for (const term of ArchiveSearchIndex.tokenize(text)) {
+            let docs = this.postings.get(term);
+            if (!docs) {
+              docs = new Map();
+              this.postings.set(term, docs);
+            }
+            let frequencies = docs.get(doc.id);
+            if (!frequencies) {
+              frequencies = {};
+              docs.set(doc.id, frequencies);
+            }
+            frequencies[field] = (frequencies[field] || 0) + 1;
+            doc.length++;
+          }
+        }
+
+        totalLength += doc.length;
+        this.documents.push(doc);
+      }
+    }
+
+    this.averageLength = this.documents.length > 0 ? totalLength / this.documents.length : 0;
+  }
+
+  /**
+   * Index terms a query term matches: itself, or every term it prefixes
+   */
+  expandTerm(term, allowPrefix) {
+    if (!allowPrefix) {
+      return this.postings.has(term) ? [term] : [];
+    }
+    const terms = [];
+    for (const indexed of this.postings.keys()) {
+      if (indexed.startsWith(term)) terms.push(indexed);
+    }
+    return terms;
+  }
+
+  /**
+   * Search the index
+   * @param {string} query
+   * @param {Object} [filters] - site, from and to (Date or null), limit
+   * @returns {Array<{doc: Object, score: number, snippet: Object}>} best first
+   */
+  search(query, { site = null, from = null, to = null, limit = 50 } = {}) {
+    const queryTerms = [...new Set(ArchiveSearchIndex.tokenize(query))];
+    if (queryTerms.length === 0) return [];
+
+    const total = this.documents.length;
+    const { fieldWeights, k1, b } = this.config;
+    let scores = null; // docId -> score, narrowed to docs matching every term
+
+    queryTerms.forEach((queryTerm, i) => {
+      const termScores = new Map();
+      const isLast = i === queryTerms.length - 1;
+
+      for (const term of this.expandTerm(queryTerm, isLast)) {
+        const docs = this.postings.get(term);
+        const idf = Math.log(1 + (total - docs.size + 0.5) / (docs.size + 0.5));
+        // Prefix expansions count a little less than the exact word
+        const exactness = term === queryTerm ? 1 : 0.7;
+
+        for (const [docId, frequencies] of docs) {
+          if (scores && !scores.has(docId)) continue;
+
+          const lengthNorm = 1 - b + b * (this.documents[docId].length / (this.averageLength || 1));
+          let weighted = 0;
+          for (const [field, tf] of Object.entries(frequencies)) {
+            weighted += fieldWeights[field] * (tf * (k1 + 1)) / (tf + k1 * lengthNorm);
+          }
+          const score = idf * weighted * exactness;
+          termScores.set(docId, Math.max(termScores.get(docId) || 0, score));
+        }
+      }
+
+      if (scores) {
+        for (const [docId, score] of termScores) {
+          termScores.set(docId, scores.get(docId) + score);
+        }
+      }
+      scores = termScores;
+    });
+
+    let results = [];
+    for (const [docId, score] of scores) {
+      const doc = this.documents[docId];
+      if (this.matchesFilters(doc, site, from, to)) {
+        results.push({ doc, score });
+      }
+    }
+
+    const byScore = (a, c) => c.score - a.score || String(c.doc.date).localeCompare(String(a.doc.date));
+    results.sort(byScore);
+
+    // Phrase check re-tokenizes text, so only do it for the candidates that can still make the cut
+    if (queryTerms.length > 1) {
+      const phrase = queryTerms.join(' ');
+      results = results.slice(0, limit * 2).map(result => {
+        const hasPhrase = Object.values(result.doc.fields)
+          .some(text => ArchiveSearchIndex.tokenize(text).join(' ').includes(phrase));
+        return hasPhrase ? { ...result, score: result.score * this.config.phraseBoost } : result;
+      });
+      results.sort(byScore);
+    }
+
+    return results.slice(0, limit).map(result => ({
+      ...result,
+      snippet: this.buildSnippet(result.doc, queryTerms),
+    }));
+  }
+
+  /**
+   * Check the site and date filters
+   */
+  matchesFilters(doc, site, from, to) {
+    if (site && doc.site !== site) return false;
+    if (from || to) {
+      const date = new Date(doc.date);
+      if (from && date < from) return false;
+      if (to && date > to) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Cut a snippet around the first match, preferring the response
+   * @returns {{field: string, text: string, ranges: Array<[number, number]>}}
+   */
+  buildSnippet(doc, queryTerms) {
+    const context = this.config.snippetContext;
+    const lastTerm = queryTerms[queryTerms.length - 1];
+
+    for (const field of ['response', 'prompt', 'headings']) {
+      const text = doc.fields[field];
+      const normalized = ArchiveSearchIndex.normalize(text);
+      if (normalized.length !== text.length) continue; // Offsets would not line up
+
+      const ranges = [];
+      const wordPattern = /[\p{L}\p{N}]+/gu;
+      let match;
+      while ((match = wordPattern.exec(normalized)) !== null) {
+        const word = match[0];
+        const matched = queryTerms.find(term => word === term || (term === lastTerm && word.startsWith(term)));
+        if (matched) ranges.push([match.index, match.index + word.length]);
+      }
+      if (ranges.length === 0) continue;
+
+      const start = Math.max(0, ranges[0][0] - context);
+      const end = Math.min(text.length, ranges[0][1] + context * 2);
+      return {
+        field,
+        text: (start > 0 ? '...' : '') + text.slice(start, end) + (end < text.length ? '...' : ''),
+        ranges: ranges
+          .filter(([from, to]) => from >= start && to <= end)
+          .map(([from, to]) => {
+            const offset = (start > 0 ? 3 : 0) - start;
+            return [from + offset, to + offset];
+          }),
+      };
+    }
+
+    // Matched only in the title (or text with accents): show the start of the response
+    const text = doc.fields.response || doc.fields.prompt;
+    return {
+      field: 'response',
+      text: text.length > context * 3 ? `${text.slice(0, context * 3)}...` : text,
+      ranges: [],
+    };
+  }
+}
+
+// Export for the search page
+window.ArchiveSearchIndex = ArchiveSearchIndex;
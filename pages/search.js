@@ -0,0 +1,200 @@
+/**
+ * OctoGPT Search Page
+ * Full-text search across every archived conversation
+ *
+ * Opening a result stores a pending jump in chrome.storage.local; the content
+ * script on the opened conversation picks it up and scrolls to the prompt.
+ */
+
+class SearchPage {
+  constructor() {
+    this.index = new ArchiveSearchIndex();
+    this.results = [];
+    this.searchTimer = null;
+  }
+
+  /**
+   * Build the index from the archive and wire up the form
+   */
+  async init() {
+    this.renderSiteOptions();
+
+    const form = document.querySelector('.octogpt-search__form');
+    form.addEventListener('submit', (event) => event.preventDefault());
+    form.addEventListener('input', () => {
+      clearTimeout(this.searchTimer);
+      this.searchTimer = setTimeout(() => this.runSearch(), 150);
+    });
+
+    const list = document.querySelector('.octogpt-search__results');
+    list.addEventListener('click', (event) => {
+      const item = event.target.closest('.octogpt-search__result');
+      if (item) this.openResult(this.results[item.dataset.resultIndex]);
+    });
+    list.addEventListener('keydown', (event) => {
+      const item = event.target.closest('.octogpt-search__result');
+      if (item && event.key === 'Enter') this.openResult(this.results[item.dataset.resultIndex]);
+    });
+
+    try {
+      const records = await ArchiveStore.list();
+      this.index.build(records);
+      const count = document.querySelector('.octogpt-page__count');
+      count.textContent = `${records.length} ${records.length === 1 ? 'conversation' : 'conversations'}, ` +
+        `${this.index.documents.length} ${this.index.documents.length === 1 ? 'prompt' : 'prompts'}`;
+    } catch (error) {
+      this.setStatus(`Could not open the archive: ${error.message}`, true);
+    }
+
+    this.runSearch();
+  }
+
+  /**
+   * One option per known site in the site filter, after "All sites"
+   */
+  renderSiteOptions() {
+    const select = document.querySelector('.octogpt-search__site');
+    Object.entries(SITE_NAMES).forEach(([site, name]) => select.add(new Option(name, site)));
+  }
+
+  /**
+   * Read the form, search and render
+   */
+  runSearch() {
+    const query = document.querySelector('.octogpt-search__input').value;
+    const site = document.querySelector('.octogpt-search__site').value || null;
+    const fromValue = document.querySelector('.octogpt-search__from').value;
+    const toValue = document.querySelector('.octogpt-search__to').value;
+
+    // Date inputs are local calendar days; "to" includes the whole day
+    const from = fromValue ? new Date(`${fromValue}T00:00:00`) : null;
+    const to = toValue ? new Date(`${toValue}T23:59:59.999`) : null;
+
+    this.results = this.index.search(query, { site, from, to });
+    this.render(query);
+  }
+
+  /**
+   * Render results, or a hint when there is nothing to show
+   */
+  render(query) {
+    const list = document.querySelector('.octogpt-search__results');
+    const empty = document.querySelector('.octogpt-page__empty');
+
+    list.replaceChildren(...this.results.map((result, i) => this.createResultItem(result, i)));
+
+    if (this.index.documents.length === 0) {
+      empty.textContent = 'The archive is empty. Turn on the local archive in the OctoGPT settings panel to start saving conversations.';
+    } else if (!query.trim()) {
+      empty.textContent = 'Type to search prompts, responses and headings across every archived site.';
+    } else {
+      empty.textContent = 'No matches. Try fewer words or clear the filters.';
+    }
+    empty.hidden = this.results.length > 0;
+  }
+
+  /**
+   * One result: conversation and site, the prompt, then a snippet with matches marked
+   */
+  createResultItem(result, index) {
+    const { doc, snippet } = result;
+
+    const item = document.createElement('li');
+    item.className = 'octogpt-search__result';
+    item.tabIndex = 0;
+    item.dataset.resultIndex = index;
+
+    const meta = document.createElement('div');
+    meta.className = 'octogpt-search__meta';
+    const site = document.createElement('span');
+    site.className = 'octogpt-archive__site';
+    site.textContent = SITE_NAMES[doc.site] || doc.site;
+    const title = document.createElement('span');
+    title.textContent = doc.title || 'Untitled conversation';
+    const date = document.createElement('span');
+    date.textContent = this.formatDate(doc.date);
+    meta.append(site, title, date);
+
+    const prompt = document.createElement('div');
+    prompt.className = 'octogpt-search__prompt';
+    prompt.textContent = doc.fields.prompt;
+    prompt.title = doc.fields.prompt;
+
+    const snippetEl = document.createElement('div');
+    snippetEl.className = 'octogpt-search__snippet';
+    snippetEl.innerHTML = this.formatSnippet(snippet);
+
+    item.append(meta, prompt, snippetEl);
+    return item;
+  }
+
+  /**
+   * Escape snippet text and wrap matched ranges in <mark>
+   */
+  formatSnippet(snippet) {
+    let html = '';
+    let cursor = 0;
+    for (const [from, to] of snippet.ranges) {
+      html += this.escapeHtml(snippet.text.slice(cursor, from));
+      html += `<mark>${this.escapeHtml(snippet.text.slice(from, to))}</mark>`;
+      cursor = to;
+    }
+    return html + this.escapeHtml(snippet.text.slice(cursor));
+  }
+
+  /**
+   * Open the original conversation and ask its content script to jump to the prompt
+   */
+  async openResult(result) {
+    if (!result) return;
+
+    const { doc } = result;
+    if (!doc.url) {
+      this.setStatus('This conversation has no URL to open.', true);
+      return;
+    }
+
+    await chrome.storage.local.set({
+      pendingJump: {
+        site: doc.site,
+        conversationId: doc.conversationId,
+        turnId: doc.turnId,
+        turnIndex: doc.turnIndex,
+        promptText: doc.fields.prompt,
+        createdAt: Date.now(),
+      },
+    });
+    chrome.tabs.create({ url: doc.url });
+  }
+
+  /**
+   * Show a message above the results
+   */
+  setStatus(message, isError = false) {
+    const status = document.querySelector('.octogpt-page__status');
+    status.textContent = message;
+    status.hidden = false;
+    status.classList.toggle('octogpt-page__status--error', isError);
+  }
+
+  /**
+   * Format an ISO date in the user's locale
+   */
+  formatDate(isoString) {
+    const date = new Date(isoString);
+    if (isNaN(date)) return '';
+    return date.toLocaleDateString(undefined, { dateStyle: 'medium' });
+  }
+
+  /**
+   * Escape HTML to prevent XSS
+   */
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+}
+
+const searchPage = new SearchPage();
+searchPage.init();
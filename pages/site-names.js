@@ -0,0 +1,16 @@
+/**
+ * OctoGPT Site Names
+ * Display names of the site keys stored with archived conversations (SiteAdapter.id),
+ * shared by the extension pages; a site missing here is shown by its key
+ */
+
+const SITE_NAMES = {
+  chatgpt: 'ChatGPT',
+  gemini: 'Gemini',
+  claude: 'Claude',
+  aistudio: 'AI Studio',
+  perplexity: 'Perplexity',
+  deepseek: 'DeepSeek',
+  openwebui: 'Open WebUI',
+  librechat: 'LibreChat',
+};
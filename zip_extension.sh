@@ -7,6 +7,8 @@ rm -f octogpt.zip
 zip -r octogpt.zip \
     manifest.json \
     content/ \
+    background/ \
+    pages/ \
     assets/ \
     README.md \
     -x "*.DS_Store" \